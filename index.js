@@ -81,6 +81,22 @@
 //. });
 //. ```
 //.
+//. The optional `freezeOutputs` option determines whether the values
+//. returned by functions defined via `def` are frozen (along with the
+//. arrays and plain objects they contain) before being returned. Arrays and
+//. plain objects are copied before being frozen, so a function which returns
+//. (part of) one of its arguments never freezes a value belonging to the
+//. caller; the returned value is then not identical to the argument. Combined
+//. with [`Readonly`][] and [`DeepReadonly`][] input types, this causes code
+//. which mutates a value it was given to throw where the mutation occurs
+//. (in strict mode), and code which passes a mutable value to a function
+//. which requires a frozen one to fail type checking:
+//.
+//. ```javascript
+//. //    def :: String -> StrMap (Array TypeClass) -> Array Type -> Function -> Function
+//. const def = $.create ({checkTypes: true, env, freezeOutputs: true});
+//. ```
+//.
 //. `def` is a function for defining functions. For example:
 //.
 //. ```javascript
@@ -185,10 +201,12 @@
   'use strict';
 
   var util = {inspect: {}};
+  var stream = {};
 
   /* istanbul ignore else */
   if (typeof module === 'object' && typeof module.exports === 'object') {
     module.exports = f (require ('util'),
+                        require ('stream'),
                         require ('sanctuary-either'),
                         require ('sanctuary-show'),
                         require ('sanctuary-type-classes'),
@@ -199,17 +217,18 @@
              'sanctuary-type-classes',
              'sanctuary-type-identifiers'],
             function(Either, show, Z, type) {
-              return f (util, Either, show, Z, type);
+              return f (util, stream, Either, show, Z, type);
             });
   } else {
     self.sanctuaryDef = f (util,
+                           stream,
                            self.sanctuaryEither,
                            self.sanctuaryShow,
                            self.sanctuaryTypeClasses,
                            self.sanctuaryTypeIdentifiers);
   }
 
-} (function(util, Either, show, Z, type) {
+} (function(util, stream, Either, _show, Z, type) {
 
   'use strict';
 
@@ -230,6 +249,75 @@
   //  Right :: b -> Either a b
   var Right = Either.Right;
 
+  //  show :: Showable a => a -> String
+  //
+  //  Wraps sanctuary-show, which renders BigInt values without the ‘n’
+  //  suffix (and thus indistinguishably from Number values).
+  function show(x) {
+    return _show (markBigInts (x, [], []));
+  }
+
+  //  markBigInts :: (Any, Array Any, Array Any) -> Any
+  //
+  //  Returns the given value with every BigInt value within it (including
+  //  those nested in arrays, objects, sets, and maps) replaced by an object
+  //  which shows as a BigInt literal. Values without BigInt values within
+  //  them are returned as is. The originals and copies of the containers
+  //  being traversed are tracked so that circular references are preserved.
+  function markBigInts(x, originals, copies) {
+    if (typeof x === 'bigint') {
+      return {'@@show': function() { return String (x) + 'n'; }};
+    }
+    var idx = originals.indexOf (x);
+    if (idx >= 0) return copies[idx];
+
+    /* global Map:false, Set:false */
+    var copy, put;
+    var markKeys = false;
+    switch (toString.call (x)) {
+      case '[object Array]':
+        copy = new Array (x.length);
+        put = function(k, v) { copy[k] = v; };
+        break;
+      case '[object Object]':
+        if ('@@show' in x &&
+            (x.constructor == null || x.constructor.prototype !== x)) {
+          return x;
+        }
+        copy = {};
+        put = function(k, v) { copy[k] = v; };
+        break;
+      case '[object Set]':
+        copy = new Set ();
+        put = function(k, v) { copy.add (v); };
+        break;
+      case '[object Map]':
+        copy = new Map ();
+        put = function(k, v) { copy.set (k, v); };
+        markKeys = true;
+        break;
+      default:
+        return x;
+    }
+    var entries = toString.call (x) === '[object Set]' ||
+                  toString.call (x) === '[object Map]' ?
+                  Array.from (x.entries ()) :
+                  Z.map (function(k) { return [k, x[k]]; }, Object.keys (x));
+
+    originals.push (x);
+    copies.push (copy);
+    var changed = false;
+    entries.forEach (function(entry) {
+      var k = markKeys ? markBigInts (entry[0], originals, copies) : entry[0];
+      var v = markBigInts (entry[1], originals, copies);
+      put (k, v);
+      changed = changed || k !== entry[0] || v !== entry[1];
+    });
+    originals.pop ();
+    copies.pop ();
+    return changed ? copy : x;
+  }
+
   //  B :: (b -> c) -> (a -> b) -> a -> c
   function B(f) {
     return function(g) {
@@ -251,6 +339,19 @@
   //  always2 :: a -> (b, c) -> a
   function always2(x) { return function(y, z) { return x; }; }
 
+  //  collect :: (NonNegativeInteger, Array a -> b) -> a -> ... -> b
+  //
+  //  Returns a curried function which collects n arguments in an array and
+  //  applies the given function to the array.
+  function collect(n, f) {
+    function recur(xs) {
+      return xs.length < n ?
+             function(x) { return recur (Z.concat (xs, [x])); } :
+             f (xs);
+    }
+    return recur ([]);
+  }
+
   //  complement :: (a -> Boolean) -> a -> Boolean
   function complement(pred) { return function(x) { return !(pred (x)); }; }
 
@@ -296,9 +397,28 @@
   //  or :: (Array a, Array a) -> Array a
   function or(xs, ys) { return isEmpty (xs) ? ys : xs; }
 
+  //  product :: Array (Array a) -> Array (Array a)
+  //
+  //  Returns the Cartesian product of the given arrays, varying the last
+  //  element fastest (as Z.lift2 does).
+  function product(xss) {
+    return Z.reduce (function(yss, xs) {
+      return Z.chain (function(ys) {
+        return Z.map (function(x) { return Z.concat (ys, [x]); }, xs);
+      }, yss);
+    }, [[]], xss);
+  }
+
   //  prop :: String -> {} -> a
   function prop(field) { return function(record) { return record[field]; }; }
 
+  //  range :: (Integer, Integer) -> Array Integer
+  function range(start, end) {
+    var result = [];
+    for (var n = start; n < end; n += 1) result.push (n);
+    return result;
+  }
+
   //  sizeEq :: Foldable f => Integer -> f a -> Boolean
   function sizeEq(n) { return function(xs) { return Z.size (xs) === n; }; }
 
@@ -364,6 +484,16 @@
   //  parenthesize :: (String -> String) -> String -> String
   function parenthesize(f) { return wrap (f ('(')) (f (')')); }
 
+  //  isCompound :: Type -> Boolean
+  //
+  //  Returns true if the given type must be parenthesized when it appears
+  //  as a type argument: either it has type parameters of its own, or its
+  //  name contains spaces (as in ‘IntegerBetween 1 100’) and is not already
+  //  parenthesized.
+  function isCompound(t) {
+    return t.arity > 0 || /\s/.test (t.name) && t.name.charAt (0) !== '(';
+  }
+
   //  q :: String -> String
   var q = wrap ('\u2018') ('\u2019');
 
@@ -441,7 +571,7 @@
       return Z.reduce (function(s, tuple) {
         return s +
                outer (' ') +
-               when (tuple[2].arity > 0)
+               when (isCompound (tuple[2]))
                     (parenthesize (outer))
                     (inner (tuple[0]) (show (tuple[2])));
       }, outer (name), tuples);
@@ -459,12 +589,19 @@
   }
 
   var BINARY        = 'BINARY';
+  var EXACT_RECORD  = 'EXACT_RECORD';
   var FUNCTION      = 'FUNCTION';
   var INCONSISTENT  = 'INCONSISTENT';
+  var INTERSECTION  = 'INTERSECTION';
+  var NARY          = 'NARY';
   var NO_ARGUMENTS  = 'NO_ARGUMENTS';
   var NULLARY       = 'NULLARY';
+  var OPTIONAL      = 'OPTIONAL';
   var RECORD        = 'RECORD';
+  var RECURSIVE     = 'RECURSIVE';
+  var TAGGED_UNION  = 'TAGGED_UNION';
   var UNARY         = 'UNARY';
+  var UNION         = 'UNION';
   var UNKNOWN       = 'UNKNOWN';
   var VARIABLE      = 'VARIABLE';
 
@@ -483,6 +620,11 @@
     };
   }
 
+  //  isParameterized :: Type -> Boolean
+  function isParameterized(t) {
+    return t.type === UNARY || t.type === BINARY || t.type === NARY;
+  }
+
   //  typeEq :: String -> a -> Boolean
   function typeEq(name) {
     return function(x) {
@@ -607,6 +749,30 @@
     (function(array2) { return [array2[0]]; })
     (function(array2) { return [array2[1]]; });
 
+  //# BigInt :: Type
+  //.
+  //. Type comprising every primitive BigInt value, such as `10n`.
+  var BigInt_ = NullaryTypeWithUrl
+    ('BigInt')
+    ([])
+    (typeofEq ('bigint'));
+
+  //# NonNegativeBigInt :: Type
+  //.
+  //. Type comprising every non-negative [`BigInt`][] value.
+  var NonNegativeBigInt = NullaryTypeWithUrl
+    ('NonNegativeBigInt')
+    ([BigInt_])
+    (nonNegative);
+
+  //# PositiveBigInt :: Type
+  //.
+  //. Type comprising every [`BigInt`][] value greater than zero.
+  var PositiveBigInt = NullaryTypeWithUrl
+    ('PositiveBigInt')
+    ([BigInt_])
+    (positive);
+
   //# Boolean :: Type
   //.
   //. Type comprising `true` and `false`.
@@ -615,12 +781,128 @@
     ([])
     (typeofEq ('boolean'));
 
+  //# ArrayBuffer :: Type
+  //.
+  //. Type comprising every [ArrayBuffer][] object.
+  var ArrayBuffer_ = NullaryTypeWithUrl
+    ('ArrayBuffer')
+    ([])
+    (typeEq ('ArrayBuffer'));
+
+  //# SharedArrayBuffer :: Type
+  //.
+  //. Type comprising every [SharedArrayBuffer][] object.
+  var SharedArrayBuffer_ = NullaryTypeWithUrl
+    ('SharedArrayBuffer')
+    ([])
+    (typeEq ('SharedArrayBuffer'));
+
+  //# DataView :: Type
+  //.
+  //. Type comprising every [DataView][] object.
+  var DataView_ = NullaryTypeWithUrl
+    ('DataView')
+    ([])
+    (typeEq ('DataView'));
+
+  //# Int8Array :: Type
+  //.
+  //. Type comprising every [typed array][] of 8-bit signed integers.
+  var Int8Array_ = NullaryTypeWithUrl
+    ('Int8Array')
+    ([])
+    (typeEq ('Int8Array'));
+
+  //# Uint8Array :: Type
+  //.
+  //. Type comprising every [typed array][] of 8-bit unsigned integers.
+  var Uint8Array_ = NullaryTypeWithUrl
+    ('Uint8Array')
+    ([])
+    (typeEq ('Uint8Array'));
+
+  //# Uint8ClampedArray :: Type
+  //.
+  //. Type comprising every [typed array][] of 8-bit unsigned integers
+  //. clamped to the range 0 to 255.
+  var Uint8ClampedArray_ = NullaryTypeWithUrl
+    ('Uint8ClampedArray')
+    ([])
+    (typeEq ('Uint8ClampedArray'));
+
+  //# Int16Array :: Type
+  //.
+  //. Type comprising every [typed array][] of 16-bit signed integers.
+  var Int16Array_ = NullaryTypeWithUrl
+    ('Int16Array')
+    ([])
+    (typeEq ('Int16Array'));
+
+  //# Uint16Array :: Type
+  //.
+  //. Type comprising every [typed array][] of 16-bit unsigned integers.
+  var Uint16Array_ = NullaryTypeWithUrl
+    ('Uint16Array')
+    ([])
+    (typeEq ('Uint16Array'));
+
+  //# Int32Array :: Type
+  //.
+  //. Type comprising every [typed array][] of 32-bit signed integers.
+  var Int32Array_ = NullaryTypeWithUrl
+    ('Int32Array')
+    ([])
+    (typeEq ('Int32Array'));
+
+  //# Uint32Array :: Type
+  //.
+  //. Type comprising every [typed array][] of 32-bit unsigned integers.
+  var Uint32Array_ = NullaryTypeWithUrl
+    ('Uint32Array')
+    ([])
+    (typeEq ('Uint32Array'));
+
+  //# Float32Array :: Type
+  //.
+  //. Type comprising every [typed array][] of 32-bit floating point numbers.
+  var Float32Array_ = NullaryTypeWithUrl
+    ('Float32Array')
+    ([])
+    (typeEq ('Float32Array'));
+
+  //# Float64Array :: Type
+  //.
+  //. Type comprising every [typed array][] of 64-bit floating point numbers.
+  var Float64Array_ = NullaryTypeWithUrl
+    ('Float64Array')
+    ([])
+    (typeEq ('Float64Array'));
+
+  //# BigInt64Array :: Type
+  //.
+  //. Type comprising every [typed array][] of 64-bit signed integers
+  //. (represented as [`BigInt`][] values).
+  var BigInt64Array_ = NullaryTypeWithUrl
+    ('BigInt64Array')
+    ([])
+    (typeEq ('BigInt64Array'));
+
+  //# BigUint64Array :: Type
+  //.
+  //. Type comprising every [typed array][] of 64-bit unsigned integers
+  //. (represented as [`BigInt`][] values).
+  var BigUint64Array_ = NullaryTypeWithUrl
+    ('BigUint64Array')
+    ([])
+    (typeEq ('BigUint64Array'));
+
   //# Buffer :: Type
   //.
-  //. Type comprising every [Buffer][] object.
+  //. Type comprising every [Buffer][] object. Every Buffer object is also
+  //. a member of [`Uint8Array`][].
   var Buffer_ = NullaryTypeWithUrl
     ('Buffer')
-    ([])
+    ([Uint8Array_])
     (function(x) {
        return typeof Buffer !== 'undefined' &&
               // eslint-disable-next-line no-undef
@@ -671,6 +953,61 @@
     ([])
     (typeEq ('Error'));
 
+  //  ErrorSubtype :: String -> Type
+  //
+  //  Returns the type comprising every Error value which has a constructor
+  //  of the given name in its prototype chain (so instances of subclasses,
+  //  and instances from other realms, are members).
+  function ErrorSubtype(name) {
+    return NullaryTypeWithUrl
+      (name)
+      ([Error_])
+      (function(x) { return inherits (name, x); });
+  }
+
+  //# AggregateError :: Type
+  //.
+  //. Type comprising every [AggregateError][] value. Subtype of [`Error`][].
+  var AggregateError_ = ErrorSubtype ('AggregateError');
+
+  //# EvalError :: Type
+  //.
+  //. Type comprising every [EvalError][] value. Subtype of [`Error`][].
+  var EvalError_ = ErrorSubtype ('EvalError');
+
+  //# RangeError :: Type
+  //.
+  //. Type comprising every [RangeError][] value. Subtype of [`Error`][].
+  var RangeError_ = ErrorSubtype ('RangeError');
+
+  //# ReferenceError :: Type
+  //.
+  //. Type comprising every [ReferenceError][] value. Subtype of [`Error`][].
+  var ReferenceError_ = ErrorSubtype ('ReferenceError');
+
+  //# SyntaxError :: Type
+  //.
+  //. Type comprising every [`SyntaxError`][] value. Subtype of [`Error`][].
+  var SyntaxError_ = ErrorSubtype ('SyntaxError');
+
+  //# TypeError :: Type
+  //.
+  //. Type comprising every [`TypeError`][] value. Subtype of [`Error`][].
+  var TypeError_ = ErrorSubtype ('TypeError');
+
+  //# URIError :: Type
+  //.
+  //. Type comprising every [URIError][] value. Subtype of [`Error`][].
+  var URIError_ = ErrorSubtype ('URIError');
+
+  //# FinalizationRegistry :: Type
+  //.
+  //. Type comprising every [FinalizationRegistry][] object.
+  var FinalizationRegistry_ = NullaryTypeWithUrl
+    ('FinalizationRegistry')
+    ([])
+    (typeEq ('FinalizationRegistry'));
+
   //# Fn :: Type -> Type -> Type
   //.
   //. Binary type constructor for unary function types. `$.Fn (I) (O)`
@@ -822,6 +1159,7 @@
 
   function nonZero(x) { return x !== 0; }
   function nonNegative(x) { return x >= 0; }
+  function nonPositive(x) { return x <= 0; }
   function positive(x) { return x > 0; }
   function negative(x) { return x < 0; }
 
@@ -841,6 +1179,22 @@
     ([Number_])
     (negative);
 
+  //# NonNegativeNumber :: Type
+  //.
+  //. Type comprising every non-negative [`Number`][] value (including `-0`).
+  var NonNegativeNumber = NullaryTypeWithUrl
+    ('NonNegativeNumber')
+    ([Number_])
+    (nonNegative);
+
+  //# NonPositiveNumber :: Type
+  //.
+  //. Type comprising every non-positive [`Number`][] value (including `0`).
+  var NonPositiveNumber = NullaryTypeWithUrl
+    ('NonPositiveNumber')
+    ([Number_])
+    (nonPositive);
+
   //# ValidNumber :: Type
   //.
   //. Type comprising every [`Number`][] value except `NaN`.
@@ -890,6 +1244,24 @@
     ([FiniteNumber])
     (negative);
 
+  //# NonNegativeFiniteNumber :: Type
+  //.
+  //. Type comprising every non-negative [`FiniteNumber`][] value
+  //. (including `-0`).
+  var NonNegativeFiniteNumber = NullaryTypeWithUrl
+    ('NonNegativeFiniteNumber')
+    ([FiniteNumber])
+    (nonNegative);
+
+  //# NonPositiveFiniteNumber :: Type
+  //.
+  //. Type comprising every non-positive [`FiniteNumber`][] value
+  //. (including `0`).
+  var NonPositiveFiniteNumber = NullaryTypeWithUrl
+    ('NonPositiveFiniteNumber')
+    ([FiniteNumber])
+    (nonPositive);
+
   //# Integer :: Type
   //.
   //. Type comprising every integer in the range
@@ -920,6 +1292,14 @@
     ([Integer])
     (nonNegative);
 
+  //# NonPositiveInteger :: Type
+  //.
+  //. Type comprising every non-positive [`Integer`][] value (including `0`).
+  var NonPositiveInteger = NullaryTypeWithUrl
+    ('NonPositiveInteger')
+    ([Integer])
+    (nonPositive);
+
   //# PositiveInteger :: Type
   //.
   //. Type comprising every [`Integer`][] value greater than zero.
@@ -936,6 +1316,110 @@
     ([Integer])
     (negative);
 
+  //  showBound :: Number -> String
+  function showBound(n) {
+    return when (n < 0 || 1 / n < 0) (wrap ('(') (')')) (show (n));
+  }
+
+  //  rangeType :: (String, Type, Boolean) -> Number -> Number -> Type
+  function rangeType(name, base, exclusive) {
+    return function(min) {
+      return function(max) {
+        if (exclusive ? min >= max : min > max) {
+          throw new TypeError (
+            q (name) + ' requires the lower bound to be ' +
+            (exclusive ? 'less than' : 'less than or equal to') +
+            ' the upper bound; ' + show (min) + ' is not ' +
+            (exclusive ? 'less than' : 'less than or equal to') + ' ' +
+            show (max) + '.'
+          );
+        }
+        return Refine (name + ' ' + showBound (min) + ' ' + showBound (max))
+                      (functionUrl (name))
+                      (base)
+                      (exclusive ?
+                       function(x) {
+                         return x <= min ? 'must be > ' + show (min) :
+                                x >= max ? 'must be < ' + show (max) :
+                                // else
+                                true;
+                       } :
+                       function(x) {
+                         return x < min ? 'must be ≥ ' + show (min) :
+                                x > max ? 'must be ≤ ' + show (max) :
+                                // else
+                                true;
+                       });
+      };
+    };
+  }
+
+  //# IntegerBetween :: Integer -> Integer -> Type
+  //.
+  //. Type constructor for [`Integer`][] ranges. `IntegerBetween (min) (max)`
+  //. comprises every integer `n` such that `min ≤ n ≤ max`. The bounds are
+  //. included in the type's name, so they appear in signatures and error
+  //. messages. A [`TypeError`][] is thrown if `min > max`.
+  //.
+  //. ```javascript
+  //. //    httpStatus :: IntegerBetween 100 599 -> String
+  //. const httpStatus =
+  //. def ('httpStatus')
+  //.     ({})
+  //.     ([$.IntegerBetween (100) (599), $.String])
+  //.     (n => 'HTTP ' + n);
+  //.
+  //. httpStatus (404);
+  //. // => 'HTTP 404'
+  //.
+  //. httpStatus (600);
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   httpStatus :: IntegerBetween 100 599 -> String
+  //. //                 ^^^^^^^^^^^^^^^^^^^^^^
+  //. //                           1
+  //. //
+  //. //   1)  600 :: Number
+  //. //
+  //. //   The value at position 1 is not a member of ‘IntegerBetween 100 599’.
+  //. //
+  //. //   The value must be ≤ 599 (got 600).
+  //. //
+  //. //   See https://github.com/sanctuary-js/sanctuary-def/tree/v0.22.0#IntegerBetween for information about the IntegerBetween 100 599 type.
+  //. ```
+  var IntegerBetween = rangeType ('IntegerBetween', Integer, false);
+
+  //# NumberBetween :: FiniteNumber -> FiniteNumber -> Type
+  //.
+  //. Type constructor for [`FiniteNumber`][] ranges with inclusive bounds.
+  //. `NumberBetween (min) (max)` comprises every finite number `x` such that
+  //. `min ≤ x ≤ max`. A [`TypeError`][] is thrown if `min > max`.
+  //.
+  //. ```javascript
+  //. $.test ([]) ($.NumberBetween (0) (1)) (1);
+  //. // => true
+  //.
+  //. $.test ([]) ($.NumberBetween (0) (1)) (1.5);
+  //. // => false
+  //. ```
+  var NumberBetween = rangeType ('NumberBetween', FiniteNumber, false);
+
+  //# NumberBetweenExclusive :: FiniteNumber -> FiniteNumber -> Type
+  //.
+  //. Type constructor for [`FiniteNumber`][] ranges with exclusive bounds.
+  //. `NumberBetweenExclusive (min) (max)` comprises every finite number `x`
+  //. such that `min < x < max`. A [`TypeError`][] is thrown if `min ≥ max`.
+  //.
+  //. ```javascript
+  //. $.test ([]) ($.NumberBetweenExclusive (0) (1)) (0.5);
+  //. // => true
+  //.
+  //. $.test ([]) ($.NumberBetweenExclusive (0) (1)) (1);
+  //. // => false
+  //. ```
+  var NumberBetweenExclusive =
+    rangeType ('NumberBetweenExclusive', FiniteNumber, true);
+
   //# Object :: Type
   //.
   //. Type comprising every "plain" Object value. Specifically, values
@@ -960,6 +1444,269 @@
     (function(pair) { return [pair.fst]; })
     (function(pair) { return [pair.snd]; });
 
+  //# Promise :: Type -> Type
+  //.
+  //. Constructor for native Promise types. `$.Promise ($.Number)`, for
+  //. example, is the type comprising every native Promise which resolves
+  //. to a number.
+  //.
+  //. A promise's resolution value is not available until the promise
+  //. settles, so only the promise itself is checked when it is passed to or
+  //. returned from a function defined via `def`. The function receives or
+  //. returns a derived promise instead, which rejects with a [`TypeError`][]
+  //. if the resolution value is not a member of the specified type. Type
+  //. variables are shared with the rest of the function's signature.
+  //.
+  //. Only promises which appear at the top level of a signature (as an
+  //. argument or return value) are checked in this way: a promise within
+  //. another value, as in `Array (Promise Number)`, is checked to be a
+  //. promise but its resolution value is not checked. A promise passed to
+  //. the function which fails the check is not reported as an unhandled
+  //. rejection, as the function may legitimately disregard a promise it
+  //. receives. A promise which rejects of its own accord, or a promise
+  //. returned from the function, is reported as usual if left unhandled.
+  //.
+  //.
+  //. ```javascript
+  //. //    delay :: a -> Promise a
+  //. const delay =
+  //. def ('delay')
+  //.     ({})
+  //.     ([a, $.Promise (a)])
+  //.     (x => Promise.resolve (String (x)));
+  //.
+  //. //  delay (42) returns a promise which rejects with:
+  //. //
+  //. //  TypeError: Type-variable constraint violation
+  //. //
+  //. //    delay :: a -> Promise a
+  //. //             ^            ^
+  //. //             1            2
+  //. //
+  //. //    1)  42 :: Number
+  //. //
+  //. //    2)  "42" :: String
+  //. //
+  //. //    Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+  //. ```
+  var Promise_ = UnaryTypeWithUrl
+    ('Promise')
+    ([])
+    (typeEq ('Promise'))
+    (K ([]));
+
+  //# Iterable :: Type -> Type
+  //.
+  //. Constructor for types comprising every value with a `Symbol.iterator`
+  //. method. `$.Iterable ($.Number)`, for example, is the type comprising
+  //. every iterable value whose elements are numbers.
+  //.
+  //. Iterables may be infinite, and iterating over an iterable may have side
+  //. effects, so elements are not checked when an iterable is passed to or
+  //. returned from a function defined via `def`. The function receives or
+  //. returns a wrapper instead, whose iterators throw a [`TypeError`][] as
+  //. soon as they produce an element which is not a member of the specified
+  //. type. The error message includes the element's index.
+  //.
+  //. ```javascript
+  //. //    sum :: Iterable Number -> Number
+  //. const sum =
+  //. def ('sum')
+  //.     ({})
+  //.     ([$.Iterable ($.Number), $.Number])
+  //.     (xs => Array.from (xs).reduce ((total, x) => total + x, 0));
+  //.
+  //. sum (new Set ([1, 2, 3]));
+  //. // => 6
+  //.
+  //. sum (new Set ([1, '2', 3]));
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   sum :: Iterable Number -> Number
+  //. //                   ^^^^^^
+  //. //                     1
+  //. //
+  //. //   1)  "2" :: String
+  //. //
+  //. //   The value at position 1 is not a member of ‘Number’.
+  //. //
+  //. //   See https://github.com/sanctuary-js/sanctuary-def/tree/v0.22.0#Number for information about the Number type.
+  //. //
+  //. //   The offending value is the element at index 1 of the iterable.
+  //. ```
+  var Iterable = UnaryTypeWithUrl
+    ('Iterable')
+    ([])
+    (function(x) {
+       /* global Symbol:false */
+       return x != null && typeof x[Symbol.iterator] === 'function';
+     })
+    (K ([]));
+
+  //# Iterator :: Type -> Type
+  //.
+  //. Constructor for types comprising every value with a `next` method.
+  //. `$.Iterator ($.Number)`, for example, is the type comprising every
+  //. iterator whose elements are numbers. As with [`Iterable`][], elements
+  //. are checked as they are pulled from the iterator.
+  var Iterator = UnaryTypeWithUrl
+    ('Iterator')
+    ([])
+    (function(x) { return x != null && typeof x.next === 'function'; })
+    (K ([]));
+
+  //# Generator :: Type -> Type
+  //.
+  //. Constructor for types comprising every generator object (such as the
+  //. value returned by a generator function). `$.Generator ($.Number)`, for
+  //. example, is the type comprising every generator which yields numbers.
+  //. As with [`Iterable`][], elements are checked as they are yielded, so
+  //. a function defined via `def` may return an infinite generator.
+  var Generator = UnaryTypeWithUrl
+    ('Generator')
+    ([Iterator (Unknown)])
+    (function(x) { return toString.call (x) === '[object Generator]'; })
+    (K ([]));
+
+  //# AsyncIterable :: Type -> Type
+  //.
+  //. Constructor for types comprising every value with a
+  //. `Symbol.asyncIterator` method, such as the value returned by an async
+  //. generator function or an object-mode Node stream. As with
+  //. [`Iterable`][], elements are checked as they are pulled: the promises
+  //. returned by the wrapper's iterators reject with a [`TypeError`][] if an
+  //. element is not a member of the specified type.
+  var AsyncIterable = UnaryTypeWithUrl
+    ('AsyncIterable')
+    ([])
+    (function(x) {
+       return x != null && typeof x[Symbol.asyncIterator] === 'function';
+     })
+    (K ([]));
+
+  //  isBuiltinUnaryType :: String -> Type -> Boolean
+  //
+  //  Returns true if the given type was produced by the built-in unary type
+  //  constructor with the given name (rather than by a user-defined type
+  //  constructor which happens to have the same name).
+  function isBuiltinUnaryType(name) {
+    return function(t) {
+      return t.type === UNARY &&
+             t.name === name &&
+             t.url === functionUrl (name);
+    };
+  }
+
+  //# Readonly :: Type -> Type
+  //.
+  //. Constructor for types comprising every frozen member of the given type
+  //. (primitives are always frozen). `$.Readonly ($.Array ($.Number))`, for
+  //. example, is the type comprising every frozen array of numbers. Only the
+  //. value itself must be frozen; see [`DeepReadonly`][] for a type whose
+  //. members' contents must also be frozen.
+  //.
+  //. ```javascript
+  //. //    head :: Readonly (Array Number) -> Number
+  //. const head =
+  //. def ('head')
+  //.     ({})
+  //.     ([$.Readonly ($.Array ($.Number)), $.Number])
+  //.     (xs => xs[0]);
+  //.
+  //. head (Object.freeze ([1, 2, 3]));
+  //. // => 1
+  //.
+  //. head ([1, 2, 3]);
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   head :: Readonly (Array Number) -> Number
+  //. //           ^^^^^^^^^^^^^^^^^^^^^^^
+  //. //                      1
+  //. //
+  //. //   1)  [1, 2, 3] :: Array Number
+  //. //
+  //. //   The value at position 1 is not a member of ‘Readonly (Array Number)’.
+  //. //
+  //. //   See https://github.com/sanctuary-js/sanctuary-def/tree/v0.22.0#Readonly for information about the Readonly type constructor.
+  //. ```
+  var Readonly = UnaryTypeWithUrl
+    ('Readonly')
+    ([])
+    (function(x) { return Object.isFrozen (x); })
+    (function(x) { return [x]; });
+
+  //  deepFrozen :: (Type, Any) -> Boolean
+  //
+  //  Returns true if the given value, which must be a member of the given
+  //  type, is frozen, as is every value reachable from it via the extractors
+  //  of the type. The members of a union are not traversed, as the value
+  //  need not be a member of each of them.
+  function deepFrozen(t, x) {
+    return Object.isFrozen (x) &&
+           (t.type === UNION || t.keys.every (function(k) {
+             return (t.extractors[k] (x)).every (function(y) {
+               return deepFrozen (t.types[k], y);
+             });
+           }));
+  }
+
+  //# DeepReadonly :: Type -> Type
+  //.
+  //. Like [`Readonly`][], but the values contained by a member (as determined
+  //. by the given type) must be frozen too. `$.DeepReadonly ($.Array
+  //. ($.Array ($.Number)))`, for example, is the type comprising every frozen
+  //. array of frozen arrays of numbers. Values whose types have no type
+  //. parameters or fields, such as members of a [`Union`][] or of a type
+  //. variable, are only required to be frozen themselves. A value which is
+  //. not a member of the given type is not a member of `DeepReadonly` of it
+  //. either.
+  function DeepReadonly(t) {
+    //  Membership of the given type is checked in the caller's environment
+    //  (which type variables require) before the value is traversed.
+    function test(env) {
+      var validate = t.validate (env);
+      return function(x) {
+        return (validate (x)).isRight && deepFrozen (t, x);
+      };
+    }
+    return _Type (UNARY,
+                  'DeepReadonly',
+                  functionUrl ('DeepReadonly'),
+                  1,
+                  null,
+                  [],
+                  test,
+                  [['$1', function(x) { return [x]; }, t]]);
+  }
+
+  //  frozenCopy :: (a, Array Any, Array Any) -> a
+  //
+  //  Returns a frozen copy of the given value if it is an array or a plain
+  //  object which is not frozen, with its elements or values copied likewise;
+  //  returns the value itself otherwise. The value is copied rather than
+  //  frozen in place as it may belong to the caller (it may be an argument
+  //  returned as is, for example). Objects copied already are tracked, so
+  //  circular and shared references are preserved.
+  function frozenCopy(x, originals, copies) {
+    if (Object.isFrozen (x) ||
+        !(Array.isArray (x) ||
+          Object.getPrototypeOf (x) === Object.prototype ||
+          Object.getPrototypeOf (x) == null)) {
+      return x;
+    }
+    var idx = originals.indexOf (x);
+    if (idx >= 0) return copies[idx];
+    var copy = Array.isArray (x) ?
+               new Array (x.length) :
+               Object.create (Object.getPrototypeOf (x));
+    originals.push (x);
+    copies.push (copy);
+    Object.keys (x).forEach (function(k) {
+      copy[k] = frozenCopy (x[k], originals, copies);
+    });
+    return Object.freeze (copy);
+  }
+
   //# RegExp :: Type
   //.
   //. Type comprising every RegExp value.
@@ -1000,6 +1747,52 @@
     (K (true))
     (I);
 
+  //# Dict :: Type -> Type -> Type
+  //.
+  //. Constructor for Object types whose keys as well as values are
+  //. constrained. `$.Dict ($.Uuid) ($.Number)`, for example, is the type
+  //. comprising every object whose keys are UUIDs and whose values are
+  //. numbers. Unlike with [`StrMap`][], the key type participates in
+  //. type-variable inference, and a type error identifies whether a key or a
+  //. value is at fault:
+  //.
+  //. ```javascript
+  //. //    Currency :: Type
+  //. const Currency = $.EnumType
+  //.   ('Currency')
+  //.   ('http://example.com/my-package#Currency')
+  //.   (['EUR', 'GBP', 'USD']);
+  //.
+  //. //    total :: Dict Currency Number -> Number
+  //. const total =
+  //. def ('total')
+  //.     ({})
+  //.     ([$.Dict (Currency) ($.Number), $.Number])
+  //.     (prices => Object.keys (prices).reduce ((n, k) => n + prices[k], 0));
+  //.
+  //. total ({EUR: 1, USD: 2});
+  //. // => 3
+  //.
+  //. total ({EUR: 1, JPY: 2});
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   total :: Dict Currency Number -> Number
+  //. //                 ^^^^^^^^
+  //. //                    1
+  //. //
+  //. //   1)  "JPY" :: String
+  //. //
+  //. //   The value at position 1 is not a member of ‘Currency’.
+  //. //
+  //. //   See http://example.com/my-package#Currency for information about the Currency type.
+  //. ```
+  var Dict = BinaryTypeWithUrl
+    ('Dict')
+    ([Object_])
+    (K (true))
+    (sortedKeys)
+    (I);
+
   //# String :: Type
   //.
   //. Type comprising every primitive String value.
@@ -1025,20 +1818,317 @@
     ([String_])
     (function(s) { return /^g?i?m?$/.test (s); });
 
-  //# Symbol :: Type
+  //# StringMatching :: NonGlobalRegExp -> Type
   //.
-  //. Type comprising every Symbol value.
-  var Symbol_ = NullaryTypeWithUrl
-    ('Symbol')
-    ([])
-    (typeofEq ('symbol'));
-
-  //# Type :: Type
+  //. Type constructor for String types defined by a pattern.
+  //. `StringMatching (pattern)` comprises every string which matches the
+  //. given (non-global) regular expression. The pattern is included in the
+  //. type's name.
   //.
-  //. Type comprising every `Type` value.
-  var Type = NullaryTypeWithUrl
-    ('Type')
-    ([])
+  //. ```javascript
+  //. //    Slug :: Type
+  //. const Slug = $.StringMatching (/^[a-z0-9]+(-[a-z0-9]+)*$/);
+  //.
+  //. $.test ([]) (Slug) ('hello-world');
+  //. // => true
+  //.
+  //. $.test ([]) (Slug) ('Hello, world!');
+  //. // => false
+  //. ```
+  function StringMatching(pattern) {
+    return Refine ('StringMatching ' + show (pattern))
+                  (functionUrl ('StringMatching'))
+                  (String_)
+                  (function(s) {
+                     return pattern.test (s) ||
+                            'must match ' + show (pattern);
+                   });
+  }
+
+  //  pluralize :: (String, Integer) -> String
+  function pluralize(word, n) {
+    return show (n) + ' ' + word + (n === 1 ? '' : 's');
+  }
+
+  //# StringOfLength :: NonNegativeInteger -> NonNegativeInteger -> Type
+  //.
+  //. Type constructor for String types with bounded lengths.
+  //. `StringOfLength (min) (max)` comprises every string whose length
+  //. (measured in UTF-16 code units) is at least `min` and at most `max`.
+  //. A [`TypeError`][] is thrown if `min > max`.
+  //.
+  //. ```javascript
+  //. //    Username :: Type
+  //. const Username = $.StringOfLength (3) (16);
+  //.
+  //. //    greet :: Username -> String
+  //. const greet =
+  //. def ('greet')
+  //.     ({})
+  //.     ([Username, $.String])
+  //.     (username => 'Hello, ' + username + '!');
+  //.
+  //. greet ('sanctuary');
+  //. // => 'Hello, sanctuary!'
+  //.
+  //. greet ('js');
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   greet :: StringOfLength 3 16 -> String
+  //. //            ^^^^^^^^^^^^^^^^^^^
+  //. //                     1
+  //. //
+  //. //   1)  "js" :: String
+  //. //
+  //. //   The value at position 1 is not a member of ‘StringOfLength 3 16’.
+  //. //
+  //. //   The value must be at least 3 characters long (got "js").
+  //. //
+  //. //   See https://github.com/sanctuary-js/sanctuary-def/tree/v0.22.0#StringOfLength for information about the StringOfLength 3 16 type.
+  //. ```
+  function StringOfLength(min) {
+    return function(max) {
+      if (min > max) {
+        throw new TypeError (
+          q ('StringOfLength') + ' requires the lower bound to be less ' +
+          'than or equal to the upper bound; ' + show (min) + ' is not ' +
+          'less than or equal to ' + show (max) + '.'
+        );
+      }
+      return Refine ('StringOfLength ' + show (min) + ' ' + show (max))
+                    (functionUrl ('StringOfLength'))
+                    (String_)
+                    (function(s) {
+                       return s.length < min ?
+                              'must be at least ' +
+                              pluralize ('character', min) + ' long' :
+                              s.length > max ?
+                              'must be at most ' +
+                              pluralize ('character', max) + ' long' :
+                              // else
+                              true;
+                     });
+    };
+  }
+
+  //# NonEmptyString :: Type
+  //.
+  //. Type comprising every [`String`][] value except `''`.
+  var NonEmptyString = Refine
+    ('NonEmptyString')
+    (functionUrl ('NonEmptyString'))
+    (String_)
+    (function(s) { return s.length > 0 || 'must not be empty'; });
+
+  //# Uuid :: Type
+  //.
+  //. Type comprising every [`String`][] value which is a UUID in its
+  //. canonical textual representation, such as
+  //. `'123e4567-e89b-12d3-a456-426614174000'` (either case is accepted).
+  var Uuid = Refine
+    ('Uuid')
+    (functionUrl ('Uuid'))
+    (String_)
+    (function(s) {
+       return /^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}$/i.test (s) ||
+              'must be of the form ‘xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx’';
+     });
+
+  //  isoDatePattern :: RegExp
+  var isoDatePattern = new RegExp (
+    '^([0-9]{4})-([0-9]{2})-([0-9]{2})' +
+    '(T([01][0-9]|2[0-3]):[0-5][0-9](:[0-5][0-9]([.][0-9]+)?)?' +
+    '(Z|[+-]([01][0-9]|2[0-3]):[0-5][0-9])?)?$'
+  );
+
+  //# IsoDateString :: Type
+  //.
+  //. Type comprising every [`String`][] value which is an [ISO 8601][]
+  //. calendar date, such as `'2000-12-31'`, optionally followed by a time
+  //. and a time zone designator, such as `'2000-12-31T23:59:59.999Z'`.
+  //. The date must exist: `'2001-02-29'` is not a member of this type.
+  var IsoDateString = Refine
+    ('IsoDateString')
+    (functionUrl ('IsoDateString'))
+    (String_)
+    (function(s) {
+       var match = isoDatePattern.exec (s);
+       if (match == null) {
+         return 'must be an ISO 8601 date such as ‘2000-12-31’';
+       }
+       var month = Number (match[2]) - 1;
+       var day = Number (match[3]);
+       var date = new Date (0);
+       date.setUTCFullYear (Number (match[1]), month, day);
+       return date.getUTCMonth () === month && date.getUTCDate () === day ||
+              'must denote a date which exists';
+     });
+
+  //# EmailAddress :: Type
+  //.
+  //. Type comprising every [`String`][] value of the form `local@domain`,
+  //. where the domain contains at least one dot and neither part contains
+  //. whitespace or a second `@`. The check is deliberately permissive; it
+  //. does not guarantee that the address is deliverable.
+  var EmailAddress = Refine
+    ('EmailAddress')
+    (functionUrl ('EmailAddress'))
+    (String_)
+    (function(s) {
+       return /^[^\s@]+@[^\s@.]+([.][^\s@.]+)+$/.test (s) ||
+              'must be an email address such as ‘user@example.com’';
+     });
+
+  //# Url :: Type
+  //.
+  //. Type comprising every [`String`][] value which is an absolute URL with
+  //. a scheme and a host, such as `'https://sanctuary.js.org/'`, and which
+  //. contains no whitespace.
+  var Url = Refine
+    ('Url')
+    (functionUrl ('Url'))
+    (String_)
+    (function(s) {
+       return /^[a-z][a-z0-9+.-]*:\/\/[^\s/?#]+[^\s]*$/i.test (s) ||
+              'must be an absolute URL such as ‘https://example.com/’';
+     });
+
+  //# Json :: Type
+  //.
+  //. Type comprising every JSON value: `null`, every Boolean value, every
+  //. [`FiniteNumber`][] value, every [`String`][] value, and every array or
+  //. object whose elements or values are themselves JSON values. Circular
+  //. structures are not JSON values. A value which is not a member is
+  //. rejected with the innermost offending value and the path to it:
+  //.
+  //. ```javascript
+  //. //    save :: Json -> String
+  //. const save =
+  //. def ('save')
+  //.     ({})
+  //.     ([$.Json, $.String])
+  //.     (JSON.stringify);
+  //.
+  //. save ({name: 'foo', tags: ['a', 'b']});
+  //. // => '{"name":"foo","tags":["a","b"]}'
+  //.
+  //. save ({name: 'foo', tags: ['a', NaN]});
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   save :: Json -> String
+  //. //           ^^^^
+  //. //            1
+  //. //
+  //. //   1)  NaN :: Number
+  //. //
+  //. //   The value at position 1 is not a member of ‘Json’.
+  //. //
+  //. //   It occurs at ["tags", 1] within the ‘Json’ value.
+  //. //
+  //. //   NaN is not a member of ‘(Null | Boolean | FiniteNumber | String | Array Json | StrMap Json)’.
+  //. //
+  //. //   Each member of the union rejects the value:
+  //. //
+  //. //     - Null: NaN is not a member of ‘Null’.
+  //. //     - Boolean: NaN is not a member of ‘Boolean’.
+  //. //     - FiniteNumber: NaN is not a member of ‘FiniteNumber’.
+  //. //     - String: NaN is not a member of ‘String’.
+  //. //     - Array Json: NaN is not a member of ‘Array Json’.
+  //. //     - StrMap Json: NaN is not a member of ‘StrMap Json’.
+  //. //
+  //. //   See https://github.com/sanctuary-js/sanctuary-def/tree/v0.22.0#Json for information about the Json type.
+  //. ```
+  var Json = recursiveType (
+    'Json',
+    functionUrl ('Json'),
+    false,
+    function(self) {
+      return Union ([Null,
+                     Boolean_,
+                     FiniteNumber,
+                     String_,
+                     Array_ (self),
+                     StrMap (self)]);
+    }
+  );
+
+  //  jsonViolation :: (Array Type, Array (String | Integer), Array Any, Any) -> { value :: Any, propPath :: Array (String | Integer) }
+  //
+  //  Returns the innermost value nested within the given non-JSON value
+  //  which prevents it from being a JSON value, along with the path to it
+  //  (in key order). A circular reference is itself the offending value.
+  function jsonViolation(env, propPath, ancestors, x) {
+    var test = _test (env);
+    var keys = ancestors.indexOf (x) >= 0 ? [] :
+               Array.isArray (x) ? range (0, x.length) :
+               test (x) (StrMap (Json)) ? sortedKeys (x) :
+               // else
+                 [];
+    for (var idx = 0; idx < keys.length; idx += 1) {
+      var k = keys[idx];
+      if (!(test (x[k]) (Json))) {
+        return jsonViolation (env,
+                              Z.concat (propPath, [k]),
+                              Z.concat (ancestors, [x]),
+                              x[k]);
+      }
+    }
+    return {value: x, propPath: propPath};
+  }
+
+  //  Unlike other recursive types, Json reports the path to the offending
+  //  value, as its definition determines the key of each nested value.
+  Json.validate = function(env) {
+    return function(x) {
+      return _test (env) (x) (Json) ?
+             Right (x) :
+             Left (jsonViolation (env, [], [], x));
+    };
+  };
+
+  //# JsonObject :: Type
+  //.
+  //. Type comprising every [`Json`][] value which is an object (rather than
+  //. `null`, a Boolean, a number, a string, or an array).
+  var JsonObject = Refine
+    ('JsonObject')
+    (functionUrl ('JsonObject'))
+    (Json)
+    (function(x) {
+       return toString.call (x) === '[object Object]' || 'must be an object';
+     });
+
+  //# Symbol :: Type
+  //.
+  //. Type comprising every Symbol value.
+  var Symbol_ = NullaryTypeWithUrl
+    ('Symbol')
+    ([])
+    (typeofEq ('symbol'));
+
+  //# Tuple :: Array Type -> Type
+  //.
+  //. Constructor for heterogeneous Array types of any fixed length.
+  //. `['foo', 42, true]` is a member of `Tuple String Number Boolean`.
+  //. Type variables are tracked position by position, as they are for
+  //. [`Array2`][].
+  function Tuple(types) {
+    return naryType ('Tuple',
+                     functionUrl ('Tuple'),
+                     [Array_ (Unknown)],
+                     sizeEq (types.length),
+                     Z.map (function(idx) {
+                       return function(xs) { return [xs[idx]]; };
+                     }, range (0, types.length)),
+                     types);
+  }
+
+  //# Type :: Type
+  //.
+  //. Type comprising every `Type` value.
+  var Type = NullaryTypeWithUrl
+    ('Type')
+    ([])
     (typeEq ('sanctuary-def/Type@1'));
 
   //# TypeClass :: Type
@@ -1057,6 +2147,33 @@
     ([])
     (typeEq ('Undefined'));
 
+  //# WeakMap :: Type
+  //.
+  //. Type comprising every [WeakMap][] object. A WeakMap's entries cannot be
+  //. enumerated, so the types of its keys and values are not checked.
+  var WeakMap_ = NullaryTypeWithUrl
+    ('WeakMap')
+    ([])
+    (typeEq ('WeakMap'));
+
+  //# WeakRef :: Type
+  //.
+  //. Type comprising every [WeakRef][] object. The target is not checked, as
+  //. it may be reclaimed at any time.
+  var WeakRef_ = NullaryTypeWithUrl
+    ('WeakRef')
+    ([])
+    (typeEq ('WeakRef'));
+
+  //# WeakSet :: Type
+  //.
+  //. Type comprising every [WeakSet][] object. A WeakSet's values cannot be
+  //. enumerated, so their types are not checked.
+  var WeakSet_ = NullaryTypeWithUrl
+    ('WeakSet')
+    ([])
+    (typeEq ('WeakSet'));
+
   //# env :: Array Type
   //.
   //. An array of [types][]:
@@ -1065,15 +2182,26 @@
   //.   - <code>[Arguments](#Arguments)</code>
   //.   - <code>[Array](#Array) ([Unknown][])</code>
   //.   - <code>[Array2](#Array2) ([Unknown][]) ([Unknown][])</code>
+  //.   - <code>[ArrayBuffer](#ArrayBuffer)</code>
+  //.   - <code>[BigInt](#BigInt)</code>
+  //.   - <code>[BigInt64Array](#BigInt64Array)</code>
+  //.   - <code>[BigUint64Array](#BigUint64Array)</code>
   //.   - <code>[Boolean](#Boolean)</code>
   //.   - <code>[Buffer](#Buffer)</code>
+  //.   - <code>[DataView](#DataView)</code>
   //.   - <code>[Date](#Date)</code>
   //.   - <code>[Descending](#Descending) ([Unknown][])</code>
   //.   - <code>[Either](#Either) ([Unknown][]) ([Unknown][])</code>
   //.   - <code>[Error](#Error)</code>
+  //.   - <code>[FinalizationRegistry](#FinalizationRegistry)</code>
+  //.   - <code>[Float32Array](#Float32Array)</code>
+  //.   - <code>[Float64Array](#Float64Array)</code>
   //.   - <code>[Fn](#Fn) ([Unknown][]) ([Unknown][])</code>
   //.   - <code>[HtmlElement](#HtmlElement)</code>
   //.   - <code>[Identity](#Identity) ([Unknown][])</code>
+  //.   - <code>[Int16Array](#Int16Array)</code>
+  //.   - <code>[Int32Array](#Int32Array)</code>
+  //.   - <code>[Int8Array](#Int8Array)</code>
   //.   - <code>[JsMap](#JsMap) ([Unknown][]) ([Unknown][])</code>
   //.   - <code>[JsSet](#JsSet) ([Unknown][])</code>
   //.   - <code>[Maybe](#Maybe) ([Unknown][])</code>
@@ -1082,27 +2210,47 @@
   //.   - <code>[Number](#Number)</code>
   //.   - <code>[Object](#Object)</code>
   //.   - <code>[Pair](#Pair) ([Unknown][]) ([Unknown][])</code>
+  //.   - <code>[Promise](#Promise) ([Unknown][])</code>
   //.   - <code>[RegExp](#RegExp)</code>
+  //.   - <code>[SharedArrayBuffer](#SharedArrayBuffer)</code>
   //.   - <code>[StrMap](#StrMap) ([Unknown][])</code>
   //.   - <code>[String](#String)</code>
   //.   - <code>[Symbol](#Symbol)</code>
   //.   - <code>[Type](#Type)</code>
   //.   - <code>[TypeClass](#TypeClass)</code>
+  //.   - <code>[Uint16Array](#Uint16Array)</code>
+  //.   - <code>[Uint32Array](#Uint32Array)</code>
+  //.   - <code>[Uint8Array](#Uint8Array)</code>
+  //.   - <code>[Uint8ClampedArray](#Uint8ClampedArray)</code>
   //.   - <code>[Undefined](#Undefined)</code>
+  //.   - <code>[WeakMap](#WeakMap)</code>
+  //.   - <code>[WeakRef](#WeakRef)</code>
+  //.   - <code>[WeakSet](#WeakSet)</code>
   var env = [
     AnyFunction,
     Arguments,
     Array_ (Unknown),
     Array2 (Unknown) (Unknown),
+    ArrayBuffer_,
+    BigInt_,
+    BigInt64Array_,
+    BigUint64Array_,
     Boolean_,
     Buffer_,
+    DataView_,
     Date_,
     Descending (Unknown),
     Either_ (Unknown) (Unknown),
     Error_,
+    FinalizationRegistry_,
+    Float32Array_,
+    Float64Array_,
     Fn (Unknown) (Unknown),
     HtmlElement,
     Identity (Unknown),
+    Int16Array_,
+    Int32Array_,
+    Int8Array_,
     JsMap (Unknown) (Unknown),
     JsSet (Unknown),
     Maybe (Unknown),
@@ -1111,13 +2259,22 @@
     Number_,
     Object_,
     Pair (Unknown) (Unknown),
+    Promise_ (Unknown),
     RegExp_,
+    SharedArrayBuffer_,
     StrMap (Unknown),
     String_,
     Symbol_,
     Type,
     TypeClass,
-    Undefined
+    Uint16Array_,
+    Uint32Array_,
+    Uint8Array_,
+    Uint8ClampedArray_,
+    Undefined,
+    WeakMap_,
+    WeakRef_,
+    WeakSet_
   ];
 
   //  Unchecked :: String -> Type
@@ -1196,13 +2353,11 @@
         return (
           (t.validate (env) (value)).isLeft ?
             [] :
-          t.type === UNARY ?
-            Z.map (fromUnaryType (t),
-                   expandUnknown2 (t.extractors.$1) (t.types.$1)) :
-          t.type === BINARY ?
-            Z.lift2 (fromBinaryType (t),
-                     expandUnknown2 (t.extractors.$1) (t.types.$1),
-                     expandUnknown2 (t.extractors.$2) (t.types.$2)) :
+          isParameterized (t) ?
+            Z.map (fromNaryType (t),
+                   product (Z.map (function(k) {
+                     return expandUnknown2 (t.extractors[k]) (t.types[k]);
+                   }, t.keys))) :
           // else
             [t]
         );
@@ -1211,15 +2366,15 @@
 
     return isEmpty (values) ?
       [Unknown] :
-      or (Z.reduce (refine, env, values), [Inconsistent]);
+      or (Z.reduce (refine, withBrands (env, values), values),
+          [Inconsistent]);
   }
 
   //  isConsistent :: Type -> Boolean
   function isConsistent(t) {
-    return t.type === UNARY   ? isConsistent (t.types.$1) :
-           t.type === BINARY  ? isConsistent (t.types.$1) &&
-                                isConsistent (t.types.$2) :
-           /* else */           t.type !== INCONSISTENT;
+    return isParameterized (t) ?
+           t.keys.every (function(k) { return isConsistent (t.types[k]); }) :
+           t.type !== INCONSISTENT;
   }
 
   //  determineActualTypesStrict :: (Array Type, Array Any) -> Array Type
@@ -1263,7 +2418,7 @@
     }
     if (!(hasOwnProperty.call ($typeVarMap, typeVar.name))) {
       $typeVarMap[typeVar.name] = {
-        types: Z.filter (arityGte (typeVar.arity), env),
+        types: Z.filter (arityGte (typeVar.arity), withBrands (env, values)),
         valuesByPath: {}
       };
     }
@@ -1285,13 +2440,12 @@
         return (
           !(isValid (t) (value)) ?
             [] :
-          typeVar.arity === 0 && t.type === UNARY ?
-            Z.map (fromUnaryType (t),
-                   expandUnknownStrict2 (t.extractors.$1) (t.types.$1)) :
-          typeVar.arity === 0 && t.type === BINARY ?
-            Z.lift2 (fromBinaryType (t),
-                     expandUnknownStrict2 (t.extractors.$1) (t.types.$1),
-                     expandUnknownStrict2 (t.extractors.$2) (t.types.$2)) :
+          typeVar.arity === 0 && isParameterized (t) ?
+            Z.map (fromNaryType (t),
+                   product (Z.map (function(k) {
+                     return expandUnknownStrict2 (t.extractors[k])
+                                                 (t.types[k]);
+                   }, t.keys))) :
           // else
             [t]
         );
@@ -1339,9 +2493,23 @@
     expType,        // :: Type
     index,          // :: Integer
     propPath,       // :: PropPath
-    values          // :: Array Any
+    values,         // :: Array Any
+    opaque          // :: Boolean?
   ) {
-    var recur = satisfactoryTypes;
+    //  Within a recursive type every path leads to the recursive type
+    //  itself, as that is all that appears in the type's representation.
+    var recur = opaque ?
+      function(env, typeInfo, typeVarMap, expType, index, _, values) {
+        return satisfactoryTypes (env,
+                                  typeInfo,
+                                  typeVarMap,
+                                  expType,
+                                  index,
+                                  propPath,
+                                  values,
+                                  true);
+      } :
+      satisfactoryTypes;
 
     for (var idx = 0; idx < values.length; idx += 1) {
       var result = expType.validate (env) (values[idx]);
@@ -1425,56 +2593,39 @@
           }, Right ({typeVarMap: typeVarMap$, types: okTypes}), okTypes);
 
       case UNARY:
+      case BINARY:
+      case NARY:
         return Z.map (
           function(result) {
             return {
               typeVarMap: result.typeVarMap,
-              types: Z.map (fromUnaryType (expType),
-                            or (result.types, [expType.types.$1]))
+              types: Z.map (fromNaryType (expType), product (result.types))
             };
           },
-          recur (env,
-                 typeInfo,
-                 typeVarMap,
-                 expType.types.$1,
-                 index,
-                 Z.concat (propPath, ['$1']),
-                 Z.chain (expType.extractors.$1, values))
-        );
-
-      case BINARY:
-        return Z.chain (
-          function(result) {
-            var $1s = result.types;
-            return Z.map (
-              function(result) {
-                var $2s = result.types;
+          Z.reduce (function(e, k) {
+            return Z.chain (function(r) {
+              return Z.map (function(result) {
                 return {
                   typeVarMap: result.typeVarMap,
-                  types: Z.lift2 (fromBinaryType (expType),
-                                  or ($1s, [expType.types.$1]),
-                                  or ($2s, [expType.types.$2]))
+                  types: Z.concat (r.types,
+                                   [or (result.types, [expType.types[k]])])
                 };
-              },
-              recur (env,
-                     typeInfo,
-                     result.typeVarMap,
-                     expType.types.$2,
-                     index,
-                     Z.concat (propPath, ['$2']),
-                     Z.chain (expType.extractors.$2, values))
-            );
-          },
-          recur (env,
-                 typeInfo,
-                 typeVarMap,
-                 expType.types.$1,
-                 index,
-                 Z.concat (propPath, ['$1']),
-                 Z.chain (expType.extractors.$1, values))
+              }, recur (env,
+                        typeInfo,
+                        r.typeVarMap,
+                        expType.types[k],
+                        index,
+                        Z.concat (propPath, [k]),
+                        Z.chain (expType.extractors[k], values)));
+            }, e);
+          }, Right ({typeVarMap: typeVarMap, types: []}), expType.keys)
         );
 
+      case EXACT_RECORD:
+      case INTERSECTION:
+      case OPTIONAL:
       case RECORD:
+      case TAGGED_UNION:
         return Z.reduce (function(e, k) {
           return Z.chain (function(r) {
             return recur (env,
@@ -1487,6 +2638,55 @@
           }, e);
         }, Right ({typeVarMap: typeVarMap, types: [expType]}), expType.keys);
 
+      case RECURSIVE:
+        //  The definition is unfolded once per value, so that type variables
+        //  within it are constrained. A value encountered while unfolding
+        //  itself contributes nothing further.
+        return Z.reduce (function(e, x) {
+          return Z.chain (function(r) {
+            if (expType.unfolding.indexOf (x) >= 0) return Right (r);
+            expType.unfolding.push (x);
+            try {
+              return Z.map (function(r) {
+                return {typeVarMap: r.typeVarMap, types: [expType]};
+              }, recur (env,
+                        typeInfo,
+                        r.typeVarMap,
+                        expType.definition,
+                        index,
+                        propPath,
+                        [x],
+                        true));
+            } finally {
+              expType.unfolding.pop ();
+            }
+          }, e);
+        }, Right ({typeVarMap: typeVarMap, types: [expType]}), values);
+
+      case UNION:
+        return Z.reduce (function(e, x) {
+          return Z.chain (function(r) {
+            //  Only members of which the value is a member are candidates.
+            //  A candidate may nonetheless be rejected (if it contains type
+            //  variables), in which case the first rejection is reported.
+            var results = Z.map (function(k) {
+              return recur (env,
+                            typeInfo,
+                            r.typeVarMap,
+                            expType.types[k],
+                            index,
+                            Z.concat (propPath, [k]),
+                            [x]);
+            }, Z.filter (function(k) {
+              return (expType.types[k].validate (env) (x)).isRight;
+            }, expType.keys));
+            var rights = Z.filter (function(e) { return e.isRight; }, results);
+            return Z.map (function(r) {
+              return {typeVarMap: r.typeVarMap, types: [expType]};
+            }, isEmpty (rights) ? results[0] : rights[0]);
+          }, e);
+        }, Right ({typeVarMap: typeVarMap, types: [expType]}), values);
+
       default:
         return Right ({typeVarMap: typeVarMap, types: [expType]});
     }
@@ -1508,6 +2708,88 @@
     };
   }
 
+  //# validateStream :: Array Type -> Type -> Transform
+  //.
+  //. Takes an environment and a type. Returns an object-mode Node
+  //. [Transform][] stream which passes through every chunk that is a member
+  //. of the type, and which fails with a [`TypeError`][] upon receiving the
+  //. first chunk that is not. Chunks are checked as arguments of functions
+  //. defined via `def` are checked, and type variables are shared across
+  //. chunks: `$.validateStream ($.env) (a)` rejects a string following a
+  //. number. In addition to a descriptive message, the error has the
+  //. following properties:
+  //.
+  //.   - `index`: the index of the offending chunk (counting from zero);
+  //.
+  //.   - `propPath`: the path (as reported by `t.validate`) to the value
+  //.     within the chunk which caused the chunk to be rejected, or `[]` if
+  //.     the chunk violates a type-variable constraint; and
+  //.
+  //.   - `value`: the value at that path.
+  //.
+  //. This function is only available in Node.
+  function validateStream(env) {
+    return function(t) {
+      /* istanbul ignore if */
+      if (typeof stream.Transform !== 'function') {
+        throw new Error (q ('validateStream') + ' requires the ' +
+                         q ('stream') + ' module, which is only ' +
+                         'available in Node.');
+      }
+      var typeInfo = {name: 'chunk', constraints: {}, types: [t]};
+      var typeVarMap = {};
+      var index = 0;
+      return new stream.Transform ({
+        objectMode: true,
+        transform: function(chunk, encoding, callback) {
+          var result = satisfactoryTypes (env,
+                                          typeInfo,
+                                          typeVarMap,
+                                          t,
+                                          0,
+                                          [],
+                                          [chunk]);
+          if (result.isLeft) {
+            var error = result.value ();
+            var invalid = t.validate (env) (chunk);
+            var e = invalid.isLeft ?
+                    invalid.value :
+                    {propPath: [], value: chunk};
+            error.message = error.message.replace (
+              /\n/,
+              ' at chunk index ' + show (index) + '\n'
+            );
+            error.index = index;
+            error.propPath = e.propPath;
+            error.value = e.value;
+            callback (error);
+          } else {
+            typeVarMap = retainFirstValues (typeVarMap,
+                                            result.value.typeVarMap);
+            index += 1;
+            callback (null, chunk);
+          }
+        }
+      });
+    };
+  }
+
+  //  retainFirstValues :: (TypeVarMap, TypeVarMap) -> TypeVarMap
+  //
+  //  Returns the second type-variable map with the values recorded in the
+  //  first wherever the first has an entry for the same path, so that the
+  //  values retained do not accumulate as further chunks are checked.
+  function retainFirstValues(typeVarMap, typeVarMap$) {
+    Object.keys (typeVarMap).forEach (function(name) {
+      var valuesByPath = typeVarMap[name].valuesByPath;
+      var valuesByPath$ = typeVarMap$[name].valuesByPath;
+      Object.keys (valuesByPath).forEach (function(key) {
+        valuesByPath$[key] = valuesByPath[key];
+      });
+    });
+    return typeVarMap$;
+  }
+
   //. ### Type constructors
   //.
   //. sanctuary-def provides several functions for defining types.
@@ -1594,6 +2876,93 @@
     };
   }
 
+  //# Refine :: String -> String -> Type -> (Any -> (Boolean | String)) -> Type
+  //.
+  //. Type constructor for refinement types: nullary types comprising the
+  //. members of a base type which satisfy a predicate.
+  //.
+  //. To define a refinement type `t` one must provide:
+  //.
+  //.   - the name of `t` (exposed as `t.name`);
+  //.
+  //.   - the documentation URL of `t` (exposed as `t.url`);
+  //.
+  //.   - the base type (exposed as the sole element of `t.supertypes`); and
+  //.
+  //.   - a predicate that accepts any member of the base type, and returns
+  //.     `true` if the value is a member of `t`, or either `false` or a
+  //.     string describing the requirement the value does not meet (such as
+  //.     `'must be ≤ 100'`) otherwise.
+  //.
+  //. When a value is rejected, the type error names the type in the chain of
+  //. supertypes of which the value is not a member, and includes the reason
+  //. given by the predicate (if any).
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    Percentage :: Type
+  //. const Percentage = $.Refine
+  //.   ('Percentage')
+  //.   ('http://example.com/my-package#Percentage')
+  //.   ($.NonNegativeInteger)
+  //.   (n => n <= 100 || 'must be ≤ 100');
+  //.
+  //. //    percent :: Percentage -> String
+  //. const percent =
+  //. def ('percent')
+  //.     ({})
+  //.     ([Percentage, $.String])
+  //.     (n => n + '%');
+  //.
+  //. percent (42);
+  //. // => '42%'
+  //.
+  //. percent (140);
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   percent :: Percentage -> String
+  //. //              ^^^^^^^^^^
+  //. //                  1
+  //. //
+  //. //   1)  140 :: Number
+  //. //
+  //. //   The value at position 1 is not a member of ‘Percentage’.
+  //. //
+  //. //   The value must be ≤ 100 (got 140).
+  //. //
+  //. //   See http://example.com/my-package#Percentage for information about the Percentage type.
+  //.
+  //. percent (-1);
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   percent :: Percentage -> String
+  //. //              ^^^^^^^^^^
+  //. //                  1
+  //. //
+  //. //   1)  -1 :: Number
+  //. //
+  //. //   The value at position 1 is not a member of ‘Percentage’.
+  //. //
+  //. //   The value is not a member of ‘NonNegativeInteger’, a supertype of ‘Percentage’.
+  //. //
+  //. //   See http://example.com/my-package#Percentage for information about the Percentage type.
+  //. ```
+  function Refine(name) {
+    return function(url) {
+      return function(base) {
+        return function(pred) {
+          var t = NullaryType (name)
+                              (url)
+                              ([base])
+                              (function(x) { return pred (x) === true; });
+          t.refinement = pred;
+          return t;
+        };
+      };
+    };
+  }
+
   //# UnaryType :: Foldable f => String -> String -> Array Type -> (Any -> Boolean) -> (t a -> f a) -> Type -> Type
   //.
   //. Type constructor for types with one type variable (such as [`Array`][]).
@@ -1681,14 +3050,7 @@
         return function(test) {
           return function(_1) {
             return function($1) {
-              return _Type (UNARY,
-                            name,
-                            url,
-                            1,
-                            null,
-                            supertypes,
-                            K (test),
-                            [['$1', _1, $1]]);
+              return naryType (name, url, supertypes, test, [_1], [$1]);
             };
           };
         };
@@ -1696,15 +3058,6 @@
     };
   }
 
-  //  fromUnaryType :: Type -> Type -> Type
-  function fromUnaryType(t) {
-    return UnaryType (t.name)
-                     (t.url)
-                     (t.supertypes)
-                     (t._test ([]))
-                     (t._extractors.$1);
-  }
-
   //# BinaryType :: Foldable f => String -> String -> Array Type -> (Any -> Boolean) -> (t a b -> f a) -> (t a b -> f b) -> Type -> Type -> Type
   //.
   //. Type constructor for types with two type variables (such as
@@ -1809,15 +3162,12 @@
             return function(_2) {
               return function($1) {
                 return function($2) {
-                  return _Type (BINARY,
-                                name,
-                                url,
-                                2,
-                                null,
-                                supertypes,
-                                K (test),
-                                [['$1', _1, $1],
-                                 ['$2', _2, $2]]);
+                  return naryType (name,
+                                   url,
+                                   supertypes,
+                                   test,
+                                   [_1, _2],
+                                   [$1, $2]);
                 };
               };
             };
@@ -1827,224 +3177,1526 @@
     };
   }
 
-  //  fromBinaryType :: (Type -> Type -> Type) -> Type -> Type -> Type
-  function fromBinaryType(t) {
-    return BinaryType (t.name)
-                      (t.url)
-                      (t.supertypes)
-                      (t._test ([]))
-                      (t._extractors.$1)
-                      (t._extractors.$2);
-  }
-
-  //# EnumType :: String -> String -> Array Any -> Type
+  //# TernaryType :: Foldable f => String -> String -> Array Type -> (Any -> Boolean) -> (t a b c -> f a) -> (t a b c -> f b) -> (t a b c -> f c) -> Type -> Type -> Type -> Type
   //.
-  //. Type constructor for [enumerated types][] (such as [`RegexFlags`][]).
+  //. Type constructor for types with three type variables.
   //.
-  //. To define an enumerated type `t` one must provide:
+  //. To define a ternary type `t a b c` one must provide:
   //.
   //.   - the name of `t` (exposed as `t.name`);
   //.
-  //.   - the documentation URL of `t` (exposed as `t.url`); and
+  //.   - the documentation URL of `t` (exposed as `t.url`);
   //.
-  //.   - an array of distinct values.
+  //.   - an array of supertypes (exposed as `t.supertypes`);
+  //.
+  //.   - a predicate that accepts any value that is a member of every one of
+  //.     the given supertypes, and returns `true` if (and only if) the value
+  //.     is a member of `t x y z` for some types `x`, `y`, and `z`;
+  //.
+  //.   - a function that takes any value of type `t a b c` and returns the
+  //.     values of type `a` contained in the `t`;
+  //.
+  //.   - a function that takes any value of type `t a b c` and returns the
+  //.     values of type `b` contained in the `t`;
+  //.
+  //.   - a function that takes any value of type `t a b c` and returns the
+  //.     values of type `c` contained in the `t`;
+  //.
+  //.   - the type of `a`;
+  //.
+  //.   - the type of `b`; and
+  //.
+  //.   - the type of `c`.
   //.
   //. For example:
   //.
   //. ```javascript
-  //. //    Denomination :: Type
-  //. const Denomination = $.EnumType
-  //.   ('Denomination')
-  //.   ('http://example.com/my-package#Denomination')
-  //.   ([10, 20, 50, 100, 200]);
+  //. const type = require ('sanctuary-type-identifiers');
+  //.
+  //. //    validationTypeIdent :: String
+  //. const validationTypeIdent = 'my-package/Validation';
+  //.
+  //. //    $Validation :: Type -> Type -> Type -> Type
+  //. const $Validation = $.TernaryType
+  //.   ('Validation')
+  //.   ('http://example.com/my-package#Validation')
+  //.   ([])
+  //.   (x => type (x) === validationTypeIdent)
+  //.   (v => v.isFailure ? v.errors : [])
+  //.   (v => v.warnings)
+  //.   (v => v.isFailure ? [] : [v.value]);
+  //.
+  //. //    Success :: Array w -> a -> Validation e w a
+  //. const Success = warnings => value => ({
+  //.   'isFailure': false,
+  //.   'warnings': warnings,
+  //.   'value': value,
+  //.   '@@type': validationTypeIdent,
+  //. });
+  //.
+  //. //    getOr :: a -> Validation String String a -> a
+  //. const getOr =
+  //. def ('getOr')
+  //.     ({})
+  //.     ([a, $Validation ($.String) ($.String) (a), a])
+  //.     (x => v => v.isFailure ? x : v.value);
+  //.
+  //. getOr (0) (Success (['rounded']) (42));
+  //. // => 42
+  //.
+  //. getOr (0) (Success ([0]) (42));
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   getOr :: a -> Validation String String a -> a
+  //. //                                   ^^^^^^
+  //. //                                     1
+  //. //
+  //. //   1)  0 :: Number
+  //. //
+  //. //   The value at position 1 is not a member of ‘String’.
+  //. //
+  //. //   See https://github.com/sanctuary-js/sanctuary-def/tree/v0.22.0#String for information about the String type.
   //. ```
-  function EnumType(name) {
+  function TernaryType(name) {
     return function(url) {
-      return B (NullaryType (name) (url) ([])) (memberOf);
+      return function(supertypes) {
+        return function(test) {
+          return function(_1) {
+            return function(_2) {
+              return function(_3) {
+                return collect (3, function(types) {
+                  return naryType (name,
+                                   url,
+                                   supertypes,
+                                   test,
+                                   [_1, _2, _3],
+                                   types);
+                });
+              };
+            };
+          };
+        };
+      };
     };
   }
 
-  //# RecordType :: StrMap Type -> Type
+  //# NaryType :: Foldable f => String -> String -> Array Type -> (Any -> Boolean) -> Array (t a b ... -> f Any) -> Type -> ... -> Type
   //.
-  //. `RecordType` is used to construct anonymous record types. The type
-  //. definition specifies the name and type of each required field. A field is
-  //. an enumerable property (either an own property or an inherited property).
+  //. Type constructor for types with any number of type variables.
+  //. [`UnaryType`][], [`BinaryType`][], and [`TernaryType`][] are special
+  //. cases of `NaryType`.
   //.
-  //. To define an anonymous record type one must provide:
+  //. To define an n-ary type `t` one must provide:
   //.
-  //.   - an object mapping field name to type.
+  //.   - the name of `t` (exposed as `t.name`);
+  //.
+  //.   - the documentation URL of `t` (exposed as `t.url`);
+  //.
+  //.   - an array of supertypes (exposed as `t.supertypes`);
+  //.
+  //.   - a predicate that accepts any value that is a member of every one of
+  //.     the given supertypes, and returns `true` if (and only if) the value
+  //.     is a member of `t` applied to some types; and
+  //.
+  //.   - an array of n functions, the ith of which takes any value of type
+  //.     `t` and returns the values of the ith type argument contained in
+  //.     the `t`.
+  //.
+  //. The result is a curried function which takes n types.
   //.
   //. For example:
   //.
   //. ```javascript
-  //. //    Point :: Type
-  //. const Point = $.RecordType ({x: $.FiniteNumber, y: $.FiniteNumber});
+  //. //    $Triple :: Type -> Type -> Type -> Type
+  //. const $Triple = $.NaryType
+  //.   ('Triple')
+  //.   ('http://example.com/my-package#Triple')
+  //.   ([$.Array ($.Unknown)])
+  //.   (xs => xs.length === 3)
+  //.   ([xs => [xs[0]], xs => [xs[1]], xs => [xs[2]]]);
+  //.
+  //. $.test ([]) ($Triple ($.String) ($.Number) ($.Boolean)) (['x', 1, true]);
+  //. // => true
+  //. ```
+  function NaryType(name) {
+    return function(url) {
+      return function(supertypes) {
+        return function(test) {
+          return function(extractors) {
+            return collect (extractors.length, function(types) {
+              return naryType (name, url, supertypes, test, extractors, types);
+            });
+          };
+        };
+      };
+    };
+  }
+
+  //  naryType :: ... -> Type
+  function naryType(
+    name,           // :: String
+    url,            // :: String
+    supertypes,     // :: Array Type
+    test,           // :: Any -> Boolean
+    extractors,     // :: Array (t a b ... -> f Any)
+    types           // :: Array Type
+  ) {
+    return _Type (types.length === 1 ? UNARY :
+                  types.length === 2 ? BINARY :
+                  /* else */           NARY,
+                  name,
+                  url,
+                  types.length,
+                  null,
+                  supertypes,
+                  K (test),
+                  Z.map (function(idx) {
+                    return ['$' + show (idx + 1), extractors[idx], types[idx]];
+                  }, range (0, types.length)));
+  }
+
+  //  fromNaryType :: Type -> Array Type -> Type
+  function fromNaryType(t) {
+    return function(types) {
+      return naryType (t.name,
+                       t.url,
+                       t.supertypes,
+                       t._test ([]),
+                       Z.map (function(k) { return t._extractors[k]; },
+                              t.keys),
+                       types);
+    };
+  }
+
+  //# EnumType :: String -> String -> Array Any -> Type
+  //.
+  //. Type constructor for [enumerated types][] (such as [`RegexFlags`][]).
+  //.
+  //. To define an enumerated type `t` one must provide:
+  //.
+  //.   - the name of `t` (exposed as `t.name`);
+  //.
+  //.   - the documentation URL of `t` (exposed as `t.url`); and
+  //.
+  //.   - an array of distinct values.
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    Denomination :: Type
+  //. const Denomination = $.EnumType
+  //.   ('Denomination')
+  //.   ('http://example.com/my-package#Denomination')
+  //.   ([10, 20, 50, 100, 200]);
+  //. ```
+  //.
+  //. If the name is empty, `t` is shown as the union of its members:
+  //.
+  //. ```javascript
+  //. const show = require ('sanctuary-show');
+  //.
+  //. show ($.EnumType ('') ('') (['GET', 'POST']));
+  //. // => '("GET" | "POST")'
+  //. ```
+  function EnumType(name) {
+    return function(url) {
+      return function(members) {
+        function format(outer, inner) {
+          return name === '' ?
+                 parenthesize (outer)
+                              (joinWith (outer (' | '),
+                                         Z.map (B (outer) (show), members))) :
+                 outer (name);
+        }
+
+        return _Type (NULLARY,
+                      name,
+                      url,
+                      0,
+                      format,
+                      [],
+                      K (memberOf (members)),
+                      []);
+      };
+    };
+  }
+
+  //# Literal :: Any -> Type
+  //.
+  //. Type comprising just the given value (according to [`Z.equals`][]).
+  //. The type is shown as the value itself.
+  //.
+  //. Literal types are useful in conjunction with [`RecordType`][] and
+  //. [`Union`][]:
+  //.
+  //. ```javascript
+  //. //    Request :: Type
+  //. const Request = $.RecordType ({
+  //.   version: $.Literal ('v1'),
+  //.   method: $.Union ([$.Literal ('GET'), $.Literal ('POST')]),
+  //. });
+  //.
+  //. //    send :: Request -> String
+  //. const send =
+  //. def ('send')
+  //.     ({})
+  //.     ([Request, $.String])
+  //.     (req => req.method + ' /' + req.version);
+  //.
+  //. send ({version: 'v1', method: 'GET'});
+  //. // => 'GET /v1'
+  //.
+  //. send ({version: 'v2', method: 'GET'});
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   send :: { method :: ("GET" | "POST"), version :: "v1" } -> String
+  //. //                                                    ^^^^
+  //. //                                                     1
+  //. //
+  //. //   1)  "v2" :: String
+  //. //
+  //. //   The value at position 1 is not a member of ‘"v1"’.
+  //. ```
+  function Literal(x) {
+    return NullaryType (show (x))
+                       ('')
+                       ([])
+                       (function(y) { return Z.equals (x, y); });
+  }
+
+  //# InstanceOf :: { by? :: ("instanceof" | "@@type") } -> Function -> Type
+  //.
+  //. Type comprising every instance of the given constructor. The type's name
+  //. is the constructor's name, so there is no need to write a `NullaryType`
+  //. predicate by hand for one's own classes or for third-party classes such
+  //. as `URL` or `EventEmitter`. The type's URL is that of this section.
+  //.
+  //. The first argument is a record of options. The `by` field determines
+  //. how membership is checked:
+  //.
+  //.   - `'instanceof'` (the default): a value is a member if it is an
+  //.     `instanceof` the constructor. The constructor's own
+  //.     `Symbol.hasInstance` method, if any, is thus respected. The
+  //.     constructor must have a name and, unless it defines its own
+  //.     `Symbol.hasInstance` method, an object `prototype` property.
+  //.
+  //.   - `'@@type'`: a value is a member if its type identifier (as defined
+  //.     by [sanctuary-type-identifiers][]) matches that of the constructor's
+  //.     prototype, which must have a string `@@type` property. The type's
+  //.     name is the name given in the type identifier. This works across
+  //.     realms (`vm` contexts, say) and across copies of a package.
+  //.
+  //. ```javascript
+  //. class Point {
+  //.   constructor(x, y) { this.x = x; this.y = y; }
+  //. }
+  //.
+  //. //    norm :: Point -> Number
+  //. const norm =
+  //. def ('norm')
+  //.     ({})
+  //.     ([$.InstanceOf ({}) (Point), $.Number])
+  //.     (p => Math.sqrt (p.x * p.x + p.y * p.y));
+  //.
+  //. norm (new Point (3, 4));
+  //. // => 5
+  //.
+  //. norm ({x: 3, y: 4});
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   norm :: Point -> Number
+  //. //           ^^^^^
+  //. //             1
+  //. //
+  //. //   1)  {"x": 3, "y": 4} :: Object, StrMap Number
+  //. //
+  //. //   The value at position 1 is not a member of ‘Point’.
+  //. //
+  //. //   See https://github.com/sanctuary-js/sanctuary-def/tree/v0.22.0#InstanceOf for information about the Point type.
+  //. ```
+  function InstanceOf(opts) {
+    var byTypeIdentifier = opts.by === '@@type';
+    return function(C) {
+      var $$type = C.prototype == null ? undefined : C.prototype['@@type'];
+      if (byTypeIdentifier && typeof $$type !== 'string') {
+        throw new TypeError (
+          q ('InstanceOf') + ' requires the constructor\'s prototype to ' +
+          'have a string ' + q ('@@type') + ' property when checking by ' +
+          'type identifier.'
+        );
+      }
+      //  The default Symbol.hasInstance method consults the prototype.
+      if (!byTypeIdentifier &&
+          C[Symbol.hasInstance] === Function.prototype[Symbol.hasInstance] &&
+          Object (C.prototype) !== C.prototype) {
+        throw new TypeError (
+          q ('InstanceOf') + ' requires the constructor to have an object ' +
+          q ('prototype') + ' property, as values are checked via ' +
+          q ('instanceof') + '.'
+        );
+      }
+      var name = byTypeIdentifier ? (type.parse ($$type)).name : C.name;
+      if (name === '') {
+        throw new TypeError (
+          q ('InstanceOf') + ' requires a named constructor, as the ' +
+          'type\'s name is that of the constructor.'
+        );
+      }
+      return NullaryType
+        (name)
+        (functionUrl ('InstanceOf'))
+        ([])
+        (byTypeIdentifier ?
+         typeEq ($$type) :
+         function(x) { return x instanceof C; });
+    };
+  }
+
+  //  inherits :: (String, Object) -> Boolean
+  //
+  //  Returns true if the given object has, somewhere in its prototype chain,
+  //  a prototype whose constructor has the given name.
+  function inherits(name, x) {
+    var proto = Object.getPrototypeOf (x);
+    while (proto != null) {
+      if (hasOwnProperty.call (proto, 'constructor') &&
+          typeof proto.constructor === 'function' &&
+          proto.constructor.name === name) {
+        return true;
+      }
+      proto = Object.getPrototypeOf (proto);
+    }
+    return false;
+  }
+
+  //  isOptionalField :: StrMap Type -> String -> Boolean
+  function isOptionalField(fields) {
+    return function(k) {
+      return fields[k].type === OPTIONAL;
+    };
+  }
+
+  //  fieldNames :: Type -> Array String
+  //
+  //  Returns the names of the fields of the given type, including the names
+  //  of the fields of its supertypes.
+  function fieldNames(t) {
+    var isRecord = t.type === RECORD || t.type === EXACT_RECORD;
+    return Z.concat (isRecord ? t.keys : [],
+                     Z.chain (fieldNames, t.supertypes));
+  }
+
+  //  unexpectedFields :: (Array String, Any) -> Array String
+  function unexpectedFields(names, x) {
+    var unexpected = [];
+    for (var k in x) if (names.indexOf (k) < 0) unexpected.push (k);
+    return unexpected;
+  }
+
+  //  recordType :: String -> StrMap Type -> Type
+  function recordType(type) {
+    var exact = type === EXACT_RECORD;
+    return function(fields) {
+      var keys = sortedKeys (fields);
+      var requiredKeys = Z.reject (isOptionalField (fields), keys);
+
+      function format(outer, inner) {
+        if (isEmpty (keys)) return outer (exact ? '{||}' : '{}');
+        var reprs = Z.map (function(k) {
+          var t = fields[k];
+          return outer (' ') +
+                 outer (/^(?!\d)[$\w]+$/.test (k) ? k : show (k)) +
+                 outer (t.type === OPTIONAL ? '? :: ' : ' :: ') +
+                 inner (k) (show (t));
+        }, keys);
+        return wrap (outer (exact ? '{|' : '{'))
+                    (outer (exact ? ' |}' : ' }'))
+                    (joinWith (outer (','), reprs));
+      }
+
+      function test(env) {
+        return function(x) {
+          if (x == null) return false;
+          var missing = {};
+          requiredKeys.forEach (function(k) { missing[k] = k; });
+          for (var k in x) delete missing[k];
+          return isEmpty (missing) &&
+                 !(exact && unexpectedFields (keys, x).length > 0);
+        };
+      }
+
+      var tuples = keys.map (function(k) {
+        return [k, function(x) { return [x[k]]; }, fields[k]];
+      });
+
+      return _Type (type, '', '', 0, format, [], test, tuples);
+    };
+  }
+
+  //  namedRecordType :: String -> ... -> Type
+  function namedRecordType(type) {
+    var exact = type === EXACT_RECORD;
+    return function(name) {
+      return function(url) {
+        return function(supertypes) {
+          return function(fields) {
+            var keys = sortedKeys (fields);
+            var requiredKeys = Z.reject (isOptionalField (fields), keys);
+            var names = Z.concat (keys, Z.chain (fieldNames, supertypes));
+
+            function format(outer, inner) {
+              return outer (name);
+            }
+
+            function test(env) {
+              var test2 = _test (env);
+              return function(x) {
+                if (x == null) return false;
+                var missing = {};
+                requiredKeys.forEach (function(k) { missing[k] = k; });
+                for (var k in x) delete missing[k];
+                return isEmpty (missing) &&
+                       !(exact && unexpectedFields (names, x).length > 0) &&
+                       keys.every (function(k) {
+                         return test2 (x[k]) (fields[k]);
+                       });
+              };
+            }
+
+            var tuples = keys.map (function(k) {
+              return [k, function(x) { return [x[k]]; }, fields[k]];
+            });
+
+            return _Type (type,
+                          name,
+                          url,
+                          0,
+                          format,
+                          supertypes,
+                          test,
+                          tuples);
+          };
+        };
+      };
+    };
+  }
+
+  //# RecordType :: StrMap Type -> Type
+  //.
+  //. `RecordType` is used to construct anonymous record types. The type
+  //. definition specifies the name and type of each field. A field is an
+  //. enumerable property (either an own property or an inherited property).
+  //. Fields are required unless their types are wrapped in [`Optional`][].
+  //.
+  //. To define an anonymous record type one must provide:
+  //.
+  //.   - an object mapping field name to type.
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    Point :: Type
+  //. const Point = $.RecordType ({x: $.FiniteNumber, y: $.FiniteNumber});
+  //.
+  //. //    dist :: Point -> Point -> FiniteNumber
+  //. const dist =
+  //. def ('dist')
+  //.     ({})
+  //.     ([Point, Point, $.FiniteNumber])
+  //.     (p => q => Math.sqrt (Math.pow (p.x - q.x, 2) +
+  //.                           Math.pow (p.y - q.y, 2)));
+  //.
+  //. dist ({x: 0, y: 0}) ({x: 3, y: 4});
+  //. // => 5
+  //.
+  //. dist ({x: 0, y: 0}) ({x: 3, y: 4, color: 'red'});
+  //. // => 5
+  //.
+  //. dist ({x: 0, y: 0}) ({x: NaN, y: NaN});
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   dist :: { x :: FiniteNumber, y :: FiniteNumber } -> { x :: FiniteNumber, y :: FiniteNumber } -> FiniteNumber
+  //. //                                                              ^^^^^^^^^^^^
+  //. //                                                                   1
+  //. //
+  //. //   1)  NaN :: Number
+  //. //
+  //. //   The value at position 1 is not a member of ‘FiniteNumber’.
+  //.
+  //. dist (0);
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   dist :: { x :: FiniteNumber, y :: FiniteNumber } -> { x :: FiniteNumber, y :: FiniteNumber } -> FiniteNumber
+  //. //           ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+  //. //                              1
+  //. //
+  //. //   1)  0 :: Number
+  //. //
+  //. //   The value at position 1 is not a member of ‘{ x :: FiniteNumber, y :: FiniteNumber }’.
+  //. ```
+  var RecordType = recordType (RECORD);
+
+  //# NamedRecordType :: NonEmpty String -> String -> Array Type -> StrMap Type -> Type
+  //.
+  //. `NamedRecordType` is used to construct named record types. The type
+  //. definition specifies the name and type of each field. A field is an
+  //. enumerable property (either an own property or an inherited property).
+  //. Fields are required unless their types are wrapped in [`Optional`][].
+  //.
+  //. To define a named record type `t` one must provide:
+  //.
+  //.   - the name of `t` (exposed as `t.name`);
+  //.
+  //.   - the documentation URL of `t` (exposed as `t.url`);
+  //.
+  //.   - an array of supertypes (exposed as `t.supertypes`); and
+  //.
+  //.   - an object mapping field name to type.
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    Circle :: Type
+  //. const Circle = $.NamedRecordType
+  //.   ('my-package/Circle')
+  //.   ('http://example.com/my-package#Circle')
+  //.   ([])
+  //.   ({radius: $.PositiveFiniteNumber});
+  //.
+  //. //    Cylinder :: Type
+  //. const Cylinder = $.NamedRecordType
+  //.   ('Cylinder')
+  //.   ('http://example.com/my-package#Cylinder')
+  //.   ([Circle])
+  //.   ({height: $.PositiveFiniteNumber});
+  //.
+  //. //    volume :: Cylinder -> PositiveFiniteNumber
+  //. const volume =
+  //. def ('volume')
+  //.     ({})
+  //.     ([Cylinder, $.FiniteNumber])
+  //.     (cyl => Math.PI * cyl.radius * cyl.radius * cyl.height);
+  //.
+  //. volume ({radius: 2, height: 10});
+  //. // => 125.66370614359172
+  //.
+  //. volume ({radius: 2});
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   volume :: Cylinder -> FiniteNumber
+  //. //             ^^^^^^^^
+  //. //                1
+  //. //
+  //. //   1)  {"radius": 2} :: Object, StrMap Number
+  //. //
+  //. //   The value at position 1 is not a member of ‘Cylinder’.
+  //. //
+  //. //   See http://example.com/my-package#Cylinder for information about the Cylinder type.
+  //. ```
+  var NamedRecordType = namedRecordType (RECORD);
+
+  //# ExactRecordType :: StrMap Type -> Type
+  //.
+  //. `ExactRecordType` is used to construct anonymous *exact* record types.
+  //. An exact record type is a [`RecordType`][] whose members have no fields
+  //. other than those specified by the type definition.
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    Pixel :: Type
+  //. const Pixel = $.ExactRecordType ({
+  //.   x: $.Integer,
+  //.   y: $.Integer,
+  //.   color: $.Optional ($.String),
+  //. });
+  //.
+  //. //    draw :: Pixel -> String
+  //. const draw =
+  //. def ('draw')
+  //.     ({})
+  //.     ([Pixel, $.String])
+  //.     (p => p.x + ',' + p.y + ',' + (p.color || 'black'));
+  //.
+  //. draw ({x: 1, y: 2, color: 'red'});
+  //. // => '1,2,red'
+  //.
+  //. draw ({x: 1, y: 2, colour: 'red'});
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   draw :: {| color? :: String, x :: Integer, y :: Integer |} -> String
+  //. //           ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+  //. //                                   1
+  //. //
+  //. //   1)  {"colour": "red", "x": 1, "y": 2} :: Object, StrMap ???
+  //. //
+  //. //   The value at position 1 is not a member of ‘{| color? :: String, x :: Integer, y :: Integer |}’.
+  //. //
+  //. //   The value has unexpected fields:
+  //. //
+  //. //     - ‘colour’ (did you mean ‘color’?)
+  //. ```
+  var ExactRecordType = recordType (EXACT_RECORD);
+
+  //# ExactNamedRecordType :: NonEmpty String -> String -> Array Type -> StrMap Type -> Type
+  //.
+  //. `ExactNamedRecordType` is used to construct named *exact* record types.
+  //. An exact record type is a [`NamedRecordType`][] whose members have no
+  //. fields other than those specified by the type definition and by its
+  //. supertypes. The supertypes should not themselves be exact.
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    Circle :: Type
+  //. const Circle = $.NamedRecordType
+  //.   ('Circle')
+  //.   ('http://example.com/my-package#Circle')
+  //.   ([])
+  //.   ({radius: $.PositiveFiniteNumber});
+  //.
+  //. //    Cylinder :: Type
+  //. const Cylinder = $.ExactNamedRecordType
+  //.   ('Cylinder')
+  //.   ('http://example.com/my-package#Cylinder')
+  //.   ([Circle])
+  //.   ({height: $.PositiveFiniteNumber});
+  //.
+  //. $.test ([]) (Cylinder) ({radius: 1, height: 1});
+  //. // => true
+  //.
+  //. $.test ([]) (Cylinder) ({radius: 1, height: 1, hieght: 1});
+  //. // => false
+  //. ```
+  var ExactNamedRecordType = namedRecordType (EXACT_RECORD);
+
+  //# ErrorType :: String -> String -> StrMap Type -> Type
+  //.
+  //. `ErrorType` is used to construct types of custom errors: [`Error`][]
+  //. values with a particular `name` and, optionally, additional fields.
+  //.
+  //. To define an error type `t` one must provide:
+  //.
+  //.   - the name of `t` (exposed as `t.name`), which members' `name`
+  //.     property must equal;
+  //.
+  //.   - the documentation URL of `t` (exposed as `t.url`); and
+  //.
+  //.   - an object mapping field name to type, as for [`NamedRecordType`][].
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    HttpError :: Type
+  //. const HttpError = $.ErrorType
+  //.   ('HttpError')
+  //.   ('http://example.com/my-package#HttpError')
+  //.   ({code: $.String, status: $.IntegerBetween (400) (599)});
+  //.
+  //. //    isRetryable :: HttpError -> Boolean
+  //. const isRetryable =
+  //. def ('isRetryable')
+  //.     ({})
+  //.     ([HttpError, $.Boolean])
+  //.     (err => err.status >= 500);
+  //.
+  //. const err = new Error ('Service Unavailable');
+  //. err.name = 'HttpError';
+  //. err.code = 'E_UNAVAILABLE';
+  //. err.status = 503;
+  //.
+  //. isRetryable (err);
+  //. // => true
+  //.
+  //. isRetryable (new Error ('Service Unavailable'));
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   isRetryable :: HttpError -> Boolean
+  //. //                  ^^^^^^^^^
+  //. //                      1
+  //. //
+  //. //   1)  new Error ("Service Unavailable") :: Error
+  //. //
+  //. //   The value at position 1 is not a member of ‘HttpError’.
+  //. //
+  //. //   See http://example.com/my-package#HttpError for information about the HttpError type.
+  //. ```
+  function ErrorType(name) {
+    return function(url) {
+      return function(fields) {
+        var named = NullaryType (name)
+                                (url)
+                                ([Error_])
+                                (function(x) { return x.name === name; });
+        return NamedRecordType (name) (url) ([named]) (fields);
+      };
+    };
+  }
+
+  //# Optional :: Type -> Type
+  //.
+  //. Marks a field of a [`RecordType`][] or [`NamedRecordType`][] as optional.
+  //. An optional field may be absent (or `undefined`); if present it must be
+  //. a member of the given type. `$.Optional ($.String)` is shown as `String`,
+  //. with the field name suffixed by `?`.
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    Options :: Type
+  //. const Options = $.RecordType ({
+  //.   port: $.PositiveInteger,
+  //.   host: $.Optional ($.String),
+  //. });
+  //.
+  //. //    url :: Options -> String
+  //. const url =
+  //. def ('url')
+  //.     ({})
+  //.     ([Options, $.String])
+  //.     (opts => 'http://' + (opts.host || 'localhost') + ':' + opts.port);
+  //.
+  //. url ({port: 8080});
+  //. // => 'http://localhost:8080'
+  //.
+  //. url ({port: 8080, host: 'example.com'});
+  //. // => 'http://example.com:8080'
+  //.
+  //. url ({port: 8080, host: null});
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   url :: { host? :: String, port :: PositiveInteger } -> String
+  //. //                     ^^^^^^
+  //. //                       1
+  //. //
+  //. //   1)  null :: Null
+  //. //
+  //. //   The value at position 1 is not a member of ‘String’.
+  //. ```
+  function Optional(t) {
+    function format(outer, inner) {
+      return inner ('$1') (show (t));
+    }
+
+    function test(env) {
+      var test2 = _test (env);
+      return function(x) {
+        return x === undefined || test2 (x) (t);
+      };
+    }
+
+    var tuples = [['$1',
+                   function(x) { return x === undefined ? [] : [x]; },
+                   t]];
+
+    return _Type (OPTIONAL, t.name, t.url, t.arity, format, [], test, tuples);
+  }
+
+  //# Union :: NonEmpty (Array Type) -> Type
+  //.
+  //. `Union` is used to construct anonymous union types. A value is a member
+  //. of a union type if it is a member of at least one of the member types.
+  //.
+  //. To define a union type one must provide:
+  //.
+  //.   - an array of member types.
+  //.
+  //. Member types may contain [type variables][]. When applying a function,
+  //. the first member of which the value is a member, and which is consistent
+  //. with the other values of the type variables, is used.
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    StringOrNumber :: Type
+  //. const StringOrNumber = $.Union ([$.String, $.Number]);
+  //.
+  //. //    describe :: StringOrNumber -> String
+  //. const describe =
+  //. def ('describe')
+  //.     ({})
+  //.     ([StringOrNumber, $.String])
+  //.     (x => typeof x === 'string' ? x : x.toFixed (2));
+  //.
+  //. describe ('foo');
+  //. // => 'foo'
+  //.
+  //. describe (42);
+  //. // => '42.00'
+  //.
+  //. describe (null);
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   describe :: (String | Number) -> String
+  //. //               ^^^^^^^^^^^^^^^^^
+  //. //                       1
+  //. //
+  //. //   1)  null :: Null
+  //. //
+  //. //   The value at position 1 is not a member of ‘(String | Number)’.
+  //. //
+  //. //   Each member of the union rejects the value:
+  //. //
+  //. //     - String: null is not a member of ‘String’.
+  //. //     - Number: null is not a member of ‘Number’.
+  //. ```
+  function Union(types) {
+    var tuples = Z.reduce (function(tuples, t) {
+      tuples.push (['$' + show (tuples.length + 1), K ([]), t]);
+      return tuples;
+    }, [], types);
+
+    function format(outer, inner) {
+      return parenthesize (outer)
+                          (joinWith (outer (' | '),
+                                     Z.map (function(tuple) {
+                                       return when (tuple[2].type === FUNCTION)
+                                                   (parenthesize (outer))
+                                                   (inner (tuple[0])
+                                                          (show (tuple[2])));
+                                     }, tuples)));
+    }
+
+    function test(env) {
+      return function(x) {
+        return types.some (function(t) {
+          return (t.validate (env) (x)).isRight;
+        });
+      };
+    }
+
+    return _Type (UNION, '', '', 0, format, [], test, tuples);
+  }
+
+  //# Intersection :: NonEmpty (Array Type) -> Type
+  //.
+  //. `Intersection` is used to construct anonymous intersection types. A value
+  //. is a member of an intersection type if it is a member of every one of the
+  //. constituent types.
+  //.
+  //. To define an intersection type one must provide:
+  //.
+  //.   - an array of constituent types.
+  //.
+  //. The fields of anonymous record types are merged, so a type error names
+  //. the offending field; any other constituent is checked as a whole, so a
+  //. type error identifies the first constituent of which the value is not a
+  //. member. A field may appear in several constituents only if its type is
+  //. the same in each.
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    Cylinder :: Type
+  //. const Cylinder = $.NamedRecordType
+  //.   ('Cylinder')
+  //.   ('http://example.com/my-package#Cylinder')
+  //.   ([])
+  //.   ({radius: $.PositiveFiniteNumber, height: $.PositiveFiniteNumber});
+  //.
+  //. //    Timestamped :: Type
+  //. const Timestamped = $.NamedRecordType
+  //.   ('Timestamped')
+  //.   ('http://example.com/my-package#Timestamped')
+  //.   ([])
+  //.   ({timestamp: $.ValidDate});
+  //.
+  //. //    age :: (Cylinder & Timestamped) -> Date -> Number
+  //. const age =
+  //. def ('age')
+  //.     ({})
+  //.     ([$.Intersection ([Cylinder, Timestamped]), $.Date, $.Number])
+  //.     (cyl => now => now - cyl.timestamp);
+  //.
+  //. age ({radius: 2, height: 10, timestamp: new Date (0)}) (new Date (1000));
+  //. // => 1000
+  //.
+  //. age ({radius: 2, height: 10});
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   age :: (Cylinder & Timestamped) -> Date -> Number
+  //. //                      ^^^^^^^^^^^
+  //. //                           1
+  //. //
+  //. //   1)  {"height": 10, "radius": 2} :: Object, StrMap Number
+  //. //
+  //. //   The value at position 1 is not a member of ‘Timestamped’.
+  //. //
+  //. //   See http://example.com/my-package#Timestamped for information about the Timestamped type.
+  //. ```
+  function Intersection(types) {
+    //  The fields of anonymous record types are merged, so that fields are
+    //  identified by name; every other constituent is identified by its
+    //  string representation.
+    var records = Z.filter (isAnonymousRecord, types);
+
+    var tuples = Z.reduce (function(tuples, t) {
+      var keyed = isAnonymousRecord (t) ?
+                  Z.map (function(k) {
+                    return [k, t._extractors[k], t.types[k]];
+                  }, t.keys) :
+                  [[show (t), function(x) { return [x]; }, t]];
+      keyed.forEach (function(tuple) {
+        for (var idx = 0; idx < tuples.length; idx += 1) {
+          if (tuples[idx][0] === tuple[0]) {
+            if (Z.equals (tuples[idx][2], tuple[2])) return;
+            throw new TypeError (
+              q ('Intersection') + ' requires the constituents to agree ' +
+              'on the type of ' + q (tuple[0]) + '; it is ' +
+              q (show (tuples[idx][2])) + ' in one constituent and ' +
+              q (show (tuple[2])) + ' in another.'
+            );
+          }
+        }
+        tuples.push (tuple);
+      });
+      return tuples;
+    }, [], types);
+
+    function format(outer, inner) {
+      //  A field shared by several constituents is underlined just once.
+      var seen = {};
+      function inner$(k) {
+        if (hasOwnProperty.call (seen, k)) return outer;
+        seen[k] = k;
+        return inner (k);
+      }
+      return parenthesize (outer)
+                          (joinWith (outer (' & '),
+                                     Z.map (function(t) {
+                                       return (
+                                         isAnonymousRecord (t) ?
+                                           t.format (outer, inner$) :
+                                         // else
+                                           when (t.type === FUNCTION)
+                                                (parenthesize (outer))
+                                                (inner (show (t)) (show (t)))
+                                       );
+                                     }, types)));
+    }
+
+    //  Only the anonymous record types need be tested here: the other
+    //  constituents are validated via their keys.
+    function test(env) {
+      var test2 = _test (env);
+      return function(x) {
+        return records.every (test2 (x));
+      };
+    }
+
+    var t = _Type (INTERSECTION, '', '', 0, format, [], test, tuples);
+    t.records = records;
+    return t;
+  }
+
+  //  isAnonymousRecord :: Type -> Boolean
+  function isAnonymousRecord(t) {
+    return (t.type === RECORD || t.type === EXACT_RECORD) && t.name === '';
+  }
+
+  //# Rec :: String -> String -> (Type -> Type) -> Type
+  //.
+  //. `Rec` is used to construct recursive types: types defined in terms of
+  //. themselves.
+  //.
+  //. To define a recursive type `t` one must provide:
+  //.
+  //.   - the name of `t` (exposed as `t.name`);
+  //.
+  //.   - the documentation URL of `t` (exposed as `t.url`); and
+  //.
+  //.   - a function that takes `t` and returns the definition of `t`.
+  //.
+  //. The function is applied once, when `t` is constructed. Wherever `t`
+  //. appears in its own definition it is shown as its name, so type
+  //. signatures and error messages remain finite. A value which contains
+  //. itself is assumed to be a member of `t` wherever it reappears. Type
+  //. variables in the definition are constrained by every value they match,
+  //. however deeply nested; a violation is reported at `t` as a whole.
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    Tree :: Type
+  //. const Tree = $.Rec
+  //.   ('Tree')
+  //.   ('http://example.com/my-package#Tree')
+  //.   (self => $.RecordType ({value: $.Number, children: $.Array (self)}));
+  //.
+  //. //    sum :: Tree -> Number
+  //. const sum =
+  //. def ('sum')
+  //.     ({})
+  //.     ([Tree, $.Number])
+  //.     (tree => tree.children.reduce ((n, t) => n + sum (t), tree.value));
+  //.
+  //. sum ({value: 1, children: [{value: 2, children: []}]});
+  //. // => 3
+  //.
+  //. sum ({value: 1, children: [{value: '2', children: []}]});
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   sum :: Tree -> Number
+  //. //          ^^^^
+  //. //           1
+  //. //
+  //. //   1)  {"children": [{"children": [], "value": "2"}], "value": 1} :: Object, StrMap ???
+  //. //
+  //. //   The value at position 1 is not a member of ‘Tree’.
+  //. //
+  //. //   "2" is not a member of ‘Number’.
+  //. //
+  //. //   See http://example.com/my-package#Tree for information about the Tree type.
+  //. ```
+  function Rec(name) {
+    return function(url) {
+      return function(f) {
+        return recursiveType (name, url, true, f);
+      };
+    };
+  }
+
+  //  recursiveType :: (String, String, Boolean, Type -> Type) -> Type
+  //
+  //  A value encountered while testing itself is assumed to be a member of
+  //  the type if circular structures are permitted, and not to be otherwise.
+  function recursiveType(name, url, circular, f) {
+    //  The values currently being tested, outermost first.
+    var active = [];
+
+    function test(env) {
+      return function(x) {
+        if (active.indexOf (x) >= 0) return circular;
+        active.push (x);
+        try {
+          return (t.definition.validate (env) (x)).isRight;
+        } finally {
+          active.pop ();
+        }
+      };
+    }
+
+    var t = _Type (RECURSIVE, name, url, 0, always2 (name), [], test, []);
+    t.definition = f (t);
+    t.unfolding = [];
+    return t;
+  }
+
+  //# TaggedUnion :: String -> StrMap Type -> Type
+  //.
+  //. `TaggedUnion` is used to construct anonymous tagged union types (also
+  //. known as discriminated unions). A value is a member of a tagged union
+  //. type if the value of its *discriminant* field is one of the tags, and
+  //. the value is a member of the type associated with that tag.
+  //.
+  //. To define a tagged union type one must provide:
+  //.
+  //.   - the name of the discriminant field; and
+  //.
+  //.   - an object mapping each tag to a record type.
+  //.
+  //. Unlike [`Union`][], a tagged union type checks a value against just one
+  //. of its cases, so type errors identify the offending field.
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. //    Shape :: Type
+  //. const Shape = $.TaggedUnion ('type') ({
+  //.   circle: $.RecordType ({radius: $.PositiveFiniteNumber}),
+  //.   square: $.RecordType ({side: $.PositiveFiniteNumber}),
+  //. });
+  //.
+  //. //    area :: Shape -> PositiveFiniteNumber
+  //. const area =
+  //. def ('area')
+  //.     ({})
+  //.     ([Shape, $.PositiveFiniteNumber])
+  //.     ($.match (Shape) ({
+  //.        circle: ({radius}) => Math.PI * radius * radius,
+  //.        square: ({side}) => side * side,
+  //.      }));
+  //.
+  //. area ({type: 'square', side: 2});
+  //. // => 4
+  //.
+  //. area ({type: 'circle', diameter: 2});
+  //. // ! TypeError: Invalid value
+  //. //
+  //. //   area :: (circle { radius :: PositiveFiniteNumber } | square { side :: PositiveFiniteNumber }) -> PositiveFiniteNumber
+  //. //           ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+  //. //                                                     1
+  //. //
+  //. //   1)  {"diameter": 2, "type": "circle"} :: Object, StrMap ???
+  //. //
+  //. //   The value at position 1 is not a member of ‘(circle { radius :: PositiveFiniteNumber } | square { side :: PositiveFiniteNumber })’.
+  //. //
+  //. //   Tag ‘circle’ is missing field ‘radius’.
+  //. ```
+  function TaggedUnion(key) {
+    return function(cases) {
+      var tags = sortedKeys (cases);
+
+      function format(outer, inner) {
+        return parenthesize (outer)
+                            (joinWith (outer (' | '),
+                                       Z.map (function(tag) {
+                                         return outer (showTag (tag)) +
+                                                outer (' ') +
+                                                inner (tag)
+                                                      (show (cases[tag]));
+                                       }, tags)));
+      }
+
+      function test(env) {
+        var test2 = _test (env);
+        return function(x) {
+          return x != null &&
+                 hasOwnProperty.call (cases, x[key]) &&
+                 test2 (x) (cases[x[key]]);
+        };
+      }
+
+      var tuples = tags.map (function(tag) {
+        return [tag,
+                function(x) { return x[key] === tag ? [x] : []; },
+                cases[tag]];
+      });
+
+      var t = _Type (TAGGED_UNION, '', '', 0, format, [], test, tuples);
+      t.key = key;
+      return t;
+    };
+  }
+
+  //  showTag :: String -> String
+  function showTag(tag) {
+    return /^(?!\d)[$\w]+$/.test (tag) ? tag : show (tag);
+  }
+
+  //  assertExhaustive :: (String, Type, Array String, StrMap Any) -> Undefined
+  //
+  //  Throws if the given tags and the keys of the given handlers differ.
+  function assertExhaustive(name, t, tags, handlers) {
+    var missing = Z.reject (function(tag) {
+      return hasOwnProperty.call (handlers, tag);
+    }, tags);
+    var unexpected = Z.reject (function(tag) {
+      return tags.indexOf (tag) >= 0;
+    }, sortedKeys (handlers));
+    if (!(isEmpty (missing) && isEmpty (unexpected))) {
+      throw new TypeError (trimTrailingSpaces (
+        (isEmpty (missing) ? 'Redundant match' : 'Non-exhaustive match') +
+        '\n\n' +
+        q (name) + ' requires a function for each tag of ' +
+        q (show (t)) + '.\n' +
+        toMarkdownList ('', '\nThe following tags have no function:\n\n',
+                        q, missing) +
+        toMarkdownList ('', '\nThe following functions have no tag:\n\n',
+                        q, unexpected)
+      ));
+    }
+  }
+
+  //# match :: Type -> StrMap Function -> Function
+  //.
+  //. Takes a [tagged union type][`TaggedUnion`] and an object mapping each
+  //. of its tags to a function, and returns a function which applies the
+  //. appropriate function to a member of the tagged union type. The
+  //. returned function is type checked.
+  //.
+  //. Throws if a tag has no function, or if a function has no tag, so
+  //. adding a case to a tagged union type draws attention to every `match`
+  //. that must handle it.
+  //.
+  //. ```javascript
+  //. //    Shape :: Type
+  //. const Shape = $.TaggedUnion ('type') ({
+  //.   circle: $.RecordType ({radius: $.PositiveFiniteNumber}),
+  //.   square: $.RecordType ({side: $.PositiveFiniteNumber}),
+  //. });
+  //.
+  //. $.match (Shape) ({circle: ({radius}) => 2 * radius});
+  //. // ! TypeError: Non-exhaustive match
+  //. //
+  //. //   ‘match’ requires a function for each tag of ‘(circle { radius :: PositiveFiniteNumber } | square { side :: PositiveFiniteNumber })’.
+  //. //
+  //. //   The following tags have no function:
+  //. //
+  //. //     - ‘square’
+  //. ```
+  function match(t) {
+    return function(handlers) {
+      if (t.type !== TAGGED_UNION) {
+        throw new TypeError (
+          q ('match') + ' requires a tagged union type; ' +
+          q (show (t)) + ' is not a tagged union type.'
+        );
+      }
+      assertExhaustive ('match', t, t.keys, handlers);
+      return def ('match') ({}) ([t, Any]) (function(x) {
+        return handlers[x[t.key]] (x);
+      });
+    };
+  }
+
+  //# Adt :: String -> String -> StrMap (Array Type) -> { constructors :: StrMap Any, fold :: Function, type :: Type }
+  //.
+  //. `Adt` is used to define algebraic data types. It saves one from writing
+  //. the type, the data constructors, and case analysis by hand.
+  //.
+  //. To define an algebraic data type `t` one must provide:
+  //.
+  //.   - the type identifier of `t` (see [sanctuary-type-identifiers][]);
+  //.
+  //.   - the documentation URL of `t` (exposed as `t.url`); and
+  //.
+  //.   - an object mapping the name of each data constructor to the types of
+  //.     its fields.
+  //.
+  //. `Adt` returns a record comprising:
+  //.
+  //.   - `type`, the type `t` itself, named after the type identifier;
+  //.
+  //.   - `constructors`, an object mapping the name of each data constructor
+  //.     to a curried function which takes a value of each field type and
+  //.     returns a member of `t` (or to the sole member of `t` it constructs,
+  //.     if it has no fields); and
+  //.
+  //.   - `fold`, a function which takes an object mapping the name of each
+  //.     data constructor to a curried function (or to a value, if the data
+  //.     constructor has no fields) and returns a function which takes a
+  //.     member of `t` and applies the appropriate function to its fields.
+  //.
+  //. Every member of `t` can be shown via [sanctuary-show][] and compared
+  //. via [`Z.equals`][]. The data constructors and the functions returned by
+  //. `fold` are type checked, and `fold` throws if a data constructor has no
+  //. function (or a function has no data constructor).
+  //.
+  //. For example:
+  //.
+  //. ```javascript
+  //. const show = require ('sanctuary-show');
+  //.
+  //. //    Shape :: { constructors :: StrMap Any, fold :: Function, type :: Type }
+  //. const Shape = $.Adt
+  //.   ('my-package/Shape@1')
+  //.   ('http://example.com/my-package#Shape')
+  //.   ({Circle: [$.PositiveFiniteNumber],
+  //.     Rectangle: [$.PositiveFiniteNumber, $.PositiveFiniteNumber]});
+  //.
+  //. const {Circle, Rectangle} = Shape.constructors;
   //.
-  //. //    dist :: Point -> Point -> FiniteNumber
-  //. const dist =
-  //. def ('dist')
-  //.     ({})
-  //.     ([Point, Point, $.FiniteNumber])
-  //.     (p => q => Math.sqrt (Math.pow (p.x - q.x, 2) +
-  //.                           Math.pow (p.y - q.y, 2)));
+  //. //    area :: Shape -> Number
+  //. const area = Shape.fold ({
+  //.   Circle: radius => Math.PI * radius * radius,
+  //.   Rectangle: width => height => width * height,
+  //. });
   //.
-  //. dist ({x: 0, y: 0}) ({x: 3, y: 4});
-  //. // => 5
+  //. area (Rectangle (2) (3));
+  //. // => 6
   //.
-  //. dist ({x: 0, y: 0}) ({x: 3, y: 4, color: 'red'});
-  //. // => 5
+  //. show (Rectangle (2) (3));
+  //. // => 'Rectangle (2) (3)'
   //.
-  //. dist ({x: 0, y: 0}) ({x: NaN, y: NaN});
+  //. Circle (-1);
   //. // ! TypeError: Invalid value
   //. //
-  //. //   dist :: { x :: FiniteNumber, y :: FiniteNumber } -> { x :: FiniteNumber, y :: FiniteNumber } -> FiniteNumber
-  //. //                                                              ^^^^^^^^^^^^
-  //. //                                                                   1
-  //. //
-  //. //   1)  NaN :: Number
-  //. //
-  //. //   The value at position 1 is not a member of ‘FiniteNumber’.
-  //.
-  //. dist (0);
-  //. // ! TypeError: Invalid value
+  //. //   Circle :: PositiveFiniteNumber -> Shape
+  //. //             ^^^^^^^^^^^^^^^^^^^^
+  //. //                      1
   //. //
-  //. //   dist :: { x :: FiniteNumber, y :: FiniteNumber } -> { x :: FiniteNumber, y :: FiniteNumber } -> FiniteNumber
-  //. //           ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
-  //. //                              1
+  //. //   1)  -1 :: Number
   //. //
-  //. //   1)  0 :: Number
+  //. //   The value at position 1 is not a member of ‘PositiveFiniteNumber’.
   //. //
-  //. //   The value at position 1 is not a member of ‘{ x :: FiniteNumber, y :: FiniteNumber }’.
+  //. //   See https://github.com/sanctuary-js/sanctuary-def/tree/v0.22.0#PositiveFiniteNumber for information about the PositiveFiniteNumber type.
   //. ```
-  function RecordType(fields) {
-    var keys = sortedKeys (fields);
-
-    function format(outer, inner) {
-      if (isEmpty (keys)) return outer ('{}');
-      var reprs = Z.map (function(k) {
-        var t = fields[k];
-        return outer (' ') +
-               outer (/^(?!\d)[$\w]+$/.test (k) ? k : show (k)) +
-               outer (' :: ') +
-               inner (k) (show (t));
-      }, keys);
-      return wrap (outer ('{')) (outer (' }')) (joinWith (outer (','), reprs));
-    }
+  function Adt(typeIdent) {
+    return function(url) {
+      return function(fields) {
+        var tags = sortedKeys (fields);
+
+        var prototype = {
+          '@@type': typeIdent,
+          '@@show': function() {
+            return Z.reduce (function(s, x) {
+              return s + ' (' + show (x) + ')';
+            }, this.tag, this.values);
+          },
+          'fantasy-land/equals': function(other) {
+            return this.tag === other.tag &&
+                   Z.equals (this.values, other.values);
+          }
+        };
 
-    function test(env) {
-      return function(x) {
-        if (x == null) return false;
-        var missing = {};
-        keys.forEach (function(k) { missing[k] = k; });
-        for (var k in x) delete missing[k];
-        return isEmpty (missing);
-      };
-    }
+        var t = NullaryType (type.parse (typeIdent).name)
+                            (url)
+                            ([])
+                            (typeEq (typeIdent));
+
+        //  construct :: (String, NonNegativeInteger) -> Array Any -> Any
+        function construct(tag, arity) {
+          return function recur(values) {
+            if (values.length < arity) {
+              return function(value) {
+                return recur (Z.concat (values, [value]));
+              };
+            }
+            var x = Object.create (prototype);
+            x.tag = tag;
+            x.values = values;
+            return x;
+          };
+        }
 
-    var tuples = keys.map (function(k) {
-      return [k, function(x) { return [x[k]]; }, fields[k]];
-    });
+        var constructors = Z.reduce (function(constructors, tag) {
+          var types = fields[tag];
+          var f = construct (tag, types.length) ([]);
+          constructors[tag] = isEmpty (types) ?
+                              f :
+                              def (tag) ({}) (Z.concat (types, [t])) (f);
+          return constructors;
+        }, {}, tags);
+
+        function fold(handlers) {
+          assertExhaustive ('fold', t, tags, handlers);
+          return def ('fold') ({}) ([t, Any]) (function(x) {
+            return Z.reduce (function(f, value) { return f (value); },
+                             handlers[x.tag],
+                             x.values);
+          });
+        }
 
-    return _Type (RECORD, '', '', 0, format, [], test, tuples);
+        return {type: t, constructors: constructors, fold: fold};
+      };
+    };
   }
 
-  //# NamedRecordType :: NonEmpty String -> String -> Array Type -> StrMap Type -> Type
+  //  brands :: WeakMap Object Type
+  //
+  //  Maps each value created by the `wrap` function of a branded type to
+  //  that type. Values can only be added via `wrap`, so a value cannot be
+  //  passed off as a member of a branded type.
+  /* global WeakMap:false */
+  var brands = new WeakMap ();
+
+  //# Branded :: String -> String -> Type -> { type :: Type, unwrap :: Function, wrap :: Function }
   //.
-  //. `NamedRecordType` is used to construct named record types. The type
-  //. definition specifies the name and type of each required field. A field is
-  //. an enumerable property (either an own property or an inherited property).
+  //. `Branded` is used to define nominal (or "opaque") types: types whose
+  //. members are represented by members of another type, but which are not
+  //. interchangeable with that type or with other branded types built on it.
   //.
-  //. To define a named record type `t` one must provide:
+  //. To define a branded type `t` one must provide:
   //.
   //.   - the name of `t` (exposed as `t.name`);
   //.
-  //.   - the documentation URL of `t` (exposed as `t.url`);
+  //.   - the documentation URL of `t` (exposed as `t.url`); and
   //.
-  //.   - an array of supertypes (exposed as `t.supertypes`); and
+  //.   - the type of the underlying values.
   //.
-  //.   - an object mapping field name to type.
+  //. `Branded` returns a record comprising:
   //.
-  //. For example:
+  //.   - `type`, the type `t` itself;
+  //.
+  //.   - `wrap`, a function which takes a member of the underlying type and
+  //.     returns a member of `t`; and
+  //.
+  //.   - `unwrap`, a function which takes a member of `t` and returns the
+  //.     underlying value.
+  //.
+  //. Both functions are type checked, and `wrap` is the only way to create
+  //. a member of `t`. Members of `t` are shown with the name of `t`, even
+  //. if `t` is not in the environment, and can be compared via
+  //. [`Z.equals`][].
   //.
   //. ```javascript
-  //. //    Circle :: Type
-  //. const Circle = $.NamedRecordType
-  //.   ('my-package/Circle')
-  //.   ('http://example.com/my-package#Circle')
-  //.   ([])
-  //.   ({radius: $.PositiveFiniteNumber});
+  //. const show = require ('sanctuary-show');
   //.
-  //. //    Cylinder :: Type
-  //. const Cylinder = $.NamedRecordType
-  //.   ('Cylinder')
-  //.   ('http://example.com/my-package#Cylinder')
-  //.   ([Circle])
-  //.   ({height: $.PositiveFiniteNumber});
+  //. const UserId = $.Branded
+  //.   ('UserId')
+  //.   ('http://example.com/my-package#UserId')
+  //.   ($.NonEmptyString);
   //.
-  //. //    volume :: Cylinder -> PositiveFiniteNumber
-  //. const volume =
-  //. def ('volume')
+  //. const OrderId = $.Branded
+  //.   ('OrderId')
+  //.   ('http://example.com/my-package#OrderId')
+  //.   ($.NonEmptyString);
+  //.
+  //. //    cancelOrder :: OrderId -> String
+  //. const cancelOrder =
+  //. def ('cancelOrder')
   //.     ({})
-  //.     ([Cylinder, $.FiniteNumber])
-  //.     (cyl => Math.PI * cyl.radius * cyl.radius * cyl.height);
+  //.     ([OrderId.type, $.String])
+  //.     (orderId => 'Cancelled ' + OrderId.unwrap (orderId));
   //.
-  //. volume ({radius: 2, height: 10});
-  //. // => 125.66370614359172
+  //. show (UserId.wrap ('u1'));
+  //. // => 'UserId ("u1")'
   //.
-  //. volume ({radius: 2});
+  //. cancelOrder (OrderId.wrap ('o1'));
+  //. // => 'Cancelled o1'
+  //.
+  //. cancelOrder (UserId.wrap ('u1'));
   //. // ! TypeError: Invalid value
   //. //
-  //. //   volume :: Cylinder -> FiniteNumber
-  //. //             ^^^^^^^^
-  //. //                1
+  //. //   cancelOrder :: OrderId -> String
+  //. //                  ^^^^^^^
+  //. //                     1
   //. //
-  //. //   1)  {"radius": 2} :: Object, StrMap Number
+  //. //   1)  UserId ("u1") :: UserId
   //. //
-  //. //   The value at position 1 is not a member of ‘Cylinder’.
+  //. //   The value at position 1 is not a member of ‘OrderId’.
   //. //
-  //. //   See http://example.com/my-package#Cylinder for information about the Cylinder type.
+  //. //   See http://example.com/my-package#OrderId for information about the OrderId type.
   //. ```
-  function NamedRecordType(name) {
+  function Branded(name) {
     return function(url) {
-      return function(supertypes) {
-        return function(fields) {
-          var keys = sortedKeys (fields);
-
-          function format(outer, inner) {
-            return outer (name);
+      return function(base) {
+        var prototype = {
+          '@@type': 'sanctuary-def/Branded',
+          '@@show': function() {
+            return name + ' (' + show (this.value) + ')';
+          },
+          'fantasy-land/equals': function(other) {
+            return brands.get (this) === brands.get (other) &&
+                   Z.equals (this.value, other.value);
           }
+        };
 
-          function test(env) {
-            var test2 = _test (env);
-            return function(x) {
-              if (x == null) return false;
-              var missing = {};
-              keys.forEach (function(k) { missing[k] = k; });
-              for (var k in x) delete missing[k];
-              return isEmpty (missing) &&
-                     keys.every (function(k) {
-                       return test2 (x[k]) (fields[k]);
-                     });
-            };
-          }
+        var t = NullaryType (name)
+                            (url)
+                            ([])
+                            (function(x) { return brands.get (x) === t; });
 
-          var tuples = keys.map (function(k) {
-            return [k, function(x) { return [x[k]]; }, fields[k]];
-          });
+        var wrap = def ('wrap') ({}) ([base, t]) (function(value) {
+          var x = Object.create (prototype);
+          x.value = value;
+          brands.set (x, t);
+          return Object.freeze (x);
+        });
 
-          return _Type (RECORD,
-                        name,
-                        url,
-                        0,
-                        format,
-                        supertypes,
-                        test,
-                        tuples);
-        };
+        var unwrap = def ('unwrap') ({}) ([t, base]) (function(x) {
+          return x.value;
+        });
+
+        return {type: t, wrap: wrap, unwrap: unwrap};
       };
     };
   }
 
+  //  withBrands :: (Array Type, Array Any) -> Array Type
+  //
+  //  Returns the given environment extended with the branded types of the
+  //  given values, so that a branded value is shown as a member of its type,
+  //  and may be the value of a type variable, even if that type is not in
+  //  the environment.
+  function withBrands(env, values) {
+    return Z.reduce (function(env, x) {
+      var t = brands.get (x);
+      return t == null || env.indexOf (t) >= 0 ? env : Z.concat ([t], env);
+    }, env, values);
+  }
+
   //  typeVarPred :: NonNegativeInteger -> Array Type -> Any -> Boolean
   function typeVarPred(arity) {
     var filter = arityGte (arity);
@@ -2052,7 +4704,9 @@
       var test2 = _test (env);
       return function(x) {
         var test1 = test2 (x);
-        return env.some (function(t) { return filter (t) && test1 (t); });
+        return (withBrands (env, [x])).some (function(t) {
+          return filter (t) && test1 (t);
+        });
       };
     };
   }
@@ -2166,11 +4820,7 @@
   //. This shallow inspection makes it possible to constrain a value's "outer"
   //. and "inner" types independently.
   function UnaryTypeVariable(name) {
-    return function($1) {
-      var tuples = [['$1', K ([]), $1]];
-      var test = typeVarPred (tuples.length);
-      return _Type (VARIABLE, name, '', 1, null, [], test, tuples);
-    };
+    return collect (1, naryTypeVariable (name));
   }
 
   //# BinaryTypeVariable :: String -> Type -> Type -> Type
@@ -2188,13 +4838,37 @@
   //. The more detailed explanation of [`UnaryTypeVariable`][] also applies to
   //. `BinaryTypeVariable`.
   function BinaryTypeVariable(name) {
-    return function($1) {
-      return function($2) {
-        var tuples = [['$1', K ([]), $1],
-                      ['$2', K ([]), $2]];
-        var test = typeVarPred (tuples.length);
-        return _Type (VARIABLE, name, '', 2, null, [], test, tuples);
-      };
+    return collect (2, naryTypeVariable (name));
+  }
+
+  //# TernaryTypeVariable :: String -> Type -> Type -> Type -> Type
+  //.
+  //. Combines [`TernaryType`][] and [`TypeVariable`][].
+  //.
+  //. To define a ternary type variable `t a b c` one must provide:
+  //.
+  //.   - a name (conventionally matching `^[a-z]$`);
+  //.
+  //.   - the type of `a`;
+  //.
+  //.   - the type of `b`; and
+  //.
+  //.   - the type of `c`.
+  //.
+  //. The more detailed explanation of [`UnaryTypeVariable`][] also applies to
+  //. `TernaryTypeVariable`.
+  function TernaryTypeVariable(name) {
+    return collect (3, naryTypeVariable (name));
+  }
+
+  //  naryTypeVariable :: String -> Array Type -> Type
+  function naryTypeVariable(name) {
+    return function(types) {
+      var tuples = Z.map (function(idx) {
+        return ['$' + show (idx + 1), K ([]), types[idx]];
+      }, range (0, types.length));
+      var test = typeVarPred (tuples.length);
+      return _Type (VARIABLE, name, '', tuples.length, null, [], test, tuples);
     };
   }
 
@@ -2441,11 +5115,25 @@
               joinWith (_ (' -> '), st.numbers) + '\n';
   }
 
+  //  typePropPath :: (Type, PropPath) -> PropPath
+  //
+  //  Returns the prefix of the given property path which identifies a type
+  //  nested within the given type. Any remainder is a path within a value
+  //  of a recursive type (see Json).
+  function typePropPath(t, propPath) {
+    var t$ = t;
+    var idx = 0;
+    for (; idx < propPath.length && t$.type !== RECURSIVE; idx += 1) {
+      t$ = t$.types[propPath[idx]];
+    }
+    return propPath.slice (0, idx);
+  }
+
   //  resolvePropPath :: (Type, Array String) -> Type
   function resolvePropPath(t, propPath) {
     return Z.reduce (function(t, prop) { return t.types[prop]; },
                      t,
-                     propPath);
+                     typePropPath (t, propPath));
   }
 
   //  formatType6 ::
@@ -2558,6 +5246,177 @@
     ));
   }
 
+  //  editDistance :: (String, String) -> NonNegativeInteger
+  //
+  //  Returns the Levenshtein distance between the given strings.
+  function editDistance(s, t) {
+    var prev = [];
+    for (var j = 0; j <= t.length; j += 1) prev.push (j);
+    for (var i = 1; i <= s.length; i += 1) {
+      var curr = [i];
+      for (j = 1; j <= t.length; j += 1) {
+        curr.push (Math.min (prev[j] + 1,
+                             curr[j - 1] + 1,
+                             prev[j - 1] + (s[i - 1] === t[j - 1] ? 0 : 1)));
+      }
+      prev = curr;
+    }
+    return prev[t.length];
+  }
+
+  //  explainRecursive :: (Array Type, Type, Any) -> String
+  //
+  //  Describes the innermost value and type responsible for the given value
+  //  not being a member of the given recursive type.
+  function explainRecursive(env, t, value) {
+    //  A recursive type which reports a path (see Json) identifies the
+    //  innermost value itself.
+    var v = (t.validate (env) (value)).value;
+    if (!(isEmpty (v.propPath)) && v.value !== value) {
+      return '\n' + show (v.value) + ' occurs at ' + show (v.propPath) +
+             '.\n' + explainRecursive (env, t, v.value);
+    }
+    var e = (t.definition.validate (env) (value)).value;
+    var t$ = resolvePropPath (t.definition, e.propPath);
+    if (t$.type === UNION) {
+      //  If the value could be a member of just one member of the union
+      //  were it not for its contents, the contents are to blame.
+      var test2 = _test (env) (e.value);
+      var candidates = Z.filter (function(k) {
+        return test2 (t$.types[k]);
+      }, t$.keys);
+      if (candidates.length === 1) {
+        var candidate = t$.types[candidates[0]];
+        e = (candidate.validate (env) (e.value)).value;
+        t$ = resolvePropPath (candidate, e.propPath);
+      }
+    }
+    if (t$.type === RECURSIVE) {
+      //  Descend unless the value is rejected by its own definition.
+      if (e.value !== value) return explainRecursive (env, t$, e.value);
+      t$ = t.definition;
+    }
+    return '\n' + show (e.value) + ' is not a member of ' +
+           q (show (t$)) + '.\n' + explain (env, t$, e.value);
+  }
+
+  //  explainIntersection :: (Array Type, Type, Any) -> String
+  //
+  //  Identifies the anonymous record type responsible for the given value
+  //  not being a member of the given intersection type (the other
+  //  constituents are identified by the underlining).
+  function explainIntersection(env, t, value) {
+    var failing = Z.reject (_test (env) (value), t.records);
+    if (isEmpty (failing)) return '';
+    return '\nThe value is not a member of ' + q (show (failing[0])) +
+           '.\n' + explain (env, failing[0], value);
+  }
+
+  //  explainTaggedUnion :: (Array Type, Type, Any) -> String
+  function explainTaggedUnion(env, t, value) {
+    if (value == null || !(hasOwnProperty.call (t.types, value[t.key]))) {
+      return toMarkdownList ('', '\nThe value of the ' + q (t.key) +
+                                 ' field must be one of the following:\n\n',
+                             show,
+                             t.keys);
+    }
+    var tag = value[t.key];
+    var $1 = t.types[tag];
+    var missing = Z.reject (function(k) {
+      return $1.types[k].type === OPTIONAL || k in Object (value);
+    }, $1.type === RECORD || $1.type === EXACT_RECORD ? $1.keys : []);
+    return isEmpty (missing) ?
+      explain (env, $1, value) :
+      Z.reduce (function(s, k) {
+        return s + '\nTag ' + q (tag) + ' is missing field ' + q (k) + '.\n';
+      }, '', missing);
+  }
+
+  //  explainRefinement :: (Array Type, Type, Any) -> String
+  function explainRefinement(env, t, value) {
+    var test2 = _test (env) (value);
+
+    //  Returns the first type, in the chain of supertypes of the given type,
+    //  whose own predicate rejects the value.
+    function failing(t) {
+      for (var idx = 0; idx < t.supertypes.length; idx += 1) {
+        var supertype = t.supertypes[idx];
+        if (!(test2 (supertype))) return failing (supertype);
+      }
+      return t;
+    }
+
+    var t$ = failing (t);
+    var reason = t$.refinement == null ? false : t$.refinement (value);
+    return (t$ === t ?
+            '' :
+            '\nThe value is not a member of ' + q (show (t$)) +
+            ', a supertype of ' + q (show (t)) + '.\n') +
+           (typeof reason === 'string' ?
+            '\nThe value ' + reason + ' (got ' + show (value) + ').\n' :
+            t$ === t ?
+            '' :
+            // else
+            explain (env, t$, value));
+  }
+
+  //  closest :: (String, Array String) -> String?
+  //
+  //  Returns the name nearest to the given string, if any is near enough to
+  //  be worth suggesting. Ties are broken in favour of the name which sorts
+  //  first, so suggestions do not depend on the order of the names.
+  function closest(k, names) {
+    var best = Z.reduce (function(best, name) {
+      var distance = editDistance (k, name);
+      return 2 * distance >= k.length ||
+             best != null && (distance > best.distance ||
+                              distance === best.distance &&
+                              name >= best.name) ?
+             best :
+             {distance: distance, name: name};
+    }, null, names);
+    return best == null ? null : best.name;
+  }
+
+  //  explain :: (Array Type, Type, Any) -> String
+  //
+  //  Returns a paragraph describing why the given value is not a member of
+  //  the given type, or the empty string if there is nothing to add to the
+  //  "not a member of" sentence.
+  function explain(env, t, value) {
+    return t.type === UNION ?
+      toMarkdownList ('', '\nEach member of the union rejects the value:\n\n',
+                      function(k) {
+                        var $1 = t.types[k];
+                        var e = ($1.validate (env) (value)).value;
+                        return show ($1) + ': ' + show (e.value) +
+                               ' is not a member of ' +
+                               q (show (resolvePropPath ($1, e.propPath))) +
+                               '.';
+                      },
+                      t.keys) :
+    t.type === EXACT_RECORD ?
+      toMarkdownList ('', '\nThe value has unexpected fields:\n\n',
+                      function(k) {
+                        var suggestion = closest (k, fieldNames (t));
+                        return q (k) + (suggestion == null ?
+                                        '' :
+                                        ' (did you mean ' +
+                                        q (suggestion) + '?)');
+                      },
+                      unexpectedFields (fieldNames (t), value)) :
+    t.type === INTERSECTION ?
+      explainIntersection (env, t, value) :
+    t.type === RECURSIVE ?
+      explainRecursive (env, t, value) :
+    t.type === TAGGED_UNION ?
+      explainTaggedUnion (env, t, value) :
+    t.refinement != null ?
+      explainRefinement (env, t, value) :
+    // else
+      '';
+  }
+
   //  invalidValue :: ... -> Error
   function invalidValue(
     env,            // :: Array Type
@@ -2567,11 +5426,13 @@
     value           // :: Any
   ) {
     var t = resolvePropPath (typeInfo.types[index], propPath);
+    var typePath = typePropPath (typeInfo.types[index], propPath);
+    var valuePath = propPath.slice (typePath.length);
 
     var underlinedTypeVars =
     underline (typeInfo,
                K (K (_)),
-               formatType6 (Z.concat ([index], propPath)));
+               formatType6 (Z.concat ([index], typePath)));
 
     return new TypeError (trimTrailingSpaces (
       t.type === VARIABLE &&
@@ -2594,6 +5455,11 @@
         showValuesAndTypes (env, typeInfo, [value], 1) + '\n\n' +
         'The value at position 1 is not a member of ' +
         q (show (t)) + '.\n' +
+        (isEmpty (valuePath) ?
+         '' :
+         '\nIt occurs at ' + show (valuePath) + ' within the ' +
+         q (show (t)) + ' value.\n') +
+        explain (env, t, value) +
         see (arityGte (1) (t) ? 'type constructor' : 'type', t)
     ));
   }
@@ -2650,52 +5516,130 @@
   ) {
     var n = typeInfo.types.length - 1;
 
-    //  wrapFunctionCond :: (TypeVarMap, Integer, a) -> a
-    function wrapFunctionCond(_typeVarMap, index, value) {
-      var expType = typeInfo.types[index];
-      if (expType.type !== FUNCTION) return value;
+    //  checkValue :: (TypeVarMap, Integer, String, a) -> Either (() -> Error) TypeVarMap
+    function checkValue(typeVarMap, index, k, x) {
+      var propPath = [k];
+      var t = typeInfo.types[index].types[k];
+      return (
+        t.type === VARIABLE ?
+          Z.chain (
+            function(typeVarMap) {
+              return isEmpty (typeVarMap[t.name].types) ?
+                Left (function() {
+                  return typeVarConstraintViolation (
+                    env,
+                    typeInfo,
+                    index,
+                    propPath,
+                    typeVarMap[t.name].valuesByPath
+                  );
+                }) :
+                Right (typeVarMap);
+            },
+            Right (updateTypeVarMap (env,
+                                     typeVarMap,
+                                     t,
+                                     index,
+                                     propPath,
+                                     [x]))
+          ) :
+        // else
+          Z.map (
+            function(r) { return r.typeVarMap; },
+            satisfactoryTypes (env,
+                               typeInfo,
+                               typeVarMap,
+                               t,
+                               index,
+                               propPath,
+                               [x])
+          )
+      );
+    }
 
-      //  checkValue :: (TypeVarMap, Integer, String, a) -> Either (() -> Error) TypeVarMap
-      function checkValue(typeVarMap, index, k, x) {
-        var propPath = [k];
-        var t = expType.types[k];
-        return (
-          t.type === VARIABLE ?
-            Z.chain (
-              function(typeVarMap) {
-                return isEmpty (typeVarMap[t.name].types) ?
-                  Left (function() {
-                    return typeVarConstraintViolation (
-                      env,
-                      typeInfo,
-                      index,
-                      propPath,
-                      typeVarMap[t.name].valuesByPath
-                    );
-                  }) :
-                  Right (typeVarMap);
-              },
-              Right (updateTypeVarMap (env,
-                                       typeVarMap,
-                                       t,
-                                       index,
-                                       propPath,
-                                       [x]))
-            ) :
-          // else
-            Z.map (
-              function(r) { return r.typeVarMap; },
-              satisfactoryTypes (env,
-                                 typeInfo,
-                                 typeVarMap,
-                                 t,
-                                 index,
-                                 propPath,
-                                 [x])
-            )
-        );
+    //  wrapIterator :: (TypeVarMap, Integer, Iterator a, Boolean) -> Iterator a
+    //
+    //  Returns an iterator which produces the same elements as the given
+    //  iterator, but which throws if an element is not a member of the type
+    //  specified for it. The type-variable map is shared by all elements.
+    //  If the iterator is asynchronous, the promises it returns are replaced
+    //  by promises which reject rather than the iterator throwing.
+    function wrapIterator(_typeVarMap, index, iterator, async) {
+      var typeVarMap = _typeVarMap;
+      var count = 0;
+
+      function check(result) {
+        if (!result.done) {
+          var either = checkValue (typeVarMap, index, '$1', result.value);
+          if (either.isLeft) {
+            var error = either.value ();
+            error.message +=
+              '\nThe offending value is the element at index ' +
+              show (count) + ' of the ' +
+              typeInfo.types[index].name
+              .replace (/([a-z])([A-Z])/g, '$1 $2')
+              .toLowerCase () + '.\n';
+            throw error;
+          }
+          typeVarMap = either.value;
+          count += 1;
+        }
+        return result;
+      }
+
+      function step(method) {
+        return function() {
+          var result = iterator[method].apply (iterator, arguments);
+          return async ? result.then (check) : check (result);
+        };
       }
 
+      var wrapped = {next: step ('next')};
+      ['return', 'throw'].forEach (function(method) {
+        if (typeof iterator[method] === 'function') {
+          wrapped[method] = step (method);
+        }
+      });
+      wrapped[async ? Symbol.asyncIterator : Symbol.iterator] = function() {
+        return this;
+      };
+      wrapped[Symbol.toStringTag] = iterator[Symbol.toStringTag];
+      return wrapped;
+    }
+
+    //  wrapIterable :: (TypeVarMap, Integer, Iterable a, Boolean) -> Iterable a
+    //
+    //  Returns an iterable whose iterators are wrapped via wrapIterator.
+    function wrapIterable(typeVarMap, index, iterable, async) {
+      var symbol = async ? Symbol.asyncIterator : Symbol.iterator;
+      var wrapped = {};
+      wrapped[symbol] = function() {
+        return wrapIterator (typeVarMap, index, iterable[symbol] (), async);
+      };
+      return wrapped;
+    }
+
+    //  wrapPromise :: (TypeVarMap, Integer, Promise a) -> Promise a
+    //
+    //  Returns a promise which resolves to the same value as the given
+    //  promise, or rejects if that value is not a member of the type
+    //  specified for it.
+    function wrapPromise(typeVarMap, index, promise) {
+      var promise$ = promise.then (function(x) {
+        var either = checkValue (typeVarMap, index, '$1', x);
+        //  The implementation may disregard a promise it is given, in which
+        //  case a failed check must not become an unhandled rejection.
+        if (either.isLeft && index < n) promise$.catch (function() {});
+        assertRight (either);
+        return x;
+      });
+      return promise$;
+    }
+
+    //  wrapFunction :: (TypeVarMap, Integer, Function) -> Function
+    function wrapFunction(_typeVarMap, index, value) {
+      var expType = typeInfo.types[index];
+
       var typeVarMap = _typeVarMap;
       return function(x) {
         if (arguments.length !== expType.arity - 1) {
@@ -2722,6 +5666,28 @@
       };
     }
 
+    //  wrapCond :: (TypeVarMap, Integer, a) -> a
+    //
+    //  Wraps the given value if it is a function, promise, iterable (either
+    //  synchronous or asynchronous), or iterator whose elements cannot be
+    //  checked up front.
+    function wrapCond(typeVarMap, index, value) {
+      var expType = typeInfo.types[index];
+      function is(name) { return isBuiltinUnaryType (name) (expType); }
+      return expType.type === FUNCTION ?
+               wrapFunction (typeVarMap, index, value) :
+             is ('Promise') ?
+               wrapPromise (typeVarMap, index, value) :
+             is ('Iterable') ?
+               wrapIterable (typeVarMap, index, value, false) :
+             is ('AsyncIterable') ?
+               wrapIterable (typeVarMap, index, value, true) :
+             is ('Iterator') || is ('Generator') ?
+               wrapIterator (typeVarMap, index, value, false) :
+             // else
+               value;
+    }
+
     //  wrapNext :: (TypeVarMap, Array Any, Integer) -> (a -> b)
     function wrapNext(_typeVarMap, _values, index) {
       return function(x) {
@@ -2742,7 +5708,7 @@
         var values = Z.concat (_values, args);
         if (index + 1 === n) {
           var value = values.reduce (function(f, x, idx) {
-            return f (wrapFunctionCond (typeVarMap, idx, x));
+            return f (wrapCond (typeVarMap, idx, x));
           }, impl);
           typeVarMap = (assertRight (
             satisfactoryTypes (env,
@@ -2753,7 +5719,7 @@
                                [],
                                [value])
           )).typeVarMap;
-          return wrapFunctionCond (typeVarMap, n, value);
+          return wrapCond (typeVarMap, n, value);
         } else {
           return wrapNext (typeVarMap, values, index + 1);
         }
@@ -2775,7 +5741,7 @@
                              [],
                              [value])
         )).typeVarMap;
-        return wrapFunctionCond (typeVarMap, n, value);
+        return wrapCond (typeVarMap, n, value);
       } :
       wrapNext ({}, [], 0);
 
@@ -2793,11 +5759,28 @@
     AnyFunction
   ];
 
+  //  freezingOutputs :: (NonNegativeInteger, Function) -> Function
+  //
+  //  Returns a curried function which behaves like the given curried function
+  //  of the given arity (0 for a nullary function), but which returns a
+  //  deeply frozen copy of its output (see frozenCopy).
+  function freezingOutputs(arity, f) {
+    return function() {
+      var x = f.apply (this, arguments);
+      return arity > 1 ?
+             freezingOutputs (arity - 1, x) :
+             frozenCopy (x, [], []);
+    };
+  }
+
   function create(opts) {
     function def(name) {
       return function(constraints) {
         return function(expTypes) {
-          return function(impl) {
+          return function(_impl) {
+            var impl = opts.freezeOutputs ?
+                       freezingOutputs (expTypes.length - 1, _impl) :
+                       _impl;
             return opts.checkTypes ?
               withTypeChecking (opts.env,
                                 {name: name,
@@ -2819,13 +5802,16 @@
   //  fromUncheckedUnaryType :: (Type -> Type) -> Type -> Type
   function fromUncheckedUnaryType(typeConstructor) {
     var t = typeConstructor (Unknown);
-    return def (t.name) ({}) ([Type, Type]) (fromUnaryType (t));
+    return def (t.name) ({}) ([Type, Type]) (collect (1, fromNaryType (t)));
   }
 
   //  fromUncheckedBinaryType :: (Type -> Type -> Type) -> Type -> Type -> Type
   function fromUncheckedBinaryType(typeConstructor) {
     var t = typeConstructor (Unknown) (Unknown);
-    return def (t.name) ({}) ([Type, Type, Type]) (fromBinaryType (t));
+    return def (t.name)
+               ({})
+               ([Type, Type, Type])
+               (collect (2, fromNaryType (t)));
   }
 
   return {
@@ -2836,13 +5822,39 @@
     Array0: Array0,
     Array1: fromUncheckedUnaryType (Array1),
     Array2: fromUncheckedBinaryType (Array2),
+    ArrayBuffer: ArrayBuffer_,
+    SharedArrayBuffer: SharedArrayBuffer_,
+    DataView: DataView_,
+    Int8Array: Int8Array_,
+    Uint8Array: Uint8Array_,
+    Uint8ClampedArray: Uint8ClampedArray_,
+    Int16Array: Int16Array_,
+    Uint16Array: Uint16Array_,
+    Int32Array: Int32Array_,
+    Uint32Array: Uint32Array_,
+    Float32Array: Float32Array_,
+    Float64Array: Float64Array_,
+    BigInt64Array: BigInt64Array_,
+    BigUint64Array: BigUint64Array_,
+    BigInt: BigInt_,
+    NonNegativeBigInt: NonNegativeBigInt,
+    PositiveBigInt: PositiveBigInt,
     Boolean: Boolean_,
     Buffer: Buffer_,
     Date: Date_,
     ValidDate: ValidDate,
     Descending: fromUncheckedUnaryType (Descending),
+    Dict: fromUncheckedBinaryType (Dict),
     Either: fromUncheckedBinaryType (Either_),
     Error: Error_,
+    AggregateError: AggregateError_,
+    EvalError: EvalError_,
+    RangeError: RangeError_,
+    ReferenceError: ReferenceError_,
+    SyntaxError: SyntaxError_,
+    TypeError: TypeError_,
+    URIError: URIError_,
+    FinalizationRegistry: FinalizationRegistry_,
     Fn:
       def ('Fn')
           ({})
@@ -2857,6 +5869,8 @@
     Identity: fromUncheckedUnaryType (Identity),
     JsMap: fromUncheckedBinaryType (JsMap),
     JsSet: fromUncheckedUnaryType (JsSet),
+    Json: Json,
+    JsonObject: JsonObject,
     Maybe: fromUncheckedUnaryType (Maybe),
     Module: Module,
     NonEmpty: NonEmpty,
@@ -2865,36 +5879,92 @@
     Number: Number_,
     PositiveNumber: PositiveNumber,
     NegativeNumber: NegativeNumber,
+    NonNegativeNumber: NonNegativeNumber,
+    NonPositiveNumber: NonPositiveNumber,
     ValidNumber: ValidNumber,
     NonZeroValidNumber: NonZeroValidNumber,
     FiniteNumber: FiniteNumber,
     NonZeroFiniteNumber: NonZeroFiniteNumber,
     PositiveFiniteNumber: PositiveFiniteNumber,
     NegativeFiniteNumber: NegativeFiniteNumber,
+    NonNegativeFiniteNumber: NonNegativeFiniteNumber,
+    NonPositiveFiniteNumber: NonPositiveFiniteNumber,
     Integer: Integer,
     NonZeroInteger: NonZeroInteger,
     NonNegativeInteger: NonNegativeInteger,
+    NonPositiveInteger: NonPositiveInteger,
     PositiveInteger: PositiveInteger,
     NegativeInteger: NegativeInteger,
+    IntegerBetween:
+      def ('IntegerBetween')
+          ({})
+          ([Integer, Integer, Type])
+          (IntegerBetween),
+    NumberBetween:
+      def ('NumberBetween')
+          ({})
+          ([FiniteNumber, FiniteNumber, Type])
+          (NumberBetween),
+    NumberBetweenExclusive:
+      def ('NumberBetweenExclusive')
+          ({})
+          ([FiniteNumber, FiniteNumber, Type])
+          (NumberBetweenExclusive),
     Object: Object_,
     Pair: fromUncheckedBinaryType (Pair),
+    Iterable: fromUncheckedUnaryType (Iterable),
+    Iterator: fromUncheckedUnaryType (Iterator),
+    Generator: fromUncheckedUnaryType (Generator),
+    AsyncIterable: fromUncheckedUnaryType (AsyncIterable),
+    Promise: fromUncheckedUnaryType (Promise_),
+    Readonly: fromUncheckedUnaryType (Readonly),
+    DeepReadonly:
+      def ('DeepReadonly')
+          ({})
+          ([Type, Type])
+          (DeepReadonly),
     RegExp: RegExp_,
     GlobalRegExp: GlobalRegExp,
     NonGlobalRegExp: NonGlobalRegExp,
     RegexFlags: RegexFlags,
+    StringMatching:
+      def ('StringMatching')
+          ({})
+          ([NonGlobalRegExp, Type])
+          (StringMatching),
+    StringOfLength:
+      def ('StringOfLength')
+          ({})
+          ([NonNegativeInteger, NonNegativeInteger, Type])
+          (StringOfLength),
+    NonEmptyString: NonEmptyString,
+    Uuid: Uuid,
+    IsoDateString: IsoDateString,
+    EmailAddress: EmailAddress,
+    Url: Url,
     StrMap: fromUncheckedUnaryType (StrMap),
     String: String_,
     Symbol: Symbol_,
+    Tuple:
+      def ('Tuple')
+          ({})
+          ([Array_ (Type), Type])
+          (Tuple),
     Type: Type,
     TypeClass: TypeClass,
     Undefined: Undefined,
+    WeakMap: WeakMap_,
+    WeakRef: WeakRef_,
+    WeakSet: WeakSet_,
     Unknown: Unknown,
     Void: Void,
     env: env,
     create:
       def ('create')
           ({})
-          ([RecordType ({checkTypes: Boolean_, env: Array_ (Type)}),
+          ([RecordType ({checkTypes: Boolean_,
+                         env: Array_ (Type),
+                         freezeOutputs: Optional (Boolean_)}),
             Unchecked (joinWith (' -> ', Z.map (show, defTypes)))])
           (create),
     test:
@@ -2902,6 +5972,11 @@
           ({})
           ([Array_ (Type), Type, Any, Boolean_])
           (test),
+    validateStream:
+      def ('validateStream')
+          ({})
+          ([Array_ (Type), Type, Unchecked ('Transform')])
+          (validateStream),
     NullaryType:
       def ('NullaryType')
           ({})
@@ -2911,6 +5986,15 @@
             Unchecked ('(Any -> Boolean)'),
             Type])
           (NullaryType),
+    Refine:
+      def ('Refine')
+          ({})
+          ([String_,
+            String_,
+            Type,
+            Unchecked ('(Any -> (Boolean | String))'),
+            Type])
+          (Refine),
     UnaryType:
       def ('UnaryType')
           ({f: [Z.Foldable]})
@@ -2938,11 +6022,72 @@
              return B (B (B (B (B (def (name) ({}) ([Type, Type, Type]))))))
                       (BinaryType (name));
            }),
+    TernaryType:
+      def ('TernaryType')
+          ({f: [Z.Foldable]})
+          ([String_,
+            String_,
+            Array_ (Type),
+            Unchecked ('(Any -> Boolean)'),
+            Unchecked ('(t a b c -> f a)'),
+            Unchecked ('(t a b c -> f b)'),
+            Unchecked ('(t a b c -> f c)'),
+            Unchecked ('Type -> Type -> Type -> Type')])
+          (function(name) {
+             return B (B (B (B (B (B (def (name)
+                                          ({})
+                                          ([Type, Type, Type, Type])))))))
+                      (TernaryType (name));
+           }),
+    NaryType:
+      def ('NaryType')
+          ({f: [Z.Foldable]})
+          ([String_,
+            String_,
+            Array_ (Type),
+            Unchecked ('(Any -> Boolean)'),
+            Array_ (Unchecked ('(t a b ... -> f Any)')),
+            Unchecked ('Type -> ... -> Type')])
+          (function(name) {
+             return function(url) {
+               return function(supertypes) {
+                 return function(test) {
+                   return function(extractors) {
+                     var n = extractors.length;
+                     var f = NaryType (name)
+                                      (url)
+                                      (supertypes)
+                                      (test)
+                                      (extractors);
+                     return n === 0 ?
+                            f :
+                            def (name)
+                                ({})
+                                (Z.map (K (Type), range (0, n + 1)))
+                                (f);
+                   };
+                 };
+               };
+             };
+           }),
     EnumType:
       def ('EnumType')
           ({})
           ([String_, String_, Array_ (Any), Type])
           (EnumType),
+    Literal:
+      def ('Literal')
+          ({})
+          ([Any, Type])
+          (Literal),
+    InstanceOf:
+      def ('InstanceOf')
+          ({})
+          ([RecordType ({by: Optional (Union ([Literal ('instanceof'),
+                                               Literal ('@@type')]))}),
+            AnyFunction,
+            Type])
+          (InstanceOf),
     RecordType:
       def ('RecordType')
           ({})
@@ -2953,6 +6098,71 @@
           ({})
           ([NonEmpty (String_), String_, Array_ (Type), StrMap (Type), Type])
           (NamedRecordType),
+    ExactRecordType:
+      def ('ExactRecordType')
+          ({})
+          ([StrMap (Type), Type])
+          (ExactRecordType),
+    ExactNamedRecordType:
+      def ('ExactNamedRecordType')
+          ({})
+          ([NonEmpty (String_), String_, Array_ (Type), StrMap (Type), Type])
+          (ExactNamedRecordType),
+    ErrorType:
+      def ('ErrorType')
+          ({})
+          ([NonEmpty (String_), String_, StrMap (Type), Type])
+          (ErrorType),
+    Optional:
+      def ('Optional')
+          ({})
+          ([Type, Type])
+          (Optional),
+    Union:
+      def ('Union')
+          ({})
+          ([NonEmpty (Array_ (Type)), Type])
+          (Union),
+    Intersection:
+      def ('Intersection')
+          ({})
+          ([NonEmpty (Array_ (Type)), Type])
+          (Intersection),
+    Rec:
+      def ('Rec')
+          ({})
+          ([String_, String_, Unchecked ('(Type -> Type)'), Type])
+          (Rec),
+    TaggedUnion:
+      def ('TaggedUnion')
+          ({})
+          ([String_, StrMap (Type), Type])
+          (TaggedUnion),
+    Adt:
+      def ('Adt')
+          ({})
+          ([String_,
+            String_,
+            StrMap (Array_ (Type)),
+            RecordType ({constructors: StrMap (Any),
+                         fold: AnyFunction,
+                         type: Type})])
+          (Adt),
+    Branded:
+      def ('Branded')
+          ({})
+          ([String_,
+            String_,
+            Type,
+            RecordType ({type: Type,
+                         unwrap: AnyFunction,
+                         wrap: AnyFunction})])
+          (Branded),
+    match:
+      def ('match')
+          ({})
+          ([Type, StrMap (AnyFunction), AnyFunction])
+          (match),
     TypeVariable:
       def ('TypeVariable')
           ({})
@@ -2975,6 +6185,16 @@
                         ([Type, Type, Type])
                         (BinaryTypeVariable (name));
            }),
+    TernaryTypeVariable:
+      def ('TernaryTypeVariable')
+          ({})
+          ([String_, Unchecked ('Type -> Type -> Type -> Type')])
+          (function(name) {
+             return def (name)
+                        ({})
+                        ([Type, Type, Type, Type])
+                        (TernaryTypeVariable (name));
+           }),
     Thunk:
       def ('Thunk')
           ({})
@@ -2989,44 +6209,76 @@
 
 }));
 
+//. [AggregateError]:       https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/AggregateError
+//. [ArrayBuffer]:          https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/ArrayBuffer
 //. [Buffer]:               https://nodejs.org/api/buffer.html#buffer_buffer
+//. [DataView]:             https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/DataView
 //. [Descending]:           v:sanctuary-js/sanctuary-descending
 //. [Either]:               v:sanctuary-js/sanctuary-either
+//. [EvalError]:            https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/EvalError
 //. [FL:Semigroup]:         https://github.com/fantasyland/fantasy-land#semigroup
+//. [FinalizationRegistry]: https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/FinalizationRegistry
 //. [HTML element]:         https://developer.mozilla.org/en-US/docs/Web/HTML/Element
+//. [ISO 8601]:             https://en.wikipedia.org/wiki/ISO_8601
 //. [Identity]:             v:sanctuary-js/sanctuary-identity
 //. [Maybe]:                v:sanctuary-js/sanctuary-maybe
 //. [Monoid]:               https://github.com/fantasyland/fantasy-land#monoid
 //. [Pair]:                 v:sanctuary-js/sanctuary-pair
+//. [RangeError]:           https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/RangeError
+//. [ReferenceError]:       https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/ReferenceError
 //. [Setoid]:               https://github.com/fantasyland/fantasy-land#setoid
+//. [SharedArrayBuffer]:    https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/SharedArrayBuffer
+//. [Transform]:            https://nodejs.org/api/stream.html#stream_class_stream_transform
+//. [URIError]:             https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/URIError
 //. [Unknown]:              #Unknown
+//. [WeakMap]:              https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/WeakMap
+//. [WeakRef]:              https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/WeakRef
+//. [WeakSet]:              https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/WeakSet
 //. [`Array`]:              #Array
 //. [`Array2`]:             #Array2
+//. [`BigInt`]:             #BigInt
 //. [`BinaryType`]:         #BinaryType
 //. [`Date`]:               #Date
+//. [`DeepReadonly`]:       #DeepReadonly
+//. [`Error`]:              #Error
 //. [`FiniteNumber`]:       #FiniteNumber
 //. [`GlobalRegExp`]:       #GlobalRegExp
 //. [`Integer`]:            #Integer
+//. [`Iterable`]:           #Iterable
+//. [`Json`]:               #Json
+//. [`NamedRecordType`]:    #NamedRecordType
 //. [`NonGlobalRegExp`]:    #NonGlobalRegExp
 //. [`Number`]:             #Number
 //. [`Object.create`]:      https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/create
+//. [`Optional`]:           #Optional
+//. [`RecordType`]:         #RecordType
+//. [`Readonly`]:           #Readonly
 //. [`RegExp`]:             #RegExp
 //. [`RegexFlags`]:         #RegexFlags
+//. [`StrMap`]:             #StrMap
 //. [`String`]:             #String
 //. [`SyntaxError`]:        https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/SyntaxError
+//. [`TaggedUnion`]:        #TaggedUnion
+//. [`TernaryType`]:        #TernaryType
 //. [`TypeClass`]:          https://github.com/sanctuary-js/sanctuary-type-classes#TypeClass
 //. [`TypeError`]:          https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypeError
 //. [`TypeVariable`]:       #TypeVariable
+//. [`Uint8Array`]:         #Uint8Array
 //. [`UnaryType`]:          #UnaryType
 //. [`UnaryTypeVariable`]:  #UnaryTypeVariable
+//. [`Union`]:              #Union
 //. [`Unknown`]:            #Unknown
 //. [`ValidNumber`]:        #ValidNumber
+//. [`Z.equals`]:           https://github.com/sanctuary-js/sanctuary-type-classes#equals
 //. [`env`]:                #env
 //. [arguments]:            https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Functions/arguments
 //. [enumerated types]:     https://en.wikipedia.org/wiki/Enumerated_type
 //. [max]:                  https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Number/MAX_SAFE_INTEGER
 //. [min]:                  https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Number/MIN_SAFE_INTEGER
+//. [sanctuary-show]:       v:sanctuary-js/sanctuary-show
+//. [sanctuary-type-identifiers]: v:sanctuary-js/sanctuary-type-identifiers
 //. [semigroup]:            https://en.wikipedia.org/wiki/Semigroup
 //. [type class]:           #type-classes
 //. [type variables]:       #TypeVariable
+//. [typed array]:          https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/TypedArray
 //. [types]:                #types
@@ -1,5 +1,9 @@
 'use strict';
 
+/* global AggregateError:false, BigInt:false, BigInt64Array:false,
+          BigUint64Array:false, FinalizationRegistry:false,
+          SharedArrayBuffer:false, WeakRef:false */
+
 const util = require ('util');
 const vm = require ('vm');
 
@@ -87,15 +91,26 @@ suite ('env', () => {
          $.Arguments,
          $.Array ($.Unknown),
          $.Array2 ($.Unknown) ($.Unknown),
+         $.ArrayBuffer,
+         $.BigInt,
+         $.BigInt64Array,
+         $.BigUint64Array,
          $.Boolean,
          $.Buffer,
+         $.DataView,
          $.Date,
          $.Descending ($.Unknown),
          $.Either ($.Unknown) ($.Unknown),
          $.Error,
+         $.FinalizationRegistry,
+         $.Float32Array,
+         $.Float64Array,
          $.Fn ($.Unknown) ($.Unknown),
          $.HtmlElement,
          $.Identity ($.Unknown),
+         $.Int16Array,
+         $.Int32Array,
+         $.Int8Array,
          $.JsMap ($.Unknown) ($.Unknown),
          $.JsSet ($.Unknown),
          $.Maybe ($.Unknown),
@@ -104,13 +119,22 @@ suite ('env', () => {
          $.Number,
          $.Object,
          $.Pair ($.Unknown) ($.Unknown),
+         $.Promise ($.Unknown),
          $.RegExp,
+         $.SharedArrayBuffer,
          $.StrMap ($.Unknown),
          $.String,
          $.Symbol,
          $.Type,
          $.TypeClass,
-         $.Undefined]);
+         $.Uint16Array,
+         $.Uint32Array,
+         $.Uint8Array,
+         $.Uint8ClampedArray,
+         $.Undefined,
+         $.WeakMap,
+         $.WeakRef,
+         $.WeakSet]);
   });
 
 });
@@ -126,13 +150,113 @@ suite ('create', () => {
     throws (() => { $.create (true); })
            (new TypeError (`Invalid value
 
-create :: { checkTypes :: Boolean, env :: Array Type } -> String -> StrMap (Array TypeClass) -> NonEmpty (Array Type) -> Function -> Function
-          ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
-                               1
+create :: { checkTypes :: Boolean, env :: Array Type, freezeOutputs? :: Boolean } -> String -> StrMap (Array TypeClass) -> NonEmpty (Array Type) -> Function -> Function
+          ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                                             1
 
 1)  true :: Boolean
 
-The value at position 1 is not a member of ‘{ checkTypes :: Boolean, env :: Array Type }’.
+The value at position 1 is not a member of ‘{ checkTypes :: Boolean, env :: Array Type, freezeOutputs? :: Boolean }’.
+`));
+  });
+
+  test ('supports the freezeOutputs option', () => {
+    [true, false].forEach (checkTypes => {
+      const def = $.create ({checkTypes, env: $.env, freezeOutputs: true});
+
+      //    pair :: a -> b -> Array2 a b
+      const pair =
+      def ('pair')
+          ({})
+          ([a, b, $.Array2 (a) (b)])
+          (x => y => [x, y]);
+
+      const xs = pair ({foo: [1, 2]}) (new Date (0));
+      eq (Object.isFrozen (xs)) (true);
+      eq (Object.isFrozen (xs[0])) (true);
+      eq (Object.isFrozen (xs[0].foo)) (true);
+      eq (Object.isFrozen (xs[1])) (false);
+      throws (() => { xs.push (3); })
+             (new TypeError ('Cannot add property 2, object is not extensible'));
+
+      //    nothing :: () -> Object
+      const nothing =
+      def ('nothing')
+          ({})
+          ([$.Object])
+          (() => Object.create (null));
+
+      eq (Object.isFrozen (nothing ())) (true);
+
+      //    id :: Any -> Any
+      const id =
+      def ('id')
+          ({})
+          ([$.Any, $.Any])
+          (x => x);
+
+      eq (id (42)) (42);
+      eq (id (null)) (null);
+      eq (Object.isFrozen (id (id))) (false);
+
+      //  Outputs are copied before being frozen, so values belonging to
+      //  the caller are never frozen.
+      const owned = {a: [1]};
+      const copy = id (owned);
+      eq (copy) ({a: [1]});
+      eq (copy === owned) (false);
+      eq (Object.isFrozen (copy)) (true);
+      eq (Object.isFrozen (copy.a)) (true);
+      eq (Object.isFrozen (owned)) (false);
+      eq (Object.isFrozen (owned.a)) (false);
+
+      //  Values frozen already are returned as they are.
+      const frozen = Object.freeze ([1, 2]);
+      eq (id (frozen) === frozen) (true);
+
+      //  Circular and shared references are preserved.
+      const shared = [1];
+      const cyclic = {x: shared, y: shared};
+      cyclic.self = cyclic;
+      const cyclicCopy = id (cyclic);
+      eq (cyclicCopy.self === cyclicCopy) (true);
+      eq (cyclicCopy.x === cyclicCopy.y) (true);
+      eq (Object.isFrozen (cyclicCopy.x)) (true);
+      eq (Object.isFrozen (shared)) (false);
+    });
+
+    //    append :: Readonly (Array a) -> a -> Readonly (Array a)
+    const append =
+    $.create ({checkTypes: true, env: $.env, freezeOutputs: true})
+             ('append')
+             ({})
+             ([$.Readonly ($.Array (a)), a, $.Readonly ($.Array (a))])
+             (xs => x => Z.concat (xs, [x]));
+
+    eq (append (append (Object.freeze ([])) (1)) (2)) ([1, 2]);
+
+    //    append$ :: Array a -> a -> Array a
+    const append$ =
+    $.create ({checkTypes: true, env: $.env})
+             ('append$')
+             ({})
+             ([$.Array (a), a, $.Array (a)])
+             (xs => x => Z.concat (xs, [x]));
+
+    eq (Object.isFrozen (append$ ([]) (1))) (false);
+
+    throws (() => { append (append$ ([]) (1)); })
+           (new TypeError (`Invalid value
+
+append :: Readonly (Array a) -> a -> Readonly (Array a)
+          ^^^^^^^^^^^^^^^^^^
+                  1
+
+1)  [1] :: Array Number
+
+The value at position 1 is not a member of ‘Readonly (Array a)’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Readonly for information about the Readonly type constructor.
 `));
   });
 
@@ -906,6 +1030,9 @@ Since there is no type of which all the above values are members, the type-varia
     eq (typeof $.EnumType) ('function');
     eq ($.EnumType.length) (1);
     eq (show ($.EnumType)) ('EnumType :: String -> String -> Array Any -> Type');
+    eq (show ($.EnumType ('Method') ('') (['GET', 'POST']))) ('Method');
+    eq (show ($.EnumType ('') ('') (['GET', 'POST']))) ('("GET" | "POST")');
+    eq (show ($.EnumType ('') ('') ([1, true, null]))) ('(1 | true | null)');
 
     //    TimeUnit :: Type
     const TimeUnit = $.EnumType
@@ -981,6 +1108,210 @@ Since there is no type of which all the above values are members, the type-varia
 `));
   });
 
+  test ('supports literal types', () => {
+    eq (typeof $.Literal) ('function');
+    eq ($.Literal.length) (1);
+    eq (show ($.Literal)) ('Literal :: Any -> Type');
+    eq (show ($.Literal ('v1'))) ('"v1"');
+    eq (show ($.Literal (true))) ('true');
+    eq (show ($.Literal (0))) ('0');
+    eq (show ($.Literal ([1, 2]))) ('[1, 2]');
+
+    eq ($.test ([]) ($.Literal ('v1')) ('v1')) (true);
+    eq ($.test ([]) ($.Literal ('v1')) ('v2')) (false);
+    eq ($.test ([]) ($.Literal (0)) (0)) (true);
+    eq ($.test ([]) ($.Literal (0)) ('0')) (false);
+    eq ($.test ([]) ($.Literal ([1, 2])) ([1, 2])) (true);
+    eq ($.test ([]) ($.Literal (NaN)) (NaN)) (true);
+
+    //    Request :: Type
+    const Request = $.RecordType ({
+      version: $.Literal ('v1'),
+      method: $.EnumType ('') ('') (['GET', 'POST']),
+    });
+
+    //    send :: Request -> String
+    const send =
+    def ('send')
+        ({})
+        ([Request, $.String])
+        (req => req.method + ' /' + req.version);
+
+    eq (send ({version: 'v1', method: 'GET'})) ('GET /v1');
+
+    throws (() => { send ({version: 'v2', method: 'GET'}); })
+           (new TypeError (`Invalid value
+
+send :: { method :: ("GET" | "POST"), version :: "v1" } -> String
+                                                 ^^^^
+                                                  1
+
+1)  "v2" :: String
+
+The value at position 1 is not a member of ‘"v1"’.
+`));
+
+    throws (() => { send ({version: 'v1', method: 'PUT'}); })
+           (new TypeError (`Invalid value
+
+send :: { method :: ("GET" | "POST"), version :: "v1" } -> String
+                    ^^^^^^^^^^^^^^^^
+                           1
+
+1)  "PUT" :: String
+
+The value at position 1 is not a member of ‘("GET" | "POST")’.
+`));
+  });
+
+  test ('supports instance-of types', () => {
+    eq (typeof $.InstanceOf) ('function');
+    eq ($.InstanceOf.length) (1);
+    eq (show ($.InstanceOf)) ('InstanceOf :: { by? :: ("instanceof" | "@@type") } -> Function -> Type');
+
+    class Point {
+      constructor(x, y) { this.x = x; this.y = y; }
+    }
+    class Point3 extends Point {
+      constructor(x, y, z) { super (x, y); this.z = z; }
+    }
+
+    const PointType = $.InstanceOf ({}) (Point);
+    eq (show (PointType)) ('Point');
+    eq (PointType.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#InstanceOf`);
+    eq (PointType.supertypes) ([]);
+
+    eq ($.test ([]) (PointType) (new Point (1, 2))) (true);
+    eq ($.test ([]) (PointType) (new Point3 (1, 2, 3))) (true);
+    eq ($.test ([]) (PointType) ({x: 1, y: 2})) (false);
+    eq ($.test ([]) (PointType) (Object.create (null))) (false);
+    eq ($.test ([]) (PointType) (Point)) (false);
+    eq ($.test ([]) (PointType) (null)) (false);
+    eq ($.test ([]) (PointType) (42)) (false);
+
+    eq (show ($.InstanceOf ({by: 'instanceof'}) (Point))) ('Point');
+
+    const URL_ = $.InstanceOf ({}) (URL);
+    eq (show (URL_)) ('URL');
+    eq ($.test ([]) (URL_) (new URL ('https://example.com/'))) (true);
+    eq ($.test ([]) (URL_) ('https://example.com/')) (false);
+
+    const EventEmitter = $.InstanceOf ({}) ((require ('events')).EventEmitter);
+    eq (show (EventEmitter)) ('EventEmitter');
+    eq ($.test ([]) (EventEmitter) (new (require ('stream')).Readable ()))
+       (true);
+    eq ($.test ([]) (EventEmitter) ({on: () => {}})) (false);
+
+    throws (() => { $.InstanceOf ({}) (class {}); })
+           (new TypeError ('‘InstanceOf’ requires a named constructor, as the type\'s name is that of the constructor.'));
+
+    const Arrow = () => {};
+    throws (() => { $.InstanceOf ({}) (Arrow); })
+           (new TypeError ('‘InstanceOf’ requires the constructor to have an object ‘prototype’ property, as values are checked via ‘instanceof’.'));
+
+    function NullProto() {}
+    NullProto.prototype = null;
+    throws (() => { $.InstanceOf ({}) (NullProto); })
+           (new TypeError ('‘InstanceOf’ requires the constructor to have an object ‘prototype’ property, as values are checked via ‘instanceof’.'));
+
+    //    norm :: Point -> Number
+    const norm =
+    def ('norm')
+        ({})
+        ([PointType, $.Number])
+        (p => Math.sqrt (p.x * p.x + p.y * p.y));
+
+    eq (norm (new Point (3, 4))) (5);
+
+    throws (() => { norm ({x: 3, y: 4}); })
+           (new TypeError (`Invalid value
+
+norm :: Point -> Number
+        ^^^^^
+          1
+
+1)  {"x": 3, "y": 4} :: Object, StrMap Number
+
+The value at position 1 is not a member of ‘Point’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#InstanceOf for information about the Point type.
+`));
+  });
+
+  test ('supports instance-of types with Symbol.hasInstance', () => {
+    class Even {
+      static [Symbol.hasInstance](x) { return x % 2 === 0; }
+    }
+    eq ($.test ([]) ($.InstanceOf ({}) (Even)) (42)) (true);
+    eq ($.test ([]) ($.InstanceOf ({}) (Even)) (43)) (false);
+
+    //  Arrow functions have no prototype.
+    const Odd = x => x;
+    Object.defineProperty (Odd, Symbol.hasInstance, {value: x => x % 2 === 1});
+    eq (show ($.InstanceOf ({}) (Odd))) ('Odd');
+    eq ($.test ([]) ($.InstanceOf ({}) (Odd)) (43)) (true);
+    eq ($.test ([]) ($.InstanceOf ({}) (Odd)) (42)) (false);
+
+    //  The option determines whether Symbol.hasInstance or @@type decides.
+    class Thing {
+      static [Symbol.hasInstance](x) { return x === 'thing'; }
+    }
+    Thing.prototype['@@type'] = 'my-package/Thing@1';
+    eq (show ($.InstanceOf ({}) (Thing))) ('Thing');
+    eq ($.test ([]) ($.InstanceOf ({}) (Thing)) ('thing')) (true);
+    eq ($.test ([]) ($.InstanceOf ({}) (Thing)) (new Thing ())) (false);
+    eq ($.test ([]) ($.InstanceOf ({by: '@@type'}) (Thing)) ('thing')) (false);
+    eq ($.test ([]) ($.InstanceOf ({by: '@@type'}) (Thing)) (new Thing ())) (true);
+  });
+
+  test ('supports instance-of types with type identifiers', () => {
+    function Box(value) { this.value = value; }
+    Box.prototype['@@type'] = 'my-package/Box@1';
+
+    //  A copy of the constructor, as if from another copy of the package.
+    function Box$copy(value) { this.value = value; }
+    Box$copy.prototype['@@type'] = 'my-package/Box@1';
+
+    //  An incompatible version.
+    function Box$v2(value) { this.value = value; }
+    Box$v2.prototype['@@type'] = 'my-package/Box@2';
+
+    const BoxType = $.InstanceOf ({by: '@@type'}) (Box);
+    eq (show (BoxType)) ('Box');
+    eq ($.test ([]) (BoxType) (new Box (1))) (true);
+    eq ($.test ([]) (BoxType) (new Box$copy (1))) (true);
+    eq ($.test ([]) (BoxType) (new Box$v2 (1))) (false);
+    eq ($.test ([]) (BoxType) ({value: 1})) (false);
+
+    eq (show ($.InstanceOf ({by: '@@type'}) (Box$v2))) ('Box');
+    eq (show ($.InstanceOf ({}) (Box$v2))) ('Box$v2');
+    eq ($.test ([]) ($.InstanceOf ({}) (Box)) (new Box$copy (1))) (false);
+
+    //  The name is derived from the type identifier.
+    const Anonymous = (() => function() {}) ();
+    Anonymous.prototype['@@type'] = 'my-package/Anonymous';
+    eq (show ($.InstanceOf ({by: '@@type'}) (Anonymous))) ('Anonymous');
+
+    throws (() => { $.InstanceOf ({by: '@@type'}) (Date); })
+           (new TypeError ('‘InstanceOf’ requires the constructor\'s prototype to have a string ‘@@type’ property when checking by type identifier.'));
+    throws (() => { $.InstanceOf ({by: '@@type'}) (x => x); })
+           (new TypeError ('‘InstanceOf’ requires the constructor\'s prototype to have a string ‘@@type’ property when checking by type identifier.'));
+  });
+
+  test ('supports instance-of types across realms', () => {
+    class Point {}
+    Point.prototype['@@type'] = 'my-package/Point@1';
+
+    //  Only type identifiers are trusted across realms.
+    eq ($.test ([]) ($.InstanceOf ({}) (Point)) (vm.runInNewContext ('new (class Point {})'))) (false);
+    eq ($.test ([]) ($.InstanceOf ({by: '@@type'}) (Point)) (vm.runInNewContext ('new (class Point {})'))) (false);
+    eq ($.test ([]) ($.InstanceOf ({by: '@@type'}) (Point)) (vm.runInNewContext (`
+      class Point {}
+      Point.prototype['@@type'] = 'my-package/Point@1';
+      new Point ()
+    `))) (true);
+  });
+
   test ('supports anonymous record types', () => {
     eq (typeof $.RecordType) ('function');
     eq ($.RecordType.length) (1);
@@ -1352,198 +1683,1567 @@ See http://example.com/my-package#Circle for information about the Circle type.
 `));
   });
 
-  test ('supports "nullable" types', () => {
-    eq (typeof $.Nullable) ('function');
-    eq ($.Nullable.length) (1);
-    eq (show ($.Nullable)) ('Nullable :: Type -> Type');
+  test ('supports optional fields', () => {
+    eq (typeof $.Optional) ('function');
+    eq ($.Optional.length) (1);
+    eq (show ($.Optional)) ('Optional :: Type -> Type');
+    eq (show ($.Optional ($.String))) ('String');
+    eq (show ($.RecordType ({x: $.Number, y: $.Optional ($.String)}))) ('{ x :: Number, y? :: String }');
+    eq (show ($.RecordType ({'foo-bar': $.Optional ($.Array ($.Number))}))) ('{ "foo-bar"? :: Array Number }');
 
-    throws (() => { $.Nullable (null); })
-           (new TypeError (`Invalid value
+    const pred = $.test ([]) ($.RecordType ({x: $.Number, y: $.Optional ($.String)}));
+    eq (pred ({x: 0})) (true);
+    eq (pred ({x: 0, y: undefined})) (true);
+    eq (pred ({x: 0, y: ''})) (true);
+    eq (pred (Object.create ({x: 0, y: ''}))) (true);
+    eq (pred ({x: 0, y: null})) (false);
+    eq (pred ({x: 0, y: 0})) (false);
+    eq (pred ({y: ''})) (false);
+
+    //    Options :: Type
+    const Options = $.RecordType ({
+      port: $.PositiveInteger,
+      host: $.Optional ($.String),
+      paths: $.Optional ($.Array ($.String)),
+    });
 
-Nullable :: Type -> Type
-            ^^^^
-             1
+    //    url :: Options -> String
+    const url =
+    def ('url')
+        ({})
+        ([Options, $.String])
+        (opts => 'http://' + (opts.host || 'localhost') + ':' + opts.port);
 
-1)  null :: Null
+    eq (url ({port: 8080})) ('http://localhost:8080');
+    eq (url ({port: 8080, host: undefined})) ('http://localhost:8080');
+    eq (url ({port: 8080, host: 'example.com'})) ('http://example.com:8080');
 
-The value at position 1 is not a member of ‘Type’.
+    throws (() => { url ({host: 'example.com'}); })
+           (new TypeError (`Invalid value
 
-See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Type for information about the Type type.
+url :: { host? :: String, paths? :: Array String, port :: PositiveInteger } -> String
+       ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                                        1
+
+1)  {"host": "example.com"} :: Object, StrMap String
+
+The value at position 1 is not a member of ‘{ host? :: String, paths? :: Array String, port :: PositiveInteger }’.
 `));
 
-    //    toUpper :: Nullable String -> Nullable String
-    const toUpper =
-    def ('toUpper')
-        ({})
-        ([$.Nullable ($.String), $.Nullable ($.String)])
-        (ns => ns === null ? null : ns.toUpperCase ());  // eslint-disable-line eqeqeq
+    throws (() => { url ({port: 8080, host: null}); })
+           (new TypeError (`Invalid value
 
-    eq (toUpper (null)) (null);
-    eq (toUpper ('abc')) ('ABC');
+url :: { host? :: String, paths? :: Array String, port :: PositiveInteger } -> String
+                  ^^^^^^
+                    1
 
-    throws (() => { toUpper (['abc']); })
+1)  null :: Null
+
+The value at position 1 is not a member of ‘String’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#String for information about the String type.
+`));
+
+    throws (() => { url ({port: 8080, paths: ['/', null]}); })
            (new TypeError (`Invalid value
 
-toUpper :: Nullable String -> Nullable String
-                    ^^^^^^
-                      1
+url :: { host? :: String, paths? :: Array String, port :: PositiveInteger } -> String
+                                          ^^^^^^
+                                            1
 
-1)  ["abc"] :: Array String
+1)  null :: Null
 
 The value at position 1 is not a member of ‘String’.
 
 See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#String for information about the String type.
 `));
 
-    //    defaultTo :: a -> Nullable a -> a
-    const defaultTo =
-    def ('defaultTo')
+    //    fromOptional :: { x :: a, y? :: a } -> a
+    const fromOptional =
+    def ('fromOptional')
         ({})
-        ([a, $.Nullable (a), a])
-        (x => nullable => nullable === null ? x : nullable);  // eslint-disable-line eqeqeq
+        ([$.RecordType ({x: a, y: $.Optional (a)}), a])
+        (r => r.y === undefined ? r.x : r.y);
 
-    eq (defaultTo (0) (null)) (0);
-    eq (defaultTo (0) (42)) (42);
+    eq (fromOptional ({x: 1})) (1);
+    eq (fromOptional ({x: 1, y: 2})) (2);
 
-    throws (() => { defaultTo (0) ('XXX'); })
+    throws (() => { fromOptional ({x: 1, y: 'XXX'}); })
            (new TypeError (`Type-variable constraint violation
 
-defaultTo :: a -> Nullable a -> a
-             ^             ^
-             1             2
+fromOptional :: { x :: a, y? :: a } -> a
+                       ^        ^
+                       1        2
 
-1)  0 :: Number
+1)  1 :: Number
 
 2)  "XXX" :: String
 
 Since there is no type of which all the above values are members, the type-variable constraint has been violated.
 `));
 
-    //    f :: Nullable a -> Nullable a
-    const f =
-    def ('f')
+    //    Circle :: Type
+    const Circle = $.NamedRecordType
+      ('Circle')
+      ('http://example.com/my-package#Circle')
+      ([])
+      ({radius: $.PositiveFiniteNumber, label: $.Optional ($.String)});
+
+    const isCircle = $.test ([]) (Circle);
+    eq (isCircle ({radius: 1})) (true);
+    eq (isCircle ({radius: 1, label: undefined})) (true);
+    eq (isCircle ({radius: 1, label: 'unit'})) (true);
+    eq (isCircle ({radius: 1, label: null})) (false);
+    eq (isCircle ({label: 'unit'})) (false);
+  });
+
+  test ('supports exact record types', () => {
+    eq (typeof $.ExactRecordType) ('function');
+    eq ($.ExactRecordType.length) (1);
+    eq (show ($.ExactRecordType)) ('ExactRecordType :: StrMap Type -> Type');
+    eq (show ($.ExactRecordType ({}))) ('{||}');
+    eq (show ($.ExactRecordType ({x: $.Number, y: $.Optional ($.String)}))) ('{| x :: Number, y? :: String |}');
+
+    const pred = $.test ([]) ($.ExactRecordType ({x: $.Number, y: $.Optional ($.String)}));
+    eq (pred ({x: 0})) (true);
+    eq (pred ({x: 0, y: ''})) (true);
+    eq (pred ({x: 0, z: 0})) (false);
+    eq (pred (Object.create ({x: 0, z: 0}))) (false);
+    eq (pred ({y: ''})) (false);
+    eq (pred (null)) (false);
+
+    //    Point :: Type
+    const Point = $.ExactRecordType ({x: $.Number, y: $.Number});
+
+    //    dist :: Point -> Number
+    const dist =
+    def ('dist')
         ({})
-        ([$.Nullable (a), $.Nullable (a)])
-        (x => 42);
+        ([Point, $.Number])
+        (p => Math.sqrt (p.x * p.x + p.y * p.y));
 
-    eq (f (null)) (42);
-    eq (f (0)) (42);
+    eq (dist ({x: 3, y: 4})) (5);
 
-    throws (() => { f ('XXX'); })
-           (new TypeError (`Type-variable constraint violation
+    throws (() => { dist ({x: 3, y: 4, xx: 0, z: 0}); })
+           (new TypeError (`Invalid value
 
-f :: Nullable a -> Nullable a
-              ^             ^
-              1             2
+dist :: {| x :: Number, y :: Number |} -> Number
+        ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                      1
 
-1)  "XXX" :: String
+1)  {"x": 3, "xx": 0, "y": 4, "z": 0} :: Object, StrMap Number
 
-2)  42 :: Number
+The value at position 1 is not a member of ‘{| x :: Number, y :: Number |}’.
 
-Since there is no type of which all the above values are members, the type-variable constraint has been violated.
-`));
-  });
+The value has unexpected fields:
 
-  test ('provides the "Void" type', () => {
-    eq ($.Void.name) ('Void');
-    eq ($.Void.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Void`);
-    eq ($.Void.supertypes) ([]);
+  - ‘xx’
+  - ‘z’
+`));
 
-    const isVoid = $.test ([]) ($.Void);
-    eq (isVoid (undefined)) (false);
-    eq (isVoid (null)) (false);
-    eq (isVoid (NaN)) (false);
-    eq (isVoid ('')) (false);
-  });
+    throws (() => { dist ({x: 3, y: 'foo'}); })
+           (new TypeError (`Invalid value
 
-  test ('provides the "Any" type', () => {
-    eq ($.Any.name) ('Any');
-    eq ($.Any.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Any`);
-    eq ($.Any.supertypes) ([]);
-  });
+dist :: {| x :: Number, y :: Number |} -> Number
+                             ^^^^^^
+                               1
 
-  test ('provides the "AnyFunction" type', () => {
-    eq ($.AnyFunction.name) ('Function');
-    eq ($.AnyFunction.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Function`);
-    eq ($.AnyFunction.supertypes) ([]);
+1)  "foo" :: String
 
-    const isAnyFunction = $.test ([]) ($.AnyFunction);
-    eq (isAnyFunction (null)) (false);
-    eq (isAnyFunction (Math.abs)) (true);
-    eq (isAnyFunction (function Identity(x) { this.value = x; })) (true);
-    eq (isAnyFunction (function* (x) { return x; })) (true);
-  });
+The value at position 1 is not a member of ‘Number’.
 
-  test ('provides the "Arguments" type', () => {
-    eq ($.Arguments.name) ('Arguments');
-    eq ($.Arguments.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Arguments`);
-    eq ($.Arguments.supertypes) ([]);
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
+`));
   });
 
-  test ('provides the "Array" type constructor', () => {
-    eq (($.Array (a)).name) ('Array');
-    eq (($.Array (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array`);
-    eq (($.Array (a)).supertypes) ([]);
-  });
+  test ('supports exact named record types', () => {
+    eq (typeof $.ExactNamedRecordType) ('function');
+    eq ($.ExactNamedRecordType.length) (1);
+    eq (show ($.ExactNamedRecordType)) ('ExactNamedRecordType :: NonEmpty String -> String -> Array Type -> StrMap Type -> Type');
 
-  test ('provides the "Array0" type', () => {
-    eq ($.Array0.name) ('Array0');
-    eq ($.Array0.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array0`);
-    eq ($.Array0.supertypes) ([$.Array ($.Unknown)]);
+    //    Circle :: Type
+    const Circle = $.NamedRecordType
+      ('Circle')
+      ('http://example.com/my-package#Circle')
+      ([])
+      ({radius: $.PositiveFiniteNumber});
 
-    const isEmptyArray = $.test ([]) ($.Array0);
-    eq (isEmptyArray (null)) (false);
-    eq (isEmptyArray ([])) (true);
-    eq (isEmptyArray ([0])) (false);
-  });
+    //    Cylinder :: Type
+    const Cylinder = $.ExactNamedRecordType
+      ('Cylinder')
+      ('http://example.com/my-package#Cylinder')
+      ([Circle])
+      ({height: $.PositiveFiniteNumber, label: $.Optional ($.String)});
 
-  test ('provides the "Array1" type constructor', () => {
-    eq (typeof $.Array1) ('function');
-    eq ($.Array1.length) (1);
-    eq (show ($.Array1)) ('Array1 :: Type -> Type');
-    eq (show ($.Array1 (a))) ('Array1 a');
-    eq (($.Array1 (a)).name) ('Array1');
-    eq (($.Array1 (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array1`);
-    eq (($.Array1 (a)).supertypes) ([$.Array ($.Unknown)]);
+    eq (show (Cylinder)) ('Cylinder');
 
-    const isSingletonStringArray = $.test ([]) ($.Array1 ($.String));
-    eq (isSingletonStringArray (null)) (false);
-    eq (isSingletonStringArray ([])) (false);
-    eq (isSingletonStringArray ([0])) (false);
-    eq (isSingletonStringArray (['x'])) (true);
-    eq (isSingletonStringArray (['x', 'y'])) (false);
-  });
+    const pred = $.test ([]) (Cylinder);
+    eq (pred ({radius: 1, height: 1})) (true);
+    eq (pred ({radius: 1, height: 1, label: 'x'})) (true);
+    eq (pred ({radius: 1, height: 1, colour: 'red'})) (false);
+    eq (pred ({radius: 1, height: 0})) (false);
+    eq (pred ({height: 1})) (false);
+    eq (pred (null)) (false);
 
-  test ('provides the "Array2" type constructor', () => {
-    eq (typeof $.Array2) ('function');
-    eq ($.Array2.length) (1);
-    eq (show ($.Array2)) ('Array2 :: Type -> Type -> Type');
-    eq (show ($.Array2 (a) (b))) ('Array2 a b');
-    eq (($.Array2 (a) (b)).name) ('Array2');
-    eq (($.Array2 (a) (b)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array2`);
-    eq (($.Array2 (a) (b)).supertypes) ([$.Array ($.Unknown)]);
+    //    Dimensions :: Type
+    const Dimensions = $.ExactNamedRecordType
+      ('Dimensions')
+      ('')
+      ([$.Object])
+      ({width: $.Number, height: $.Number});
 
-    //    fst :: Array2 a b -> a
-    const fst = def ('fst') ({}) ([$.Array2 (a) (b), a]) (array2 => array2[0]);
+    eq ($.test ([]) (Dimensions) ({width: 1, height: 1})) (true);
+    eq ($.test ([]) (Dimensions) ({width: 1, height: 1, depth: 1})) (false);
 
-    //    snd :: Array2 a b -> b
-    const snd = def ('snd') ({}) ([$.Array2 (a) (b), b]) (array2 => array2[1]);
+    //    volume :: Cylinder -> PositiveFiniteNumber
+    const volume =
+    def ('volume')
+        ({})
+        ([Cylinder, $.PositiveFiniteNumber])
+        (cyl => Math.PI * cyl.radius * cyl.radius * cyl.height);
 
-    eq (fst (['foo', 42])) ('foo');
-    eq (snd (['foo', 42])) (42);
+    eq (volume ({radius: 1, height: 1})) (Math.PI);
 
-    throws (() => { fst (['foo']); })
+    throws (() => { volume ({radius: 1, height: 1, hieght: 1}); })
            (new TypeError (`Invalid value
 
-fst :: Array2 a b -> a
-       ^^^^^^^^^^
-           1
+volume :: Cylinder -> PositiveFiniteNumber
+          ^^^^^^^^
+             1
 
-1)  ["foo"] :: Array String
+1)  {"height": 1, "hieght": 1, "radius": 1} :: Object, StrMap Number
 
-The value at position 1 is not a member of ‘Array2 a b’.
+The value at position 1 is not a member of ‘Cylinder’.
 
-See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array2 for information about the Array2 type constructor.
+The value has unexpected fields:
+
+  - ‘hieght’ (did you mean ‘height’?)
+
+See http://example.com/my-package#Cylinder for information about the Cylinder type.
+`));
+
+    //    Palette :: Type
+    const Palette = $.ExactRecordType ({colors: $.Number, colur: $.Number, bat: $.Number, cat: $.Number});
+
+    throws (() => { def ('f') ({}) ([Palette, $.Number]) (p => p.colur) ({colors: 1, colur: 1, bat: 1, cat: 1, colour: 1, hat: 1}); })
+           (new TypeError (`Invalid value
+
+f :: {| bat :: Number, cat :: Number, colors :: Number, colur :: Number |} -> Number
+     ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                                       1
+
+1)  {"bat": 1, "cat": 1, "colors": 1, "colour": 1, "colur": 1, "hat": 1} :: Object, StrMap Number
+
+The value at position 1 is not a member of ‘{| bat :: Number, cat :: Number, colors :: Number, colur :: Number |}’.
+
+The value has unexpected fields:
+
+  - ‘colour’ (did you mean ‘colur’?)
+  - ‘hat’ (did you mean ‘bat’?)
+`));
+  });
+
+  test ('supports error types', () => {
+    eq (typeof $.ErrorType) ('function');
+    eq ($.ErrorType.length) (1);
+    eq (show ($.ErrorType)) ('ErrorType :: NonEmpty String -> String -> StrMap Type -> Type');
+
+    //    HttpError :: Type
+    const HttpError = $.ErrorType
+      ('HttpError')
+      ('http://example.com/my-package#HttpError')
+      ({code: $.String, status: $.IntegerBetween (400) (599)});
+
+    eq (show (HttpError)) ('HttpError');
+    eq (HttpError.url) ('http://example.com/my-package#HttpError');
+    eq (HttpError.supertypes.length) (1);
+    eq (HttpError.supertypes[0].supertypes) ([$.Error]);
+
+    //    httpError :: (String, String, Integer) -> Error
+    const httpError = (message, code, status) => {
+      const err = new Error (message);
+      err.name = 'HttpError';
+      err.code = code;
+      err.status = status;
+      return err;
+    };
+
+    class HttpError$ extends Error {
+      constructor(message, code, status) {
+        super (message);
+        this.code = code;
+        this.status = status;
+      }
+    }
+    HttpError$.prototype.name = 'HttpError';
+
+    const isHttpError = $.test ([]) (HttpError);
+    eq (isHttpError (httpError ('Not Found', 'E_NOT_FOUND', 404))) (true);
+    eq (isHttpError (new HttpError$ ('Not Found', 'E_NOT_FOUND', 404))) (true);
+    eq (isHttpError (httpError ('OK', 'E_OK', 200))) (false);
+    eq (isHttpError (httpError ('Not Found', 404, 404))) (false);
+    eq (isHttpError (new Error ('Not Found'))) (false);
+    eq (isHttpError ({name: 'HttpError', code: 'E_NOT_FOUND', status: 404})) (false);
+    eq (isHttpError (null)) (false);
+
+    //    Empty :: Type
+    const Empty = $.ErrorType ('EmptyError') ('') ({});
+    const empty = new Error ('empty');
+    empty.name = 'EmptyError';
+    eq ($.test ([]) (Empty) (empty)) (true);
+    eq ($.test ([]) (Empty) (new Error ('empty'))) (false);
+
+    //    isRetryable :: HttpError -> Boolean
+    const isRetryable =
+    def ('isRetryable')
+        ({})
+        ([HttpError, $.Boolean])
+        (err => err.status >= 500);
+
+    eq (isRetryable (httpError ('Service Unavailable', 'E_UNAVAILABLE', 503))) (true);
+    eq (isRetryable (httpError ('Not Found', 'E_NOT_FOUND', 404))) (false);
+
+    throws (() => { isRetryable (new Error ('Service Unavailable')); })
+           (new TypeError (`Invalid value
+
+isRetryable :: HttpError -> Boolean
+               ^^^^^^^^^
+                   1
+
+1)  new Error ("Service Unavailable") :: Error
+
+The value at position 1 is not a member of ‘HttpError’.
+
+See http://example.com/my-package#HttpError for information about the HttpError type.
+`));
+  });
+
+  test ('supports union types', () => {
+    eq (typeof $.Union) ('function');
+    eq ($.Union.length) (1);
+    eq (show ($.Union)) ('Union :: NonEmpty (Array Type) -> Type');
+    eq (show ($.Union ([$.Number]))) ('(Number)');
+    eq (show ($.Union ([$.String, $.Number]))) ('(String | Number)');
+    eq (show ($.Union ([$.Maybe (a), $.Fn (a) (b), $.Null]))) ('(Maybe a | (a -> b) | Null)');
+
+    throws (() => { $.Union ([]); })
+           (new TypeError (`Invalid value
+
+Union :: NonEmpty (Array Type) -> Type
+         ^^^^^^^^^^^^^^^^^^^^^
+                   1
+
+1)  [] :: Array a
+
+The value at position 1 is not a member of ‘NonEmpty (Array Type)’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonEmpty for information about the NonEmpty type constructor.
+`));
+
+    const isStringOrNumber = $.test ([]) ($.Union ([$.String, $.Number]));
+    eq (isStringOrNumber ('')) (true);
+    eq (isStringOrNumber (0)) (true);
+    eq (isStringOrNumber (null)) (false);
+    eq (isStringOrNumber (['foo'])) (false);
+
+    //    StringOrNumbers :: Type
+    const StringOrNumbers = $.Union ([$.String, $.Array ($.Number)]);
+
+    //    size :: Array StringOrNumbers -> Integer
+    const size =
+    def ('size')
+        ({})
+        ([$.Array (StringOrNumbers), $.Integer])
+        (xs => xs.reduce ((n, x) => n + x.length, 0));
+
+    eq (size ([])) (0);
+    eq (size (['foo', [1, 2]])) (5);
+
+    throws (() => { size (['foo', [1, '2']]); })
+           (new TypeError (`Invalid value
+
+size :: Array (String | Array Number) -> Integer
+              ^^^^^^^^^^^^^^^^^^^^^^^
+                         1
+
+1)  [1, "2"] :: Array ???, Array2 Number String
+
+The value at position 1 is not a member of ‘(String | Array Number)’.
+
+Each member of the union rejects the value:
+
+  - String: [1, "2"] is not a member of ‘String’.
+  - Array Number: "2" is not a member of ‘Number’.
+`));
+
+    //    fromNullable :: a -> (a | Null) -> a
+    const fromNullable =
+    def ('fromNullable')
+        ({})
+        ([a, $.Union ([a, $.Null]), a])
+        (x => y => y == null ? x : y);
+
+    eq (fromNullable (0) (42)) (42);
+    eq (fromNullable (0) (null)) (0);
+
+    throws (() => { fromNullable (0) ('XXX'); })
+           (new TypeError (`Type-variable constraint violation
+
+fromNullable :: a -> (a | Null) -> a
+                ^     ^
+                1     2
+
+1)  0 :: Number
+
+2)  "XXX" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+
+    //    concat :: Array (Array a | a) -> Array a
+    const concat =
+    def ('concat')
+        ({})
+        ([$.Array ($.Union ([$.Array (a), a])), $.Array (a)])
+        (xss => xss.reduce ((xs, x) => xs.concat (x), []));
+
+    eq (concat ([[1, 2], 3, [4]])) ([1, 2, 3, 4]);
+    eq (concat ([['a'], 'b'])) (['a', 'b']);
+
+    throws (() => { concat ([[1], 'b']); })
+           (new TypeError (`Type-variable constraint violation
+
+concat :: Array (Array a | a) -> Array a
+                       ^   ^
+                       1   2
+
+1)  1 :: Number
+
+2)  "b" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+  });
+
+  test ('supports intersection types', () => {
+    eq (typeof $.Intersection) ('function');
+    eq ($.Intersection.length) (1);
+    eq (show ($.Intersection)) ('Intersection :: NonEmpty (Array Type) -> Type');
+    eq (show ($.Intersection ([$.Number]))) ('(Number)');
+    eq (show ($.Intersection ([$.Integer, $.NonZeroValidNumber]))) ('(Integer & NonZeroValidNumber)');
+    eq (show ($.Intersection ([$.Fn (a) (b), $.RecordType ({name: $.String})]))) ('((a -> b) & { name :: String })');
+
+    throws (() => { $.Intersection ([]); })
+           (new TypeError (`Invalid value
+
+Intersection :: NonEmpty (Array Type) -> Type
+                ^^^^^^^^^^^^^^^^^^^^^
+                          1
+
+1)  [] :: Array a
+
+The value at position 1 is not a member of ‘NonEmpty (Array Type)’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonEmpty for information about the NonEmpty type constructor.
+`));
+
+    const isNonZeroInteger = $.test ([]) ($.Intersection ([$.Integer, $.NonZeroValidNumber]));
+    eq (isNonZeroInteger (1)) (true);
+    eq (isNonZeroInteger (0)) (false);
+    eq (isNonZeroInteger (1.5)) (false);
+    eq (isNonZeroInteger ('1')) (false);
+
+    //    Point :: Type
+    const Point = $.RecordType ({x: $.Number, y: $.Number});
+
+    //    Timestamped :: Type
+    const Timestamped = $.NamedRecordType
+      ('Timestamped')
+      ('http://example.com/my-package#Timestamped')
+      ([])
+      ({timestamp: $.ValidDate});
+
+    //    elapsed :: (Timestamped & { x :: Number, y :: Number }) -> Date -> Number
+    const elapsed =
+    def ('elapsed')
+        ({})
+        ([$.Intersection ([Timestamped, Point]), $.Date, $.Number])
+        (p => now => now - p.timestamp);
+
+    eq (elapsed ({x: 0, y: 0, timestamp: new Date (0)}) (new Date (1000))) (1000);
+
+    throws (() => { elapsed ({x: 0, y: 0}); })
+           (new TypeError (`Invalid value
+
+elapsed :: (Timestamped & { x :: Number, y :: Number }) -> Date -> Number
+            ^^^^^^^^^^^
+                 1
+
+1)  {"x": 0, "y": 0} :: Object, StrMap Number
+
+The value at position 1 is not a member of ‘Timestamped’.
+
+See http://example.com/my-package#Timestamped for information about the Timestamped type.
+`));
+
+    throws (() => { elapsed ({y: 0, timestamp: new Date (0)}); })
+           (new TypeError (`Invalid value
+
+elapsed :: (Timestamped & { x :: Number, y :: Number }) -> Date -> Number
+           ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                                1
+
+1)  {"timestamp": new Date ("1970-01-01T00:00:00.000Z"), "y": 0} :: Object, StrMap ???
+
+The value at position 1 is not a member of ‘(Timestamped & { x :: Number, y :: Number })’.
+
+The value is not a member of ‘{ x :: Number, y :: Number }’.
+`));
+
+    throws (() => { elapsed ({x: 0, y: '0', timestamp: new Date (0)}); })
+           (new TypeError (`Invalid value
+
+elapsed :: (Timestamped & { x :: Number, y :: Number }) -> Date -> Number
+                                              ^^^^^^
+                                                1
+
+1)  "0" :: String
+
+The value at position 1 is not a member of ‘Number’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
+`));
+
+    //    swap :: ({ x :: a } & { y :: a }) -> Array a
+    const swap =
+    def ('swap')
+        ({})
+        ([$.Intersection ([$.RecordType ({x: a}), $.RecordType ({y: a})]), $.Array (a)])
+        (r => [r.y, r.x]);
+
+    eq (swap ({x: 1, y: 2})) ([2, 1]);
+
+    throws (() => { swap ({x: 1, y: 'XXX'}); })
+           (new TypeError (`Type-variable constraint violation
+
+swap :: ({ x :: a } & { y :: a }) -> Array a
+                ^            ^
+                1            2
+
+1)  1 :: Number
+
+2)  "XXX" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+
+    //    Labelled :: Type
+    const Labelled = $.Intersection ([$.RecordType ({x: $.Number}), $.RecordType ({x: $.Number, label: $.String})]);
+
+    eq (show (Labelled)) ('({ x :: Number } & { label :: String, x :: Number })');
+    eq (Labelled.keys) (['x', 'label']);
+    eq ($.test ([]) (Labelled) ({x: 1, label: 'one'})) (true);
+    eq ($.test ([]) (Labelled) ({x: 1})) (false);
+
+    throws (() => { def ('label') ({}) ([Labelled, $.String]) (r => r.label) ({x: '1', label: 'one'}); })
+           (new TypeError (`Invalid value
+
+label :: ({ x :: Number } & { label :: String, x :: Number }) -> String
+                 ^^^^^^
+                   1
+
+1)  "1" :: String
+
+The value at position 1 is not a member of ‘Number’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
+`));
+
+    throws (() => { $.Intersection ([$.RecordType ({x: $.Number}), $.RecordType ({x: $.String})]); })
+           (new TypeError ('‘Intersection’ requires the constituents to agree on the type of ‘x’; it is ‘Number’ in one constituent and ‘String’ in another.'));
+  });
+
+  test ('supports recursive types', () => {
+    eq (typeof $.Rec) ('function');
+    eq ($.Rec.length) (1);
+    eq (show ($.Rec)) ('Rec :: String -> String -> (Type -> Type) -> Type');
+
+    //    Tree :: Type
+    const Tree = $.Rec
+      ('Tree')
+      ('http://example.com/my-package#Tree')
+      (self => $.RecordType ({value: $.Number, children: $.Array (self)}));
+
+    eq (show (Tree)) ('Tree');
+    eq (show (Tree.definition)) ('{ children :: Array Tree, value :: Number }');
+    eq (show ($.Array (Tree))) ('Array Tree');
+
+    const leaf = {value: 2, children: []};
+    const circular = {value: 1, children: []};
+    circular.children.push (circular);
+
+    const pred = $.test ([]) (Tree);
+    eq (pred ({value: 1, children: [leaf]})) (true);
+    eq (pred ({value: 1, children: [{value: 2, children: [leaf, leaf]}]})) (true);
+    eq (pred (circular)) (true);
+    eq (pred ({value: 1, children: [{value: '2', children: []}]})) (false);
+    eq (pred ({value: 1})) (false);
+    eq (pred (null)) (false);
+
+    //    sum :: Tree -> Number
+    const sum =
+    def ('sum')
+        ({})
+        ([Tree, $.Number])
+        (tree => tree.children.reduce ((n, t) => n + sum (t), tree.value));
+
+    eq (sum ({value: 1, children: [leaf, {value: 3, children: [leaf]}]})) (8);
+
+    throws (() => { sum ({value: 1, children: [leaf, {value: 3, children: [{value: '2', children: []}]}]}); })
+           (new TypeError (`Invalid value
+
+sum :: Tree -> Number
+       ^^^^
+        1
+
+1)  {"children": [{"children": [], "value": 2}, {"children": [{"children": [], "value": "2"}], "value": 3}], "value": 1} :: Object, StrMap ???
+
+The value at position 1 is not a member of ‘Tree’.
+
+"2" is not a member of ‘Number’.
+
+See http://example.com/my-package#Tree for information about the Tree type.
+`));
+
+    //    Json :: Type
+    const Json = $.Rec
+      ('Json')
+      ('')
+      (self => $.Union ([$.Null, $.Boolean, $.Number, $.String, $.Array (self), $.StrMap (self)]));
+
+    eq ($.test ([]) (Json) ({a: [1, 'x', null, {b: true}]})) (true);
+    eq ($.test ([]) (Json) ({a: [1, undefined]})) (false);
+
+    //    id :: a -> a
+    const id =
+    $.create ({checkTypes: true, env: [Tree, $.Number]})
+             ('id')
+             ({})
+             ([a, a])
+             (x => x);
+
+    eq (id (circular)) (circular);
+
+    throws (() => { id ('x'); })
+           (new TypeError (`Unrecognized value
+
+id :: a -> a
+      ^
+      1
+
+1)  "x" :: (no types)
+
+The value at position 1 is not a member of any type in the environment.
+
+The environment contains the following types:
+
+  - Tree
+  - Number
+`));
+
+    //    TreeA :: Type
+    const TreeA = $.Rec
+      ('Tree')
+      ('')
+      (self => $.RecordType ({value: a, children: $.Array (self)}));
+
+    //    root :: TreeA -> a
+    const root =
+    def ('root')
+        ({})
+        ([TreeA, a])
+        (tree => tree.value);
+
+    eq (root ({value: 1, children: [{value: 2, children: []}]})) (1);
+    eq (root (circular)) (1);
+
+    throws (() => { root ({value: 1, children: [{value: 'x', children: []}]}); })
+           (new TypeError (`Type-variable constraint violation
+
+root :: Tree -> a
+        ^^^^
+         1
+
+1)  "x" :: String
+    1 :: Number
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+
+    //    Impossible :: Type
+    const Impossible = $.Rec
+      ('Impossible')
+      ('')
+      (self => $.Intersection ([self, $.Number]));
+
+    throws (() => { def ('f') ({}) ([Impossible, $.Number]) (x => x) ('x'); })
+           (new TypeError (`Invalid value
+
+f :: Impossible -> Number
+     ^^^^^^^^^^
+         1
+
+1)  "x" :: String
+
+The value at position 1 is not a member of ‘Impossible’.
+
+"x" is not a member of ‘(Impossible & Number)’.
+`));
+  });
+
+  test ('supports tagged union types', () => {
+    eq (typeof $.TaggedUnion) ('function');
+    eq ($.TaggedUnion.length) (1);
+    eq (show ($.TaggedUnion)) ('TaggedUnion :: String -> StrMap Type -> Type');
+
+    //    Shape :: Type
+    const Shape = $.TaggedUnion ('type') ({
+      'circle': $.RecordType ({radius: $.PositiveFiniteNumber}),
+      'square': $.RecordType ({side: $.PositiveFiniteNumber, label: $.Optional ($.String)}),
+      'right triangle': $.ExactRecordType ({type: $.String, base: $.Number, height: $.Number}),
+    });
+
+    eq (show (Shape)) ('(circle { radius :: PositiveFiniteNumber } | "right triangle" {| base :: Number, height :: Number, type :: String |} | square { label? :: String, side :: PositiveFiniteNumber })');
+
+    const pred = $.test ([]) (Shape);
+    eq (pred ({type: 'circle', radius: 1})) (true);
+    eq (pred ({type: 'square', side: 1})) (true);
+    eq (pred ({type: 'right triangle', base: 1, height: 1})) (true);
+    eq (pred ({type: 'circle', side: 1})) (false);
+    eq (pred ({type: 'circle', radius: 0})) (false);
+    eq (pred ({type: 'hasOwnProperty', radius: 1})) (false);
+    eq (pred ({radius: 1})) (false);
+    eq (pred (null)) (false);
+
+    //    area :: Shape -> PositiveFiniteNumber
+    const area =
+    def ('area')
+        ({})
+        ([Shape, $.PositiveFiniteNumber])
+        ($.match (Shape) ({
+           'circle': ({radius}) => Math.PI * radius * radius,
+           'right triangle': ({base, height}) => base * height / 2,
+           'square': ({side}) => side * side,
+         }));
+
+    eq (area ({type: 'square', side: 2})) (4);
+    eq (area ({type: 'right triangle', base: 2, height: 3})) (3);
+
+    throws (() => { area ({type: 'square', label: 'x'}); })
+           (new TypeError (`Invalid value
+
+area :: (circle { radius :: PositiveFiniteNumber } | "right triangle" {| base :: Number, height :: Number, type :: String |} | square { label? :: String, side :: PositiveFiniteNumber }) -> PositiveFiniteNumber
+        ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                                                                                                1
+
+1)  {"label": "x", "type": "square"} :: Object, StrMap String
+
+The value at position 1 is not a member of ‘(circle { radius :: PositiveFiniteNumber } | "right triangle" {| base :: Number, height :: Number, type :: String |} | square { label? :: String, side :: PositiveFiniteNumber })’.
+
+Tag ‘square’ is missing field ‘side’.
+`));
+
+    throws (() => { area ({type: 'square', side: -1}); })
+           (new TypeError (`Invalid value
+
+area :: (circle { radius :: PositiveFiniteNumber } | "right triangle" {| base :: Number, height :: Number, type :: String |} | square { label? :: String, side :: PositiveFiniteNumber }) -> PositiveFiniteNumber
+                                                                                                                                                                  ^^^^^^^^^^^^^^^^^^^^
+                                                                                                                                                                           1
+
+1)  -1 :: Number
+
+The value at position 1 is not a member of ‘PositiveFiniteNumber’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#PositiveFiniteNumber for information about the PositiveFiniteNumber type.
+`));
+
+    throws (() => { area ({type: 'right triangle', base: 2, height: 3, hypotenuse: 4}); })
+           (new TypeError (`Invalid value
+
+area :: (circle { radius :: PositiveFiniteNumber } | "right triangle" {| base :: Number, height :: Number, type :: String |} | square { label? :: String, side :: PositiveFiniteNumber }) -> PositiveFiniteNumber
+        ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                                                                                                1
+
+1)  {"base": 2, "height": 3, "hypotenuse": 4, "type": "right triangle"} :: Object, StrMap ???
+
+The value at position 1 is not a member of ‘(circle { radius :: PositiveFiniteNumber } | "right triangle" {| base :: Number, height :: Number, type :: String |} | square { label? :: String, side :: PositiveFiniteNumber })’.
+
+The value has unexpected fields:
+
+  - ‘hypotenuse’
+`));
+
+    throws (() => { area ({type: 'triangle'}); })
+           (new TypeError (`Invalid value
+
+area :: (circle { radius :: PositiveFiniteNumber } | "right triangle" {| base :: Number, height :: Number, type :: String |} | square { label? :: String, side :: PositiveFiniteNumber }) -> PositiveFiniteNumber
+        ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                                                                                                1
+
+1)  {"type": "triangle"} :: Object, StrMap String
+
+The value at position 1 is not a member of ‘(circle { radius :: PositiveFiniteNumber } | "right triangle" {| base :: Number, height :: Number, type :: String |} | square { label? :: String, side :: PositiveFiniteNumber })’.
+
+The value of the ‘type’ field must be one of the following:
+
+  - "circle"
+  - "right triangle"
+  - "square"
+`));
+
+    throws (() => { area (null); })
+           (new TypeError (`Invalid value
+
+area :: (circle { radius :: PositiveFiniteNumber } | "right triangle" {| base :: Number, height :: Number, type :: String |} | square { label? :: String, side :: PositiveFiniteNumber }) -> PositiveFiniteNumber
+        ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                                                                                                1
+
+1)  null :: Null
+
+The value at position 1 is not a member of ‘(circle { radius :: PositiveFiniteNumber } | "right triangle" {| base :: Number, height :: Number, type :: String |} | square { label? :: String, side :: PositiveFiniteNumber })’.
+
+The value of the ‘type’ field must be one of the following:
+
+  - "circle"
+  - "right triangle"
+  - "square"
+`));
+
+    //    Event :: Type
+    const Event = $.TaggedUnion ('kind') ({
+      tick: $.NullaryType ('Tick') ('') ([$.Object]) (x => $.test ([]) ($.Integer) (x.n)),
+    });
+
+    throws (() => { def ('f') ({}) ([Event, $.Integer]) (e => e.n) ({kind: 'tick'}); })
+           (new TypeError (`Invalid value
+
+f :: (tick Tick) -> Integer
+     ^^^^^^^^^^^
+          1
+
+1)  {"kind": "tick"} :: Object, StrMap String
+
+The value at position 1 is not a member of ‘(tick Tick)’.
+`));
+  });
+
+  test ('provides the "match" function', () => {
+    eq (typeof $.match) ('function');
+    eq ($.match.length) (1);
+    eq (show ($.match)) ('match :: Type -> StrMap Function -> Function');
+
+    //    Shape :: Type
+    const Shape = $.TaggedUnion ('type') ({
+      circle: $.RecordType ({radius: $.PositiveFiniteNumber}),
+      square: $.RecordType ({side: $.PositiveFiniteNumber}),
+    });
+
+    //    perimeter :: Shape -> Number
+    const perimeter = $.match (Shape) ({
+      circle: ({radius}) => 2 * Math.PI * radius,
+      square: ({side}) => 4 * side,
+    });
+
+    eq (perimeter ({type: 'square', side: 2})) (8);
+    eq (perimeter ({type: 'circle', radius: 0.5})) (Math.PI);
+    eq (show (perimeter)) ('match :: (circle { radius :: PositiveFiniteNumber } | square { side :: PositiveFiniteNumber }) -> Any');
+
+    //    Round :: Type
+    const Round = $.TaggedUnion ('type') ({
+      circle: $.RecordType ({radius: $.PositiveFiniteNumber}),
+    });
+
+    //    diameter :: Round -> Number
+    const diameter = $.match (Round) ({circle: ({radius}) => 2 * radius});
+
+    eq (diameter ({type: 'circle', radius: 1})) (2);
+
+    throws (() => { diameter ({type: 'square'}); })
+           (new TypeError (`Invalid value
+
+match :: (circle { radius :: PositiveFiniteNumber }) -> Any
+         ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                              1
+
+1)  {"type": "square"} :: Object, StrMap String
+
+The value at position 1 is not a member of ‘(circle { radius :: PositiveFiniteNumber })’.
+
+The value of the ‘type’ field must be one of the following:
+
+  - "circle"
+`));
+
+    throws (() => { diameter ({type: 'circle', radius: -1}); })
+           (new TypeError (`Invalid value
+
+match :: (circle { radius :: PositiveFiniteNumber }) -> Any
+                             ^^^^^^^^^^^^^^^^^^^^
+                                      1
+
+1)  -1 :: Number
+
+The value at position 1 is not a member of ‘PositiveFiniteNumber’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#PositiveFiniteNumber for information about the PositiveFiniteNumber type.
+`));
+
+    throws (() => { $.match (Shape) ({circle: ({radius}) => 2 * radius}); })
+           (new TypeError (`Non-exhaustive match
+
+‘match’ requires a function for each tag of ‘(circle { radius :: PositiveFiniteNumber } | square { side :: PositiveFiniteNumber })’.
+
+The following tags have no function:
+
+  - ‘square’
+`));
+
+    throws (() => { $.match (Shape) ({circle: x => x, square: x => x, triangle: x => x, hexagon: x => x}); })
+           (new TypeError (`Redundant match
+
+‘match’ requires a function for each tag of ‘(circle { radius :: PositiveFiniteNumber } | square { side :: PositiveFiniteNumber })’.
+
+The following functions have no tag:
+
+  - ‘hexagon’
+  - ‘triangle’
+`));
+
+    throws (() => { $.match ($.Number) ({}); })
+           (new TypeError ('‘match’ requires a tagged union type; ‘Number’ is not a tagged union type.'));
+  });
+
+  test ('supports algebraic data types', () => {
+    eq (typeof $.Adt) ('function');
+    eq ($.Adt.length) (1);
+    eq (show ($.Adt)) ('Adt :: String -> String -> StrMap (Array Type) -> { constructors :: StrMap Any, fold :: Function, type :: Type }');
+
+    //    Shape :: { constructors :: StrMap Any, fold :: Function, type :: Type }
+    const Shape = $.Adt
+      ('my-package/Shape@1')
+      ('http://example.com/my-package#Shape')
+      ({Circle: [$.PositiveFiniteNumber],
+        Rectangle: [$.PositiveFiniteNumber, $.PositiveFiniteNumber],
+        Point: []});
+
+    const {Circle, Rectangle, Point} = Shape.constructors;
+
+    eq (show (Shape.type)) ('Shape');
+    eq (Shape.type.url) ('http://example.com/my-package#Shape');
+    eq (type (Circle (1))) ('my-package/Shape@1');
+    eq (type (Point)) ('my-package/Shape@1');
+    eq (show (Circle)) ('Circle :: PositiveFiniteNumber -> Shape');
+    eq (show (Rectangle)) ('Rectangle :: PositiveFiniteNumber -> PositiveFiniteNumber -> Shape');
+    eq (show (Rectangle (2) (3))) ('Rectangle (2) (3)');
+    eq (show (Point)) ('Point');
+    eq (Z.equals (Rectangle (2) (3), Rectangle (2) (3))) (true);
+    eq (Z.equals (Rectangle (2) (3), Rectangle (3) (2))) (false);
+    eq (Z.equals (Circle (2), Rectangle (2) (2))) (false);
+    eq (Z.equals (Point, Point)) (true);
+    eq ($.test ([]) (Shape.type) (Circle (1))) (true);
+    eq ($.test ([]) (Shape.type) ({tag: 'Circle', values: [1]})) (false);
+
+    throws (() => { Circle (-1); })
+           (new TypeError (`Invalid value
+
+Circle :: PositiveFiniteNumber -> Shape
+          ^^^^^^^^^^^^^^^^^^^^
+                   1
+
+1)  -1 :: Number
+
+The value at position 1 is not a member of ‘PositiveFiniteNumber’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#PositiveFiniteNumber for information about the PositiveFiniteNumber type.
+`));
+
+    //    area :: Shape -> Number
+    const area = Shape.fold ({
+      Circle: radius => Math.PI * radius * radius,
+      Rectangle: width => height => width * height,
+      Point: 0,
+    });
+
+    eq (area (Rectangle (2) (3))) (6);
+    eq (area (Circle (1))) (Math.PI);
+    eq (area (Point)) (0);
+
+    throws (() => { area ({tag: 'Point', values: []}); })
+           (new TypeError (`Invalid value
+
+fold :: Shape -> Any
+        ^^^^^
+          1
+
+1)  {"tag": "Point", "values": []} :: Object, StrMap ???
+
+The value at position 1 is not a member of ‘Shape’.
+
+See http://example.com/my-package#Shape for information about the Shape type.
+`));
+
+    throws (() => { Shape.fold ({Circle: radius => radius, Triangle: base => base}); })
+           (new TypeError (`Non-exhaustive match
+
+‘fold’ requires a function for each tag of ‘Shape’.
+
+The following tags have no function:
+
+  - ‘Point’
+  - ‘Rectangle’
+
+The following functions have no tag:
+
+  - ‘Triangle’
+`));
+
+    //    first :: a -> a -> a
+    const first =
+    $.create ({checkTypes: true, env: [Shape.type, $.Number]})
+             ('first')
+             ({})
+             ([a, a, a])
+             (x => y => x);
+
+    eq (first (Point) (Circle (1))) (Point);
+
+    throws (() => { first (Point) (1); })
+           (new TypeError (`Type-variable constraint violation
+
+first :: a -> a -> a
+         ^    ^
+         1    2
+
+1)  Point :: Shape
+
+2)  1 :: Number
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+  });
+
+  test ('supports branded types', () => {
+    eq (typeof $.Branded) ('function');
+    eq ($.Branded.length) (1);
+    eq (show ($.Branded)) ('Branded :: String -> String -> Type -> { type :: Type, unwrap :: Function, wrap :: Function }');
+
+    const UserId = $.Branded
+      ('UserId')
+      ('http://example.com/my-package#UserId')
+      ($.NonEmptyString);
+
+    const OrderId = $.Branded
+      ('OrderId')
+      ('http://example.com/my-package#OrderId')
+      ($.NonEmptyString);
+
+    eq (show (UserId.type)) ('UserId');
+    eq (UserId.type.url) ('http://example.com/my-package#UserId');
+    eq (show (UserId.wrap)) ('wrap :: NonEmptyString -> UserId');
+    eq (show (UserId.unwrap)) ('unwrap :: UserId -> NonEmptyString');
+    eq (show (UserId.wrap ('u1'))) ('UserId ("u1")');
+    eq (UserId.unwrap (UserId.wrap ('u1'))) ('u1');
+    eq (Object.isFrozen (UserId.wrap ('u1'))) (true);
+
+    eq (Z.equals (UserId.wrap ('u1'), UserId.wrap ('u1'))) (true);
+    eq (Z.equals (UserId.wrap ('u1'), UserId.wrap ('u2'))) (false);
+    eq (Z.equals (UserId.wrap ('x'), OrderId.wrap ('x'))) (false);
+
+    eq ($.test ([]) (UserId.type) (UserId.wrap ('u1'))) (true);
+    eq ($.test ([]) (UserId.type) (OrderId.wrap ('o1'))) (false);
+    eq ($.test ([]) (UserId.type) ('u1')) (false);
+    eq ($.test ([]) (UserId.type) (Object.create (UserId.wrap ('u1')))) (false);
+    eq ($.test ([]) ($.String) (UserId.wrap ('u1'))) (false);
+    eq ($.test ([]) ($.Object) (UserId.wrap ('u1'))) (false);
+
+    throws (() => { UserId.wrap (''); })
+           (new TypeError (`Invalid value
+
+wrap :: NonEmptyString -> UserId
+        ^^^^^^^^^^^^^^
+              1
+
+1)  "" :: String
+
+The value at position 1 is not a member of ‘NonEmptyString’.
+
+The value must not be empty (got "").
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonEmptyString for information about the NonEmptyString type.
+`));
+
+    throws (() => { UserId.unwrap ('u1'); })
+           (new TypeError (`Invalid value
+
+unwrap :: UserId -> NonEmptyString
+          ^^^^^^
+            1
+
+1)  "u1" :: String
+
+The value at position 1 is not a member of ‘UserId’.
+
+See http://example.com/my-package#UserId for information about the UserId type.
+`));
+
+    //    cancelOrder :: OrderId -> String
+    const cancelOrder =
+    def ('cancelOrder')
+        ({})
+        ([OrderId.type, $.String])
+        (orderId => 'Cancelled ' + OrderId.unwrap (orderId));
+
+    eq (cancelOrder (OrderId.wrap ('o1'))) ('Cancelled o1');
+
+    throws (() => { cancelOrder (UserId.wrap ('u1')); })
+           (new TypeError (`Invalid value
+
+cancelOrder :: OrderId -> String
+               ^^^^^^^
+                  1
+
+1)  UserId ("u1") :: UserId
+
+The value at position 1 is not a member of ‘OrderId’.
+
+See http://example.com/my-package#OrderId for information about the OrderId type.
+`));
+
+    //    first :: a -> a -> a
+    const first =
+    $.create ({checkTypes: true, env: [UserId.type, $.String]})
+             ('first')
+             ({})
+             ([a, a, a])
+             (x => y => x);
+
+    eq (show (first (UserId.wrap ('u1')) (UserId.wrap ('u2')))) ('UserId ("u1")');
+
+    throws (() => { first (UserId.wrap ('u1')) ('u2'); })
+           (new TypeError (`Type-variable constraint violation
+
+first :: a -> a -> a
+         ^    ^
+         1    2
+
+1)  UserId ("u1") :: UserId
+
+2)  "u2" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+
+    throws (() => { first (UserId.wrap ('u1')) (OrderId.wrap ('o1')); })
+           (new TypeError (`Type-variable constraint violation
+
+first :: a -> a -> a
+         ^    ^
+         1    2
+
+1)  UserId ("u1") :: UserId
+
+2)  OrderId ("o1") :: OrderId
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+
+    //  Branded types need not be in the environment.
+
+    //    id :: a -> a
+    const id = def ('id') ({}) ([a, a]) (x => x);
+
+    eq (show (id (UserId.wrap ('u1')))) ('UserId ("u1")');
+
+    //    firsts :: Array a -> Array a
+    const firsts = def ('firsts') ({}) ([$.Array (a), $.Array (a)]) (xs => xs.slice (0, 1));
+
+    eq (show (firsts ([UserId.wrap ('u1'), UserId.wrap ('u2')]))) ('[UserId ("u1")]');
+
+    throws (() => { firsts ([UserId.wrap ('u1'), OrderId.wrap ('o1')]); })
+           (new TypeError (`Type-variable constraint violation
+
+firsts :: Array a -> Array a
+                ^
+                1
+
+1)  UserId ("u1") :: UserId
+    OrderId ("o1") :: OrderId
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+
+    throws (() => { firsts ([UserId.wrap ('u1'), 'u2']); })
+           (new TypeError (`Type-variable constraint violation
+
+firsts :: Array a -> Array a
+                ^
+                1
+
+1)  UserId ("u1") :: UserId
+    "u2" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+  });
+
+  test ('supports "nullable" types', () => {
+    eq (typeof $.Nullable) ('function');
+    eq ($.Nullable.length) (1);
+    eq (show ($.Nullable)) ('Nullable :: Type -> Type');
+
+    throws (() => { $.Nullable (null); })
+           (new TypeError (`Invalid value
+
+Nullable :: Type -> Type
+            ^^^^
+             1
+
+1)  null :: Null
+
+The value at position 1 is not a member of ‘Type’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Type for information about the Type type.
+`));
+
+    //    toUpper :: Nullable String -> Nullable String
+    const toUpper =
+    def ('toUpper')
+        ({})
+        ([$.Nullable ($.String), $.Nullable ($.String)])
+        (ns => ns === null ? null : ns.toUpperCase ());  // eslint-disable-line eqeqeq
+
+    eq (toUpper (null)) (null);
+    eq (toUpper ('abc')) ('ABC');
+
+    throws (() => { toUpper (['abc']); })
+           (new TypeError (`Invalid value
+
+toUpper :: Nullable String -> Nullable String
+                    ^^^^^^
+                      1
+
+1)  ["abc"] :: Array String
+
+The value at position 1 is not a member of ‘String’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#String for information about the String type.
+`));
+
+    //    defaultTo :: a -> Nullable a -> a
+    const defaultTo =
+    def ('defaultTo')
+        ({})
+        ([a, $.Nullable (a), a])
+        (x => nullable => nullable === null ? x : nullable);  // eslint-disable-line eqeqeq
+
+    eq (defaultTo (0) (null)) (0);
+    eq (defaultTo (0) (42)) (42);
+
+    throws (() => { defaultTo (0) ('XXX'); })
+           (new TypeError (`Type-variable constraint violation
+
+defaultTo :: a -> Nullable a -> a
+             ^             ^
+             1             2
+
+1)  0 :: Number
+
+2)  "XXX" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+
+    //    f :: Nullable a -> Nullable a
+    const f =
+    def ('f')
+        ({})
+        ([$.Nullable (a), $.Nullable (a)])
+        (x => 42);
+
+    eq (f (null)) (42);
+    eq (f (0)) (42);
+
+    throws (() => { f ('XXX'); })
+           (new TypeError (`Type-variable constraint violation
+
+f :: Nullable a -> Nullable a
+              ^             ^
+              1             2
+
+1)  "XXX" :: String
+
+2)  42 :: Number
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+  });
+
+  test ('provides the "Void" type', () => {
+    eq ($.Void.name) ('Void');
+    eq ($.Void.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Void`);
+    eq ($.Void.supertypes) ([]);
+
+    const isVoid = $.test ([]) ($.Void);
+    eq (isVoid (undefined)) (false);
+    eq (isVoid (null)) (false);
+    eq (isVoid (NaN)) (false);
+    eq (isVoid ('')) (false);
+  });
+
+  test ('provides the "Any" type', () => {
+    eq ($.Any.name) ('Any');
+    eq ($.Any.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Any`);
+    eq ($.Any.supertypes) ([]);
+  });
+
+  test ('provides the "AnyFunction" type', () => {
+    eq ($.AnyFunction.name) ('Function');
+    eq ($.AnyFunction.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Function`);
+    eq ($.AnyFunction.supertypes) ([]);
+
+    const isAnyFunction = $.test ([]) ($.AnyFunction);
+    eq (isAnyFunction (null)) (false);
+    eq (isAnyFunction (Math.abs)) (true);
+    eq (isAnyFunction (function Identity(x) { this.value = x; })) (true);
+    eq (isAnyFunction (function* (x) { return x; })) (true);
+  });
+
+  test ('provides the "Arguments" type', () => {
+    eq ($.Arguments.name) ('Arguments');
+    eq ($.Arguments.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Arguments`);
+    eq ($.Arguments.supertypes) ([]);
+  });
+
+  test ('provides the "Array" type constructor', () => {
+    eq (($.Array (a)).name) ('Array');
+    eq (($.Array (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array`);
+    eq (($.Array (a)).supertypes) ([]);
+  });
+
+  test ('provides the "Array0" type', () => {
+    eq ($.Array0.name) ('Array0');
+    eq ($.Array0.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array0`);
+    eq ($.Array0.supertypes) ([$.Array ($.Unknown)]);
+
+    const isEmptyArray = $.test ([]) ($.Array0);
+    eq (isEmptyArray (null)) (false);
+    eq (isEmptyArray ([])) (true);
+    eq (isEmptyArray ([0])) (false);
+  });
+
+  test ('provides the "Array1" type constructor', () => {
+    eq (typeof $.Array1) ('function');
+    eq ($.Array1.length) (1);
+    eq (show ($.Array1)) ('Array1 :: Type -> Type');
+    eq (show ($.Array1 (a))) ('Array1 a');
+    eq (($.Array1 (a)).name) ('Array1');
+    eq (($.Array1 (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array1`);
+    eq (($.Array1 (a)).supertypes) ([$.Array ($.Unknown)]);
+
+    const isSingletonStringArray = $.test ([]) ($.Array1 ($.String));
+    eq (isSingletonStringArray (null)) (false);
+    eq (isSingletonStringArray ([])) (false);
+    eq (isSingletonStringArray ([0])) (false);
+    eq (isSingletonStringArray (['x'])) (true);
+    eq (isSingletonStringArray (['x', 'y'])) (false);
+  });
+
+  test ('provides the "Array2" type constructor', () => {
+    eq (typeof $.Array2) ('function');
+    eq ($.Array2.length) (1);
+    eq (show ($.Array2)) ('Array2 :: Type -> Type -> Type');
+    eq (show ($.Array2 (a) (b))) ('Array2 a b');
+    eq (($.Array2 (a) (b)).name) ('Array2');
+    eq (($.Array2 (a) (b)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array2`);
+    eq (($.Array2 (a) (b)).supertypes) ([$.Array ($.Unknown)]);
+
+    //    fst :: Array2 a b -> a
+    const fst = def ('fst') ({}) ([$.Array2 (a) (b), a]) (array2 => array2[0]);
+
+    //    snd :: Array2 a b -> b
+    const snd = def ('snd') ({}) ([$.Array2 (a) (b), b]) (array2 => array2[1]);
+
+    eq (fst (['foo', 42])) ('foo');
+    eq (snd (['foo', 42])) (42);
+
+    throws (() => { fst (['foo']); })
+           (new TypeError (`Invalid value
+
+fst :: Array2 a b -> a
+       ^^^^^^^^^^
+           1
+
+1)  ["foo"] :: Array String
+
+The value at position 1 is not a member of ‘Array2 a b’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array2 for information about the Array2 type constructor.
+`));
+  });
+
+  test ('provides the "BigInt" type', () => {
+    eq ($.BigInt.name) ('BigInt');
+    eq ($.BigInt.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#BigInt`);
+    eq ($.BigInt.supertypes) ([]);
+
+    const isBigInt = $.test ([]) ($.BigInt);
+    eq (isBigInt (BigInt (0))) (true);
+    eq (isBigInt (BigInt (-10))) (true);
+    eq (isBigInt (10)) (false);
+    eq (isBigInt (Object (BigInt (10)))) (false);
+
+    //    double :: BigInt -> BigInt
+    const double =
+    def ('double')
+        ({})
+        ([$.BigInt, $.BigInt])
+        (n => n * BigInt (2));
+
+    eq (String (double (BigInt (21)))) ('42');
+
+    throws (() => { double (42); })
+           (new TypeError (`Invalid value
+
+double :: BigInt -> BigInt
+          ^^^^^^
+            1
+
+1)  42 :: Number
+
+The value at position 1 is not a member of ‘BigInt’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#BigInt for information about the BigInt type.
+`));
+
+    //    add :: a -> a -> a
+    const add =
+    def ('add')
+        ({})
+        ([a, a, a])
+        (x => y => x + y);
+
+    eq (String (add (BigInt (1)) (BigInt (2)))) ('3');
+
+    throws (() => { add (BigInt (10)) (10); })
+           (new TypeError (`Type-variable constraint violation
+
+add :: a -> a -> a
+       ^    ^
+       1    2
+
+1)  10n :: BigInt
+
+2)  10 :: Number
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+
+    //    negate :: Number -> Number
+    const negate =
+    def ('negate')
+        ({})
+        ([$.Number, $.Number])
+        (x => -x);
+
+    const cyclic = {n: BigInt (3)};
+    cyclic.self = cyclic;
+
+    throws (() => { negate ([BigInt (1), BigInt (2)]); })
+           (new TypeError (`Invalid value
+
+negate :: Number -> Number
+          ^^^^^^
+            1
+
+1)  [1n, 2n] :: Array BigInt, Array2 BigInt BigInt
+
+The value at position 1 is not a member of ‘Number’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
+`));
+
+    throws (() => { negate (cyclic); })
+           (new TypeError (`Invalid value
+
+negate :: Number -> Number
+          ^^^^^^
+            1
+
+1)  {"n": 3n, "self": <Circular>} :: Object, StrMap ???
+
+The value at position 1 is not a member of ‘Number’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
+`));
+
+    throws (() => { negate (new Map ([[BigInt (1), new Set ([BigInt (2)])]])); })
+           (new TypeError (`Invalid value
+
+negate :: Number -> Number
+          ^^^^^^
+            1
+
+1)  new Map ([[1n, new Set ([2n])]]) :: JsMap BigInt (JsSet BigInt)
+
+The value at position 1 is not a member of ‘Number’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
+`));
+  });
+
+  test ('provides the "NonNegativeBigInt" type', () => {
+    eq ($.NonNegativeBigInt.name) ('NonNegativeBigInt');
+    eq ($.NonNegativeBigInt.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonNegativeBigInt`);
+    eq ($.NonNegativeBigInt.supertypes) ([$.BigInt]);
+
+    const isNonNegativeBigInt = $.test ([]) ($.NonNegativeBigInt);
+    eq (isNonNegativeBigInt (BigInt (-1))) (false);
+    eq (isNonNegativeBigInt (BigInt (0))) (true);
+    eq (isNonNegativeBigInt (BigInt (1))) (true);
+    eq (isNonNegativeBigInt (1)) (false);
+  });
+
+  test ('provides the "PositiveBigInt" type', () => {
+    eq ($.PositiveBigInt.name) ('PositiveBigInt');
+    eq ($.PositiveBigInt.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#PositiveBigInt`);
+    eq ($.PositiveBigInt.supertypes) ([$.BigInt]);
+
+    const isPositiveBigInt = $.test ([]) ($.PositiveBigInt);
+    eq (isPositiveBigInt (BigInt (0))) (false);
+    eq (isPositiveBigInt (BigInt (1))) (true);
+    eq (isPositiveBigInt (1)) (false);
+
+    //    factorial :: PositiveBigInt -> PositiveBigInt
+    const factorial =
+    def ('factorial')
+        ({})
+        ([$.PositiveBigInt, $.PositiveBigInt])
+        (n => n === BigInt (1) ? n : n * factorial (n - BigInt (1)));
+
+    eq (String (factorial (BigInt (20)))) ('2432902008176640000');
+
+    throws (() => { factorial (BigInt (0)); })
+           (new TypeError (`Invalid value
+
+factorial :: PositiveBigInt -> PositiveBigInt
+             ^^^^^^^^^^^^^^
+                   1
+
+1)  0n :: BigInt
+
+The value at position 1 is not a member of ‘PositiveBigInt’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#PositiveBigInt for information about the PositiveBigInt type.
 `));
   });
 
@@ -1553,14 +3253,108 @@ See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array2 for in
     eq ($.Boolean.supertypes) ([]);
   });
 
+  test ('provides the "ArrayBuffer" type', () => {
+    eq ($.ArrayBuffer.name) ('ArrayBuffer');
+    eq ($.ArrayBuffer.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#ArrayBuffer`);
+    eq ($.ArrayBuffer.supertypes) ([]);
+
+    const isArrayBuffer = $.test ([]) ($.ArrayBuffer);
+    eq (isArrayBuffer (new ArrayBuffer (8))) (true);
+    eq (isArrayBuffer (new SharedArrayBuffer (8))) (false);
+    eq (isArrayBuffer (new Uint8Array (8))) (false);
+    eq (isArrayBuffer ((new Uint8Array (8)).buffer)) (true);
+  });
+
+  test ('provides the "SharedArrayBuffer" type', () => {
+    eq ($.SharedArrayBuffer.name) ('SharedArrayBuffer');
+    eq ($.SharedArrayBuffer.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#SharedArrayBuffer`);
+    eq ($.SharedArrayBuffer.supertypes) ([]);
+
+    const isSharedArrayBuffer = $.test ([]) ($.SharedArrayBuffer);
+    eq (isSharedArrayBuffer (new SharedArrayBuffer (8))) (true);
+    eq (isSharedArrayBuffer (new ArrayBuffer (8))) (false);
+  });
+
+  test ('provides the "DataView" type', () => {
+    eq ($.DataView.name) ('DataView');
+    eq ($.DataView.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#DataView`);
+    eq ($.DataView.supertypes) ([]);
+
+    const isDataView = $.test ([]) ($.DataView);
+    eq (isDataView (new DataView (new ArrayBuffer (8)))) (true);
+    eq (isDataView (new ArrayBuffer (8))) (false);
+    eq (isDataView (new Uint8Array (8))) (false);
+  });
+
+  test ('provides the typed array types', () => {
+    const kinds = [
+      [$.Int8Array, Int8Array],
+      [$.Uint8Array, Uint8Array],
+      [$.Uint8ClampedArray, Uint8ClampedArray],
+      [$.Int16Array, Int16Array],
+      [$.Uint16Array, Uint16Array],
+      [$.Int32Array, Int32Array],
+      [$.Uint32Array, Uint32Array],
+      [$.Float32Array, Float32Array],
+      [$.Float64Array, Float64Array],
+      [$.BigInt64Array, BigInt64Array],
+      [$.BigUint64Array, BigUint64Array],
+    ];
+    kinds.forEach (([t, C]) => {
+      eq (t.name) (C.name);
+      eq (t.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#${C.name}`);
+      eq (t.supertypes) ([]);
+      kinds.forEach (([_, D]) => {
+        eq ($.test ([]) (t) (new D (4))) (C === D);
+      });
+      eq ($.test ([]) (t) ([1, 2, 3, 4])) (false);
+      eq ($.test ([]) (t) (new ArrayBuffer (4))) (false);
+    });
+
+    //    bytes :: Uint8Array -> Array Integer
+    const bytes =
+    def ('bytes')
+        ({})
+        ([$.Uint8Array, $.Array ($.Integer)])
+        (xs => Array.from (xs));
+
+    eq (bytes (new Uint8Array ([1, 2, 3]))) ([1, 2, 3]);
+    eq (bytes (Buffer.from ([1, 2, 3]))) ([1, 2, 3]);
+
+    throws (() => { bytes (new Uint16Array ([1, 2, 3])); })
+           (new TypeError (`Invalid value
+
+bytes :: Uint8Array -> Array Integer
+         ^^^^^^^^^^
+             1
+
+1)  1,2,3 :: Uint16Array
+
+The value at position 1 is not a member of ‘Uint8Array’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Uint8Array for information about the Uint8Array type.
+`));
+
+    //    concat :: a -> a -> Array Integer
+    const concat =
+    def ('concat')
+        ({})
+        ([a, a, $.Array ($.Integer)])
+        (xs => ys => Array.from (xs).concat (Array.from (ys)));
+
+    eq (concat (Buffer.from ([1])) (new Uint8Array ([2]))) ([1, 2]);
+  });
+
   test ('provides the "Buffer" type', () => {
     eq ($.Buffer.name) ('Buffer');
     eq ($.Buffer.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Buffer`);
-    eq ($.Buffer.supertypes) ([]);
+    eq ($.Buffer.supertypes) ([$.Uint8Array]);
 
     const isBuffer = $.test ([]) ($.Buffer);
     eq (isBuffer (null)) (false);
+    eq (isBuffer (new Uint8Array ([1, 2, 3]))) (false);
     eq (isBuffer (Buffer.from ([1, 2, 3]))) (true);
+    eq ($.test ([]) ($.Uint8Array) (Buffer.from ([1, 2, 3]))) (true);
 
     {
       const Buffer = global.Buffer;
@@ -1618,6 +3412,77 @@ See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array2 for in
     eq ($.Error.supertypes) ([]);
   });
 
+  test ('provides the Error subtypes', () => {
+    const kinds = [
+      [$.EvalError, 'EvalError', new EvalError ('x')],
+      [$.RangeError, 'RangeError', new RangeError ('x')],
+      [$.ReferenceError, 'ReferenceError', new ReferenceError ('x')],
+      [$.SyntaxError, 'SyntaxError', new SyntaxError ('x')],
+      [$.TypeError, 'TypeError', new TypeError ('x')],
+      [$.URIError, 'URIError', new URIError ('x')],
+    ];
+    //  AggregateError is not defined in every supported environment.
+    if (typeof AggregateError === 'function') {
+      kinds.unshift ([$.AggregateError, 'AggregateError', new AggregateError ([], 'x')]);
+    }
+    kinds.forEach (([t, name, err]) => {
+      eq (t.name) (name);
+      eq (t.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#${name}`);
+      eq (t.supertypes) ([$.Error]);
+      eq ($.test ([]) (t) (err)) (true);
+      eq ($.test ([]) ($.Error) (err)) (true);
+      eq ($.test ([]) (t) (new Error ('x'))) (false);
+      kinds.forEach (([t$, name$, err$]) => {
+        eq ($.test ([]) (t) (err$)) (name$ === name);
+      });
+    });
+
+    class ValidationError extends TypeError {
+      get name() { return 'ValidationError'; }
+    }
+    eq ($.test ([]) ($.TypeError) (new ValidationError ('x'))) (true);
+    eq ($.test ([]) ($.RangeError) (new ValidationError ('x'))) (false);
+    eq ($.test ([]) ($.TypeError) ({name: 'TypeError', message: 'x'})) (false);
+    eq ($.test ([]) ($.TypeError) (vm.runInNewContext ('new TypeError ("x")'))) (true);
+
+    //    describe :: RangeError -> String
+    const describe =
+    def ('describe')
+        ({})
+        ([$.RangeError, $.String])
+        (err => err.message);
+
+    eq (describe (new RangeError ('out of range'))) ('out of range');
+
+    throws (() => { describe (new TypeError ('x')); })
+           (new TypeError (`Invalid value
+
+describe :: RangeError -> String
+            ^^^^^^^^^^
+                1
+
+1)  new TypeError ("x") :: Error
+
+The value at position 1 is not a member of ‘RangeError’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#RangeError for information about the RangeError type.
+`));
+  });
+
+  test ('provides the "FinalizationRegistry" type', () => {
+    eq ($.FinalizationRegistry.name) ('FinalizationRegistry');
+    eq ($.FinalizationRegistry.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#FinalizationRegistry`);
+    eq ($.FinalizationRegistry.supertypes) ([]);
+
+    const isFinalizationRegistry = $.test ([]) ($.FinalizationRegistry);
+    //  FinalizationRegistry is not defined in every supported environment.
+    if (typeof FinalizationRegistry === 'function') {
+      eq (isFinalizationRegistry (new FinalizationRegistry (() => {}))) (true);
+    }
+    eq (isFinalizationRegistry (new WeakMap ())) (false);
+    eq (isFinalizationRegistry ({})) (false);
+  });
+
   test ('provides the "Fn" type constructor', () => {
     eq (typeof $.Fn) ('function');
     eq ($.Fn.length) (1);
@@ -1664,59 +3529,307 @@ See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array2 for in
     eq (show (Y)) ('(a -> a) -> a');
   });
 
-  test ('provides the "HtmlElement" type', () => {
-    eq ($.HtmlElement.name) ('HtmlElement');
-    eq ($.HtmlElement.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#HtmlElement`);
-    eq ($.HtmlElement.supertypes) ([]);
-  });
+  test ('provides the "HtmlElement" type', () => {
+    eq ($.HtmlElement.name) ('HtmlElement');
+    eq ($.HtmlElement.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#HtmlElement`);
+    eq ($.HtmlElement.supertypes) ([]);
+  });
+
+  test ('provides the "Identity" type constructor', () => {
+    eq (typeof $.Identity) ('function');
+    eq ($.Identity.length) (1);
+    eq (show ($.Identity)) ('Identity :: Type -> Type');
+    eq (show ($.Identity (a))) ('Identity a');
+    eq (($.Identity (a)).name) ('Identity');
+    eq (($.Identity (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Identity`);
+    eq (($.Identity (a)).supertypes) ([]);
+
+    const isIdentityString = $.test ([]) ($.Identity ($.String));
+    eq (isIdentityString (null)) (false);
+    eq (isIdentityString (Identity (12.34))) (false);
+    eq (isIdentityString (Identity ('abc'))) (true);
+  });
+
+  test ('provides the "JsMap" type constructor', () => {
+    eq (typeof $.JsMap) ('function');
+    eq ($.JsMap.length) (1);
+    eq (show ($.JsMap)) ('JsMap :: Type -> Type -> Type');
+    eq (show ($.JsMap (a) (b))) ('JsMap a b');
+    eq (($.JsMap (a) (b)).name) ('JsMap');
+    eq (($.JsMap (a) (b)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#JsMap`);
+    eq (($.JsMap (a) (b)).supertypes) ([]);
+
+    const isJsMapNumberString = $.test ([]) ($.JsMap ($.Number) ($.String));
+    eq (isJsMapNumberString (null)) (false);
+    eq (isJsMapNumberString ({})) (false);
+    eq (isJsMapNumberString (new Map ([]))) (true);
+    eq (isJsMapNumberString (new Map ([[1, 'a'], [2, 'b'], [3, 'c']]))) (true);
+    eq (isJsMapNumberString (new Map ([['a', 1], ['b', 2], ['c', 3]]))) (false);
+  });
+
+  test ('provides the "JsSet" type constructor', () => {
+    eq (typeof $.JsSet) ('function');
+    eq ($.JsSet.length) (1);
+    eq (show ($.JsSet)) ('JsSet :: Type -> Type');
+    eq (show ($.JsSet (a))) ('JsSet a');
+    eq (($.JsSet (a)).name) ('JsSet');
+    eq (($.JsSet (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#JsSet`);
+    eq (($.JsSet (a)).supertypes) ([]);
+
+    const isJsSetNumber = $.test ([]) ($.JsSet ($.Number));
+    eq (isJsSetNumber (null)) (false);
+    eq (isJsSetNumber ([])) (false);
+    eq (isJsSetNumber (new Set ([]))) (true);
+    eq (isJsSetNumber (new Set ([1, 2, 3]))) (true);
+    eq (isJsSetNumber (new Set (['a', 'b', 'c']))) (false);
+  });
+
+  test ('provides the "Json" type', () => {
+    eq ($.Json.name) ('Json');
+    eq ($.Json.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Json`);
+    eq ($.Json.supertypes) ([]);
+    eq (show ($.Json)) ('Json');
+    eq (show ($.Json.definition)) ('(Null | Boolean | FiniteNumber | String | Array Json | StrMap Json)');
+
+    const isJson = $.test ([]) ($.Json);
+    eq (isJson (null)) (true);
+    eq (isJson (false)) (true);
+    eq (isJson (-1.5)) (true);
+    eq (isJson ('')) (true);
+    eq (isJson ([])) (true);
+    eq (isJson ({})) (true);
+    eq (isJson (JSON.parse ('{"a": [1, {"b": null}], "c": "d"}'))) (true);
+    eq (isJson (undefined)) (false);
+    eq (isJson (NaN)) (false);
+    eq (isJson (Infinity)) (false);
+    eq (isJson (new Date (0))) (false);
+    eq (isJson (new Number (1))) (false);
+    eq (isJson (x => x)) (false);
+    eq (isJson ([1, undefined])) (false);
+    eq (isJson ({a: {b: () => {}}})) (false);
+
+    //  As for StrMap, an object with a type identifier is not a plain object.
+    eq (isJson ({'@@type': 'my-package/Foo@1'})) (false);
+
+    //    save :: Json -> String
+    const save = def ('save') ({}) ([$.Json, $.String]) (JSON.stringify);
+
+    eq (save ({name: 'foo', tags: ['a', 'b']})) ('{"name":"foo","tags":["a","b"]}');
+
+    throws (() => { save ({name: 'foo', tags: ['a', NaN]}); })
+           (new TypeError (`Invalid value
+
+save :: Json -> String
+        ^^^^
+         1
+
+1)  NaN :: Number
+
+The value at position 1 is not a member of ‘Json’.
+
+It occurs at ["tags", 1] within the ‘Json’ value.
+
+NaN is not a member of ‘(Null | Boolean | FiniteNumber | String | Array Json | StrMap Json)’.
+
+Each member of the union rejects the value:
+
+  - Null: NaN is not a member of ‘Null’.
+  - Boolean: NaN is not a member of ‘Boolean’.
+  - FiniteNumber: NaN is not a member of ‘FiniteNumber’.
+  - String: NaN is not a member of ‘String’.
+  - Array Json: NaN is not a member of ‘Array Json’.
+  - StrMap Json: NaN is not a member of ‘StrMap Json’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Json for information about the Json type.
+`));
+
+    throws (() => { save ({b: [1, 2], a: {when: new Date (0)}}); })
+           (new TypeError (`Invalid value
+
+save :: Json -> String
+        ^^^^
+         1
+
+1)  new Date ("1970-01-01T00:00:00.000Z") :: Date
+
+The value at position 1 is not a member of ‘Json’.
+
+It occurs at ["a", "when"] within the ‘Json’ value.
+
+new Date ("1970-01-01T00:00:00.000Z") is not a member of ‘(Null | Boolean | FiniteNumber | String | Array Json | StrMap Json)’.
+
+Each member of the union rejects the value:
+
+  - Null: new Date ("1970-01-01T00:00:00.000Z") is not a member of ‘Null’.
+  - Boolean: new Date ("1970-01-01T00:00:00.000Z") is not a member of ‘Boolean’.
+  - FiniteNumber: new Date ("1970-01-01T00:00:00.000Z") is not a member of ‘FiniteNumber’.
+  - String: new Date ("1970-01-01T00:00:00.000Z") is not a member of ‘String’.
+  - Array Json: new Date ("1970-01-01T00:00:00.000Z") is not a member of ‘Array Json’.
+  - StrMap Json: new Date ("1970-01-01T00:00:00.000Z") is not a member of ‘StrMap Json’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Json for information about the Json type.
+`));
+
+    throws (() => { save (undefined); })
+           (new TypeError (`Invalid value
+
+save :: Json -> String
+        ^^^^
+         1
+
+1)  undefined :: Undefined
+
+The value at position 1 is not a member of ‘Json’.
+
+undefined is not a member of ‘(Null | Boolean | FiniteNumber | String | Array Json | StrMap Json)’.
+
+Each member of the union rejects the value:
+
+  - Null: undefined is not a member of ‘Null’.
+  - Boolean: undefined is not a member of ‘Boolean’.
+  - FiniteNumber: undefined is not a member of ‘FiniteNumber’.
+  - String: undefined is not a member of ‘String’.
+  - Array Json: undefined is not a member of ‘Array Json’.
+  - StrMap Json: undefined is not a member of ‘StrMap Json’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Json for information about the Json type.
+`));
+
+    const o = {name: 'o'};
+    o.self = o;
+    eq (isJson (o)) (false);
+    eq (isJson ([o])) (false);
+
+    //  The path to the first offending value (in key order) is reported.
+    const validate = $.Json.validate ($.env);
+    eq (validate ({a: 1})) (Right ({a: 1}));
+    eq (validate ({b: undefined, a: {b: [1, NaN]}}).value)
+       ({value: NaN, propPath: ['a', 'b', 1]});
+    eq (validate ([1, [o]]).value) ({value: o, propPath: [1, 0, 'self']});
+    eq (validate (undefined).value) ({value: undefined, propPath: []});
+    eq (($.Array ($.Json)).validate ($.env) ([null, [x => x]]).value.propPath)
+       (['$1', 0]);
+
+    //    saveAll :: Array Json -> String
+    const saveAll = def ('saveAll') ({}) ([$.Array ($.Json), $.String]) (JSON.stringify);
+
+    throws (() => { saveAll ([{a: [1]}, {a: {b: [1, NaN]}}]); })
+           (new TypeError (`Invalid value
+
+saveAll :: Array Json -> String
+                 ^^^^
+                  1
+
+1)  NaN :: Number
+
+The value at position 1 is not a member of ‘Json’.
+
+It occurs at ["a", "b", 1] within the ‘Json’ value.
+
+NaN is not a member of ‘(Null | Boolean | FiniteNumber | String | Array Json | StrMap Json)’.
+
+Each member of the union rejects the value:
+
+  - Null: NaN is not a member of ‘Null’.
+  - Boolean: NaN is not a member of ‘Boolean’.
+  - FiniteNumber: NaN is not a member of ‘FiniteNumber’.
+  - String: NaN is not a member of ‘String’.
+  - Array Json: NaN is not a member of ‘Array Json’.
+  - StrMap Json: NaN is not a member of ‘StrMap Json’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Json for information about the Json type.
+`));
+
+    throws (() => { save (o); })
+           (new TypeError (`Invalid value
+
+save :: Json -> String
+        ^^^^
+         1
+
+1)  {"name": "o", "self": <Circular>} :: Object, StrMap ???
+
+The value at position 1 is not a member of ‘Json’.
+
+It occurs at ["self"] within the ‘Json’ value.
+
+{"name": "o", "self": <Circular>} is not a member of ‘(Null | Boolean | FiniteNumber | String | Array Json | StrMap Json)’.
+
+Each member of the union rejects the value:
+
+  - Null: {"name": "o", "self": <Circular>} is not a member of ‘Null’.
+  - Boolean: {"name": "o", "self": <Circular>} is not a member of ‘Boolean’.
+  - FiniteNumber: {"name": "o", "self": <Circular>} is not a member of ‘FiniteNumber’.
+  - String: {"name": "o", "self": <Circular>} is not a member of ‘String’.
+  - Array Json: {"name": "o", "self": <Circular>} is not a member of ‘Array Json’.
+  - StrMap Json: {"name": "o", "self": <Circular>} is not a member of ‘Json’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Json for information about the Json type.
+`));
+  });
+
+  test ('provides the "JsonObject" type', () => {
+    eq ($.JsonObject.name) ('JsonObject');
+    eq ($.JsonObject.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#JsonObject`);
+    eq ($.JsonObject.supertypes) ([$.Json]);
+
+    const isJsonObject = $.test ([]) ($.JsonObject);
+    eq (isJsonObject ({})) (true);
+    eq (isJsonObject ({a: [1, 'b', null]})) (true);
+    eq (isJsonObject (null)) (false);
+    eq (isJsonObject ([])) (false);
+    eq (isJsonObject ('{}')) (false);
+    eq (isJsonObject ({a: undefined})) (false);
+
+    //    loadConfig :: JsonObject -> Array String
+    const loadConfig = def ('loadConfig') ({}) ([$.JsonObject, $.Array ($.String)]) (Object.keys);
+
+    eq (loadConfig ({port: 8080})) (['port']);
+
+    throws (() => { loadConfig ([8080]); })
+           (new TypeError (`Invalid value
+
+loadConfig :: JsonObject -> Array String
+              ^^^^^^^^^^
+                  1
+
+1)  [8080] :: Array Number
+
+The value at position 1 is not a member of ‘JsonObject’.
+
+The value must be an object (got [8080]).
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#JsonObject for information about the JsonObject type.
+`));
+
+    throws (() => { loadConfig ({port: undefined}); })
+           (new TypeError (`Invalid value
+
+loadConfig :: JsonObject -> Array String
+              ^^^^^^^^^^
+                  1
+
+1)  {"port": undefined} :: Object, StrMap Undefined
 
-  test ('provides the "Identity" type constructor', () => {
-    eq (typeof $.Identity) ('function');
-    eq ($.Identity.length) (1);
-    eq (show ($.Identity)) ('Identity :: Type -> Type');
-    eq (show ($.Identity (a))) ('Identity a');
-    eq (($.Identity (a)).name) ('Identity');
-    eq (($.Identity (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Identity`);
-    eq (($.Identity (a)).supertypes) ([]);
+The value at position 1 is not a member of ‘JsonObject’.
 
-    const isIdentityString = $.test ([]) ($.Identity ($.String));
-    eq (isIdentityString (null)) (false);
-    eq (isIdentityString (Identity (12.34))) (false);
-    eq (isIdentityString (Identity ('abc'))) (true);
-  });
+The value is not a member of ‘Json’, a supertype of ‘JsonObject’.
 
-  test ('provides the "JsMap" type constructor', () => {
-    eq (typeof $.JsMap) ('function');
-    eq ($.JsMap.length) (1);
-    eq (show ($.JsMap)) ('JsMap :: Type -> Type -> Type');
-    eq (show ($.JsMap (a) (b))) ('JsMap a b');
-    eq (($.JsMap (a) (b)).name) ('JsMap');
-    eq (($.JsMap (a) (b)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#JsMap`);
-    eq (($.JsMap (a) (b)).supertypes) ([]);
+undefined occurs at ["port"].
 
-    const isJsMapNumberString = $.test ([]) ($.JsMap ($.Number) ($.String));
-    eq (isJsMapNumberString (null)) (false);
-    eq (isJsMapNumberString ({})) (false);
-    eq (isJsMapNumberString (new Map ([]))) (true);
-    eq (isJsMapNumberString (new Map ([[1, 'a'], [2, 'b'], [3, 'c']]))) (true);
-    eq (isJsMapNumberString (new Map ([['a', 1], ['b', 2], ['c', 3]]))) (false);
-  });
+undefined is not a member of ‘(Null | Boolean | FiniteNumber | String | Array Json | StrMap Json)’.
 
-  test ('provides the "JsSet" type constructor', () => {
-    eq (typeof $.JsSet) ('function');
-    eq ($.JsSet.length) (1);
-    eq (show ($.JsSet)) ('JsSet :: Type -> Type');
-    eq (show ($.JsSet (a))) ('JsSet a');
-    eq (($.JsSet (a)).name) ('JsSet');
-    eq (($.JsSet (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#JsSet`);
-    eq (($.JsSet (a)).supertypes) ([]);
+Each member of the union rejects the value:
 
-    const isJsSetNumber = $.test ([]) ($.JsSet ($.Number));
-    eq (isJsSetNumber (null)) (false);
-    eq (isJsSetNumber ([])) (false);
-    eq (isJsSetNumber (new Set ([]))) (true);
-    eq (isJsSetNumber (new Set ([1, 2, 3]))) (true);
-    eq (isJsSetNumber (new Set (['a', 'b', 'c']))) (false);
+  - Null: undefined is not a member of ‘Null’.
+  - Boolean: undefined is not a member of ‘Boolean’.
+  - FiniteNumber: undefined is not a member of ‘FiniteNumber’.
+  - String: undefined is not a member of ‘String’.
+  - Array Json: undefined is not a member of ‘Array Json’.
+  - StrMap Json: undefined is not a member of ‘StrMap Json’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#JsonObject for information about the JsonObject type.
+`));
   });
 
   test ('provides the "Maybe" type constructor', () => {
@@ -1746,45 +3859,621 @@ See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array2 for in
     eq (isNonEmptyIntegerArray ([0.5])) (false);
   });
 
-  test ('provides the "Null" type', () => {
-    eq ($.Null.name) ('Null');
-    eq ($.Null.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Null`);
-    eq ($.Null.supertypes) ([]);
-  });
+  test ('provides the "Null" type', () => {
+    eq ($.Null.name) ('Null');
+    eq ($.Null.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Null`);
+    eq ($.Null.supertypes) ([]);
+  });
+
+  test ('provides the "Nullable" type constructor', () => {
+    eq (($.Nullable (a)).name) ('Nullable');
+    eq (($.Nullable (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Nullable`);
+    eq (($.Nullable (a)).supertypes) ([]);
+  });
+
+  test ('provides the "Number" type', () => {
+    eq ($.Number.name) ('Number');
+    eq ($.Number.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number`);
+    eq ($.Number.supertypes) ([]);
+  });
+
+  test ('provides the "Object" type', () => {
+    eq ($.Object.name) ('Object');
+    eq ($.Object.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Object`);
+    eq ($.Object.supertypes) ([]);
+  });
+
+  test ('provides the "Pair" type constructor', () => {
+    eq (typeof $.Pair) ('function');
+    eq ($.Pair.length) (1);
+    eq (show ($.Pair)) ('Pair :: Type -> Type -> Type');
+    eq (show ($.Pair (a) (b))) ('Pair a b');
+    eq (($.Pair (a) (b)).name) ('Pair');
+    eq (($.Pair (a) (b)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Pair`);
+    eq (($.Pair (a) (b)).supertypes) ([]);
+
+    const isPairStringNumber = $.test ([]) ($.Pair ($.String) ($.Number));
+    eq (isPairStringNumber (null)) (false);
+    eq (isPairStringNumber (Pair ('abc') ('xyz'))) (false);
+    eq (isPairStringNumber (Pair ('abc') (67.89))) (true);
+    eq (isPairStringNumber (Pair (12.34) ('xyz'))) (false);
+    eq (isPairStringNumber (Pair (12.34) (67.89))) (false);
+  });
+
+  test ('provides the "Promise" type constructor', () => {
+    eq (typeof $.Promise) ('function');
+    eq ($.Promise.length) (1);
+    eq (show ($.Promise)) ('Promise :: Type -> Type');
+    eq (show ($.Promise (a))) ('Promise a');
+    eq (($.Promise (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Promise`);
+
+    const isPromise = $.test ([]) ($.Promise ($.Number));
+    eq (isPromise (Promise.resolve (42))) (true);
+    eq (isPromise (Promise.resolve ('42'))) (true);
+    eq (isPromise ({then: (f, g) => f (42)})) (false);
+    eq (isPromise (42)) (false);
+
+    //    rejects :: Promise a -> Error -> Promise Undefined
+    const rejects = promise => expected => promise.then (
+      x => { throw new Error (`Resolved with ${show (x)}`); },
+      e => { eq (e) (expected); }
+    );
+
+    //    fetchAge :: String -> Promise NonNegativeInteger
+    const fetchAge =
+    def ('fetchAge')
+        ({})
+        ([$.String, $.Promise ($.NonNegativeInteger)])
+        (name => Promise.resolve (name === 'Alice' ? 42 : 'unknown'));
+
+    //    delay :: a -> Promise a
+    const delay =
+    def ('delay')
+        ({})
+        ([a, $.Promise (a)])
+        (x => Promise.resolve (typeof x === 'number' ? String (x) : x));
+
+    //    increment :: Promise Number -> Promise Number
+    const increment =
+    def ('increment')
+        ({})
+        ([$.Promise ($.Number), $.Promise ($.Number)])
+        (promise => promise.then (x => x + 1));
+
+    //    constant :: Promise Number -> Number
+    const constant =
+    def ('constant')
+        ({})
+        ([$.Promise ($.Number), $.Number])
+        (promise => 0);
+
+    //    fetchIt :: String -> Promise Number
+    const fetchIt =
+    def ('fetchIt')
+        ({})
+        ([$.String, $.Promise ($.Number)])
+        (s => Promise.reject (new Error ('network down')));
+
+    //    fetchString :: String -> Promise Number
+    const fetchString =
+    def ('fetchString')
+        ({})
+        ([$.String, $.Promise ($.Number)])
+        (s => Promise.resolve (s));
+
+    //    promises :: Array (Promise Number) -> Array (Promise Number)
+    const promises =
+    def ('promises')
+        ({})
+        ([$.Array ($.Promise ($.Number)), $.Array ($.Promise ($.Number))])
+        (xs => xs);
+
+    const unhandled = [];
+    const onUnhandledRejection = reason => { unhandled.push (reason); };
+    process.on ('unhandledRejection', onUnhandledRejection);
+    eq (constant (Promise.resolve ('0'))) (0);
+    const networkDown = new Error ('network down');
+    eq (constant (Promise.reject (networkDown))) (0);
+    fetchIt ('x');
+    fetchString ('x');
+
+    throws (() => { def ('f') ({}) ([$.Promise ($.Number)]) (() => 42) (); })
+           (new TypeError (`Invalid value
+
+f :: () -> Promise Number
+           ^^^^^^^^^^^^^^
+                 1
+
+1)  42 :: Number
+
+The value at position 1 is not a member of ‘Promise Number’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Promise for information about the Promise type constructor.
+`));
+
+    return Promise.all ([
+      fetchAge ('Alice').then (age => { eq (age) (42); }),
+      rejects (fetchAge ('Bob'))
+              (new TypeError (`Invalid value
+
+fetchAge :: String -> Promise NonNegativeInteger
+                              ^^^^^^^^^^^^^^^^^^
+                                      1
+
+1)  "unknown" :: String
+
+The value at position 1 is not a member of ‘NonNegativeInteger’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonNegativeInteger for information about the NonNegativeInteger type.
+`)),
+      delay ('x').then (x => { eq (x) ('x'); }),
+      rejects (delay (42))
+              (new TypeError (`Type-variable constraint violation
+
+delay :: a -> Promise a
+         ^            ^
+         1            2
+
+1)  42 :: Number
+
+2)  "42" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`)),
+      increment (Promise.resolve (1)).then (x => { eq (x) (2); }),
+      rejects (increment (Promise.resolve ('1')))
+              (new TypeError (`Invalid value
+
+increment :: Promise Number -> Promise Number
+                     ^^^^^^
+                       1
+
+1)  "1" :: String
+
+The value at position 1 is not a member of ‘Number’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
+`)),
+      (promises ([Promise.resolve ('1')]))[0].then (x => { eq (x) ('1'); }),
+      new Promise (resolve => { setTimeout (resolve, 10); }).then (() => {
+        process.removeListener ('unhandledRejection', onUnhandledRejection);
+        eq (unhandled.map (e => e.message.split ('\n')[0]).sort ())
+           (['Invalid value', 'network down', 'network down']);
+        eq (unhandled.includes (networkDown)) (true);
+      }),
+    ]);
+  });
+
+  test ('provides the "Iterable" type constructor', () => {
+    eq (typeof $.Iterable) ('function');
+    eq ($.Iterable.length) (1);
+    eq (show ($.Iterable)) ('Iterable :: Type -> Type');
+    eq (show ($.Iterable (a))) ('Iterable a');
+    eq (($.Iterable (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Iterable`);
+
+    const isIterable = $.test ([]) ($.Iterable ($.Number));
+    eq (isIterable ([1, 2, 3])) (true);
+    eq (isIterable (['1', '2', '3'])) (true);
+    eq (isIterable (new Set ([1, 2, 3]))) (true);
+    eq (isIterable ('abc')) (true);
+    eq (isIterable ({length: 0})) (false);
+    eq (isIterable (null)) (false);
+
+    //    sum :: Iterable Number -> Number
+    const sum =
+    def ('sum')
+        ({})
+        ([$.Iterable ($.Number), $.Number])
+        (xs => Array.from (xs).reduce ((total, x) => total + x, 0));
+
+    eq (sum ([1, 2, 3])) (6);
+    eq (sum (new Set ([1, 2, 3]))) (6);
+
+    throws (() => { sum (new Set ([1, '2', 3])); })
+           (new TypeError (`Invalid value
+
+sum :: Iterable Number -> Number
+                ^^^^^^
+                  1
+
+1)  "2" :: String
+
+The value at position 1 is not a member of ‘Number’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
+
+The offending value is the element at index 1 of the iterable.
+`));
+
+    //    replicate :: Integer -> a -> Iterable a
+    const replicate =
+    def ('replicate')
+        ({})
+        ([$.Integer, a, $.Iterable (a)])
+        (n => x => ({
+           * [Symbol.iterator]() {
+             for (let idx = 0; idx < n; idx += 1) yield idx === 2 ? [x] : x;
+           },
+         }));
+
+    //  Each iteration starts counting from zero.
+    const xs = replicate (2) ('x');
+    eq (Array.from (xs)) (['x', 'x']);
+    eq (Array.from (xs)) (['x', 'x']);
+
+    throws (() => { Array.from (replicate (3) ('x')); })
+           (new TypeError (`Type-variable constraint violation
+
+replicate :: Integer -> a -> Iterable a
+                        ^             ^
+                        1             2
+
+1)  "x" :: String
+
+2)  "x" :: String
+    "x" :: String
+    ["x"] :: Array String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+
+The offending value is the element at index 2 of the iterable.
+`));
+  });
+
+  test ('provides the "Iterator" type constructor', () => {
+    eq (typeof $.Iterator) ('function');
+    eq ($.Iterator.length) (1);
+    eq (show ($.Iterator)) ('Iterator :: Type -> Type');
+    eq (show ($.Iterator (a))) ('Iterator a');
+    eq (($.Iterator (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Iterator`);
+
+    const isIterator = $.test ([]) ($.Iterator ($.Number));
+    eq (isIterator ([1, 2, 3][Symbol.iterator] ())) (true);
+    eq (isIterator ({next: () => ({done: true})})) (true);
+    eq (isIterator ([1, 2, 3])) (false);
+    eq (isIterator (null)) (false);
+
+    //    take :: Integer -> Iterator a -> Array a
+    const take =
+    def ('take')
+        ({})
+        ([$.Integer, $.Iterator (a), $.Array (a)])
+        (n => iterator => {
+           const xs = [];
+           while (xs.length < n) xs.push (iterator.next ().value);
+           return xs;
+         });
+
+    //    naturals :: () -> Iterator Integer
+    const naturals = () => {
+      let n = -1;
+      return {next: () => {
+        n += 1;
+        return {value: n === 3 ? 'three' : n, done: false};
+      }};
+    };
+
+    eq (take (3) (naturals ())) ([0, 1, 2]);
+
+    throws (() => { take (4) (naturals ()); })
+           (new TypeError (`Type-variable constraint violation
+
+take :: Integer -> Iterator a -> Array a
+                            ^
+                            1
+
+1)  0 :: Number
+    1 :: Number
+    2 :: Number
+    "three" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+
+The offending value is the element at index 3 of the iterator.
+`));
+
+    //  The wrapper is itself iterable, and preserves the iterator's tag.
+    const wrapped =
+    def ('id')
+        ({})
+        ([$.Iterator ($.Number), $.Iterator ($.Number)])
+        (iterator => iterator)
+        (new Set ([1, 2])[Symbol.iterator] ());
+    eq (Object.prototype.toString.call (wrapped)) ('[object Set Iterator]');
+    eq (wrapped[Symbol.iterator] () === wrapped) (true);
+    eq (Array.from (wrapped)) ([1, 2]);
+    eq (typeof wrapped.return) ('undefined');
+  });
+
+  test ('provides the "Generator" type constructor', () => {
+    eq (typeof $.Generator) ('function');
+    eq ($.Generator.length) (1);
+    eq (show ($.Generator)) ('Generator :: Type -> Type');
+    eq (show ($.Generator (a))) ('Generator a');
+    eq (($.Generator (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Generator`);
+    eq (($.Generator (a)).supertypes) ([$.Iterator ($.Unknown)]);
+
+    function* gen() { yield 1; }
+
+    const isGenerator = $.test ([]) ($.Generator ($.Number));
+    eq (isGenerator (gen ())) (true);
+    eq (isGenerator ([1][Symbol.iterator] ())) (false);
+    eq (isGenerator (gen)) (false);
+
+    //    countdown :: Integer -> Generator Integer
+    const countdown =
+    def ('countdown')
+        ({})
+        ([$.Integer, $.Generator ($.Integer)])
+        (function* (n) {
+           for (let k = n; k >= 0; k -= 1) {
+             try {
+               yield k;
+             } catch (err) {
+               yield err.message;
+             }
+           }
+         });
+
+    eq (Array.from (countdown (3))) ([3, 2, 1, 0]);
+
+    const g = countdown (3);
+    eq (Object.prototype.toString.call (g)) ('[object Generator]');
+    eq (g.next ()) ({value: 3, done: false});
+    eq (g.return (42)) ({value: 42, done: true});
+    eq (g.next ()) ({value: undefined, done: true});
+
+    const h = countdown (3);
+    eq (h.next ()) ({value: 3, done: false});
+    throws (() => { h.throw (new Error ('boom')); })
+           (new TypeError (`Invalid value
+
+countdown :: Integer -> Generator Integer
+                                  ^^^^^^^
+                                     1
+
+1)  "boom" :: String
+
+The value at position 1 is not a member of ‘Integer’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Integer for information about the Integer type.
+
+The offending value is the element at index 1 of the generator.
+`));
+
+    //    sum :: Generator Number -> Number
+    const sum =
+    def ('sum')
+        ({})
+        ([$.Generator ($.Number), $.Number])
+        (g => Array.from (g).reduce ((total, x) => total + x, 0));
+
+    //  A wrapped generator is still a generator.
+    eq (sum (countdown (3))) (6);
+  });
+
+  test ('provides the "AsyncIterable" type constructor', () => {
+    eq (typeof $.AsyncIterable) ('function');
+    eq ($.AsyncIterable.length) (1);
+    eq (show ($.AsyncIterable)) ('AsyncIterable :: Type -> Type');
+    eq (show ($.AsyncIterable (a))) ('AsyncIterable a');
+    eq (($.AsyncIterable (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#AsyncIterable`);
+
+    const {Readable} = require ('stream');
+
+    const isAsyncIterable = $.test ([]) ($.AsyncIterable ($.Number));
+    eq (isAsyncIterable (Readable.from ([1, 2, 3]))) (true);
+    eq (isAsyncIterable ({[Symbol.asyncIterator]: () => ({})})) (true);
+    eq (isAsyncIterable ([1, 2, 3])) (false);
+    eq (isAsyncIterable (null)) (false);
+
+    //    collect :: AsyncIterable a -> Promise (Array a)
+    const collect =
+    def ('collect')
+        ({})
+        ([$.AsyncIterable (a), $.Promise ($.Array (a))])
+        (xs => {
+           const iterator = xs[Symbol.asyncIterator] ();
+           const loop = acc => iterator.next ().then (result =>
+             result.done ? acc : loop (acc.concat ([result.value]))
+           );
+           return loop ([]);
+         });
+
+    //    naturals :: Integer -> AsyncIterable Integer
+    const naturals =
+    def ('naturals')
+        ({})
+        ([$.Integer, $.AsyncIterable ($.Integer)])
+        (n => Readable.from (
+           Array.from ({length: n + 1}, (_, k) => k < n ? k : -0.5)
+         ));
+
+    const iterator = (naturals (2))[Symbol.asyncIterator] ();
+    eq (iterator[Symbol.asyncIterator] () === iterator) (true);
+
+    return Promise.all ([
+      collect (Readable.from ([1, 2, 3])).then (xs => { eq (xs) ([1, 2, 3]); }),
+      collect (Readable.from ([1, 'x'])).then (
+        xs => { throw new Error (`Resolved with ${show (xs)}`); },
+        err => {
+          eq (err) (new TypeError (`Type-variable constraint violation
+
+collect :: AsyncIterable a -> Promise (Array a)
+                         ^
+                         1
+
+1)  1 :: Number
+    "x" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+
+The offending value is the element at index 1 of the async iterable.
+`));
+        }
+      ),
+      iterator.next ()
+      .then (result => { eq (result) ({value: 0, done: false}); })
+      .then (() => iterator.next ())
+      .then (result => { eq (result) ({value: 1, done: false}); })
+      .then (() => iterator.next ())
+      .then (
+        result => { throw new Error (`Resolved with ${show (result)}`); },
+        err => {
+          eq (err) (new TypeError (`Invalid value
+
+naturals :: Integer -> AsyncIterable Integer
+                                     ^^^^^^^
+                                        1
+
+1)  -0.5 :: Number
+
+The value at position 1 is not a member of ‘Integer’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Integer for information about the Integer type.
+
+The offending value is the element at index 2 of the async iterable.
+`));
+        }
+      )
+      .then (() => iterator.return ())
+      .then (result => { eq (result) ({value: undefined, done: true}); }),
+    ]);
+  });
+
+  test ('provides the "Readonly" type constructor', () => {
+    eq (typeof $.Readonly) ('function');
+    eq ($.Readonly.length) (1);
+    eq (show ($.Readonly)) ('Readonly :: Type -> Type');
+    eq (show ($.Readonly (a))) ('Readonly a');
+    eq (show ($.Readonly ($.Array ($.Number)))) ('Readonly (Array Number)');
+    eq (($.Readonly (a)).name) ('Readonly');
+    eq (($.Readonly (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Readonly`);
+    eq (($.Readonly (a)).supertypes) ([]);
+
+    const isReadonlyArrayNumber = $.test ([]) ($.Readonly ($.Array ($.Number)));
+    eq (isReadonlyArrayNumber (Object.freeze ([1, 2, 3]))) (true);
+    eq (isReadonlyArrayNumber (Object.freeze ([]))) (true);
+    eq (isReadonlyArrayNumber ([1, 2, 3])) (false);
+    eq (isReadonlyArrayNumber (Object.freeze (['1', '2', '3']))) (false);
+    eq (isReadonlyArrayNumber (Object.seal ([1, 2, 3]))) (false);
+    eq (isReadonlyArrayNumber (Object.freeze ([[1]]))) (false);
+    eq ($.test ([]) ($.Readonly ($.String)) ('abc')) (true);
+    eq ($.test ([]) ($.Readonly ($.Array ($.Array ($.Number)))) (Object.freeze ([[1]]))) (true);
+
+    //    head :: Readonly (Array Number) -> Number
+    const head =
+    def ('head')
+        ({})
+        ([$.Readonly ($.Array ($.Number)), $.Number])
+        (xs => xs[0]);
+
+    eq (head (Object.freeze ([1, 2, 3]))) (1);
+
+    throws (() => { head ([1, 2, 3]); })
+           (new TypeError (`Invalid value
+
+head :: Readonly (Array Number) -> Number
+        ^^^^^^^^^^^^^^^^^^^^^^^
+                   1
+
+1)  [1, 2, 3] :: Array Number
+
+The value at position 1 is not a member of ‘Readonly (Array Number)’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Readonly for information about the Readonly type constructor.
+`));
+
+    throws (() => { head (Object.freeze (['1'])); })
+           (new TypeError (`Invalid value
+
+head :: Readonly (Array Number) -> Number
+                        ^^^^^^
+                          1
+
+1)  "1" :: String
 
-  test ('provides the "Nullable" type constructor', () => {
-    eq (($.Nullable (a)).name) ('Nullable');
-    eq (($.Nullable (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Nullable`);
-    eq (($.Nullable (a)).supertypes) ([]);
-  });
+The value at position 1 is not a member of ‘Number’.
 
-  test ('provides the "Number" type', () => {
-    eq ($.Number.name) ('Number');
-    eq ($.Number.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number`);
-    eq ($.Number.supertypes) ([]);
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
+`));
   });
 
-  test ('provides the "Object" type', () => {
-    eq ($.Object.name) ('Object');
-    eq ($.Object.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Object`);
-    eq ($.Object.supertypes) ([]);
-  });
+  test ('provides the "DeepReadonly" type constructor', () => {
+    eq (typeof $.DeepReadonly) ('function');
+    eq ($.DeepReadonly.length) (1);
+    eq (show ($.DeepReadonly)) ('DeepReadonly :: Type -> Type');
+    eq (show ($.DeepReadonly (a))) ('DeepReadonly a');
+    eq (show ($.DeepReadonly ($.Array ($.Number)))) ('DeepReadonly (Array Number)');
+    eq (($.DeepReadonly (a)).name) ('DeepReadonly');
+    eq (($.DeepReadonly (a)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#DeepReadonly`);
+    eq (($.DeepReadonly (a)).supertypes) ([]);
+
+    const Matrix = $.DeepReadonly ($.Array ($.Array ($.Number)));
+    const isMatrix = $.test ([]) (Matrix);
+    eq (isMatrix (Object.freeze ([Object.freeze ([1, 2])]))) (true);
+    eq (isMatrix (Object.freeze ([[1, 2]]))) (false);
+    eq (isMatrix ([Object.freeze ([1, 2])])) (false);
+    eq (isMatrix (Object.freeze ([Object.freeze (['1'])]))) (false);
+    //  Values which are not members of the type parameter are rejected.
+    eq (isMatrix (null)) (false);
+    eq (isMatrix (5)) (false);
+    eq (isMatrix (Object.freeze ({}))) (false);
+    eq (isMatrix (Object.freeze ([null]))) (false);
+
+    //  Type variables are checked in the given environment.
+    const isFrozenArray = $.test ($.env) ($.DeepReadonly ($.Array (a)));
+    eq (isFrozenArray (Object.freeze ([1]))) (true);
+    eq (isFrozenArray (Object.freeze ([Object.freeze ([1])]))) (true);
+    eq (isFrozenArray ([1])) (false);
+    eq (isFrozenArray (null)) (false);
+
+    //    head :: DeepReadonly (Array a) -> a
+    const head =
+    def ('head')
+        ({})
+        ([$.DeepReadonly ($.Array (a)), a])
+        (xs => xs[0]);
+
+    eq (head (Object.freeze ([1, 2]))) (1);
+    eq (head (Object.freeze (['x']))) ('x');
+
+    //  The members of a union need only be frozen themselves.
+    const Tree = $.DeepReadonly ($.Array ($.Union ([$.Null, $.Array ($.Number)])));
+    const isTree = $.test ([]) (Tree);
+    eq (isTree (Object.freeze ([null, Object.freeze ([1])]))) (true);
+    eq (isTree (Object.freeze ([null, [1]]))) (false);
+
+    const Point = $.DeepReadonly ($.RecordType ({coords: $.Array ($.Number), label: $.Any}));
+    const isPoint = $.test ([]) (Point);
+    eq (isPoint (Object.freeze ({coords: Object.freeze ([1, 2]), label: 'a'}))) (true);
+    eq (isPoint (Object.freeze ({coords: [1, 2], label: 'a'}))) (false);
+    //  Values of types without type parameters or fields need only be frozen.
+    eq (isPoint (Object.freeze ({coords: Object.freeze ([]), label: Object.freeze ({x: []})}))) (true);
+    eq (isPoint (Object.freeze ({coords: Object.freeze ([]), label: {}}))) (false);
+
+    //    trace :: DeepReadonly (Array (Array Number)) -> Number
+    const trace =
+    def ('trace')
+        ({})
+        ([Matrix, $.Number])
+        (rows => rows.reduce ((n, row, idx) => n + row[idx], 0));
 
-  test ('provides the "Pair" type constructor', () => {
-    eq (typeof $.Pair) ('function');
-    eq ($.Pair.length) (1);
-    eq (show ($.Pair)) ('Pair :: Type -> Type -> Type');
-    eq (show ($.Pair (a) (b))) ('Pair a b');
-    eq (($.Pair (a) (b)).name) ('Pair');
-    eq (($.Pair (a) (b)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Pair`);
-    eq (($.Pair (a) (b)).supertypes) ([]);
+    eq (trace (Object.freeze ([Object.freeze ([1, 2]), Object.freeze ([3, 4])]))) (5);
 
-    const isPairStringNumber = $.test ([]) ($.Pair ($.String) ($.Number));
-    eq (isPairStringNumber (null)) (false);
-    eq (isPairStringNumber (Pair ('abc') ('xyz'))) (false);
-    eq (isPairStringNumber (Pair ('abc') (67.89))) (true);
-    eq (isPairStringNumber (Pair (12.34) ('xyz'))) (false);
-    eq (isPairStringNumber (Pair (12.34) (67.89))) (false);
+    throws (() => { trace (Object.freeze ([[1, 2, 3], [4, 5, 6], [7, 8, 9]])); })
+           (new TypeError (`Invalid value
+
+trace :: DeepReadonly (Array (Array Number)) -> Number
+         ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                          1
+
+1)  [[1, 2, 3], [4, 5, 6], [7, 8, 9]] :: Array (Array Number)
+
+The value at position 1 is not a member of ‘DeepReadonly (Array (Array Number))’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#DeepReadonly for information about the DeepReadonly type constructor.
+`));
   });
 
   test ('provides the "RegExp" type', () => {
@@ -1805,6 +4494,87 @@ See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array2 for in
     eq ($.Symbol.supertypes) ([]);
   });
 
+  test ('provides the "Tuple" type constructor', () => {
+    eq (typeof $.Tuple) ('function');
+    eq ($.Tuple.length) (1);
+    eq (show ($.Tuple)) ('Tuple :: Array Type -> Type');
+    eq (show ($.Tuple ([]))) ('Tuple');
+    eq (show ($.Tuple ([$.String, $.Number, $.Boolean]))) ('Tuple String Number Boolean');
+    eq (show ($.Tuple ([$.Array (a), $.Tuple ([b])]))) ('Tuple (Array a) (Tuple b)');
+    eq (($.Tuple ([a, b, c])).name) ('Tuple');
+    eq (($.Tuple ([a, b, c])).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Tuple`);
+    eq (($.Tuple ([a, b, c])).supertypes) ([$.Array ($.Unknown)]);
+    eq (($.Tuple ([a, b, c])).keys) (['$1', '$2', '$3']);
+
+    eq ($.test ([]) ($.Tuple ([])) ([])) (true);
+    eq ($.test ([]) ($.Tuple ([])) ([1])) (false);
+    eq ($.test ([]) ($.Tuple ([$.String, $.Number, $.Boolean])) (['foo', 42, true])) (true);
+    eq ($.test ([]) ($.Tuple ([$.String, $.Number, $.Boolean])) (['foo', 42])) (false);
+    eq ($.test ([]) ($.Tuple ([$.String, $.Number, $.Boolean])) (['foo', 42, true, null])) (false);
+    eq ($.test ([]) ($.Tuple ([$.String, $.Number, $.Boolean])) (['foo', 42, 'true'])) (false);
+    eq ($.test ([]) ($.Tuple ([$.String])) ('x')) (false);
+
+    //    label :: Tuple String Number Boolean -> String
+    const label =
+    def ('label')
+        ({})
+        ([$.Tuple ([$.String, $.Number, $.Boolean]), $.String])
+        (([s, n, b]) => s + ':' + show (n) + (b ? '!' : ''));
+
+    eq (label (['foo', 42, true])) ('foo:42!');
+
+    throws (() => { label (['foo', 42]); })
+           (new TypeError (`Invalid value
+
+label :: Tuple String Number Boolean -> String
+         ^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                      1
+
+1)  ["foo", 42] :: Array ???, Array2 String Number
+
+The value at position 1 is not a member of ‘Tuple String Number Boolean’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Tuple for information about the Tuple type constructor.
+`));
+
+    throws (() => { label (['foo', 42, 'true']); })
+           (new TypeError (`Invalid value
+
+label :: Tuple String Number Boolean -> String
+                             ^^^^^^^
+                                1
+
+1)  "true" :: String
+
+The value at position 1 is not a member of ‘Boolean’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Boolean for information about the Boolean type.
+`));
+
+    //    ends :: Tuple a b a -> Array a
+    const ends =
+    def ('ends')
+        ({})
+        ([$.Tuple ([a, b, a]), $.Array (a)])
+        (([x, y, z]) => [x, z]);
+
+    eq (ends ([1, 'foo', 2])) ([1, 2]);
+
+    throws (() => { ends ([1, 'foo', 'bar']); })
+           (new TypeError (`Type-variable constraint violation
+
+ends :: Tuple a b a -> Array a
+              ^   ^
+              1   2
+
+1)  1 :: Number
+
+2)  "bar" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+  });
+
   test ('provides the "Type" type', () => {
     eq ($.Type.name) ('Type');
     eq ($.Type.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Type`);
@@ -1823,6 +4593,84 @@ See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array2 for in
     eq ($.Undefined.supertypes) ([]);
   });
 
+  test ('provides the "WeakMap" type', () => {
+    eq ($.WeakMap.name) ('WeakMap');
+    eq ($.WeakMap.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#WeakMap`);
+    eq ($.WeakMap.supertypes) ([]);
+
+    const isWeakMap = $.test ([]) ($.WeakMap);
+    eq (isWeakMap (new WeakMap ([[{}, 1]]))) (true);
+    eq (isWeakMap (new Map ())) (false);
+    eq (isWeakMap (new WeakSet ())) (false);
+
+    //    memoize :: WeakMap -> (Object -> Number) -> Object -> Number
+    const memoize =
+    def ('memoize')
+        ({})
+        ([$.WeakMap, $.Fn ($.Object) ($.Number), $.Object, $.Number])
+        (cache => f => x => {
+           if (!(cache.has (x))) cache.set (x, f (x));
+           return cache.get (x);
+         });
+
+    const cache = new WeakMap ();
+    const key = {};
+    eq (memoize (cache) (x => 42) (key)) (42);
+    eq (memoize (cache) (x => 0) (key)) (42);
+
+    throws (() => { memoize (new Map ()); })
+           (new TypeError (`Invalid value
+
+memoize :: WeakMap -> (Object -> Number) -> Object -> Number
+           ^^^^^^^
+              1
+
+1)  new Map ([]) :: JsMap a b
+
+The value at position 1 is not a member of ‘WeakMap’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#WeakMap for information about the WeakMap type.
+`));
+
+    throws (() => { memoize (new WeakSet ()); })
+           (new TypeError (`Invalid value
+
+memoize :: WeakMap -> (Object -> Number) -> Object -> Number
+           ^^^^^^^
+              1
+
+1)  [object WeakSet] :: WeakSet
+
+The value at position 1 is not a member of ‘WeakMap’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#WeakMap for information about the WeakMap type.
+`));
+  });
+
+  test ('provides the "WeakRef" type', () => {
+    eq ($.WeakRef.name) ('WeakRef');
+    eq ($.WeakRef.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#WeakRef`);
+    eq ($.WeakRef.supertypes) ([]);
+
+    const isWeakRef = $.test ([]) ($.WeakRef);
+    //  WeakRef is not defined in every supported environment.
+    if (typeof WeakRef === 'function') {
+      eq (isWeakRef (new WeakRef ({}))) (true);
+    }
+    eq (isWeakRef ({})) (false);
+  });
+
+  test ('provides the "WeakSet" type', () => {
+    eq ($.WeakSet.name) ('WeakSet');
+    eq ($.WeakSet.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#WeakSet`);
+    eq ($.WeakSet.supertypes) ([]);
+
+    const isWeakSet = $.test ([]) ($.WeakSet);
+    eq (isWeakSet (new WeakSet ([{}]))) (true);
+    eq (isWeakSet (new Set ())) (false);
+    eq (isWeakSet (new WeakMap ())) (false);
+  });
+
   test ('provides the "Unknown" type', () => {
     eq ($.Unknown.name) ('');
     eq ($.Unknown.url) ('');
@@ -1890,6 +4738,36 @@ See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#ValidDate for
     eq (isNegativeNumber (new Number (-Infinity))) (false);
   });
 
+  test ('provides the "NonNegativeNumber" type', () => {
+    eq ($.NonNegativeNumber.name) ('NonNegativeNumber');
+    eq ($.NonNegativeNumber.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonNegativeNumber`);
+    eq ($.NonNegativeNumber.supertypes) ([$.Number]);
+
+    const isNonNegativeNumber = $.test ([]) ($.NonNegativeNumber);
+    eq (isNonNegativeNumber (null)) (false);
+    eq (isNonNegativeNumber (NaN)) (false);
+    eq (isNonNegativeNumber (-1)) (false);
+    eq (isNonNegativeNumber (0)) (true);
+    eq (isNonNegativeNumber (-0)) (true);
+    eq (isNonNegativeNumber (Infinity)) (true);
+    eq (isNonNegativeNumber (new Number (1))) (false);
+  });
+
+  test ('provides the "NonPositiveNumber" type', () => {
+    eq ($.NonPositiveNumber.name) ('NonPositiveNumber');
+    eq ($.NonPositiveNumber.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonPositiveNumber`);
+    eq ($.NonPositiveNumber.supertypes) ([$.Number]);
+
+    const isNonPositiveNumber = $.test ([]) ($.NonPositiveNumber);
+    eq (isNonPositiveNumber (null)) (false);
+    eq (isNonPositiveNumber (NaN)) (false);
+    eq (isNonPositiveNumber (1)) (false);
+    eq (isNonPositiveNumber (0)) (true);
+    eq (isNonPositiveNumber (-0)) (true);
+    eq (isNonPositiveNumber (-Infinity)) (true);
+    eq (isNonPositiveNumber (new Number (-1))) (false);
+  });
+
   test ('provides the "ValidNumber" type', () => {
     eq ($.ValidNumber.name) ('ValidNumber');
     eq ($.ValidNumber.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#ValidNumber`);
@@ -1957,82 +4835,331 @@ See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#ValidDate for
     eq (isNegativeFiniteNumber (new Number (-0.5))) (false);
   });
 
+  test ('provides the "NonNegativeFiniteNumber" type', () => {
+    eq ($.NonNegativeFiniteNumber.name) ('NonNegativeFiniteNumber');
+    eq ($.NonNegativeFiniteNumber.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonNegativeFiniteNumber`);
+    eq ($.NonNegativeFiniteNumber.supertypes) ([$.FiniteNumber]);
+
+    const isNonNegativeFiniteNumber = $.test ([]) ($.NonNegativeFiniteNumber);
+    eq (isNonNegativeFiniteNumber (Infinity)) (false);
+    eq (isNonNegativeFiniteNumber (-0.5)) (false);
+    eq (isNonNegativeFiniteNumber (0)) (true);
+    eq (isNonNegativeFiniteNumber (-0)) (true);
+    eq (isNonNegativeFiniteNumber (0.5)) (true);
+    eq (isNonNegativeFiniteNumber (new Number (0.5))) (false);
+  });
+
+  test ('provides the "NonPositiveFiniteNumber" type', () => {
+    eq ($.NonPositiveFiniteNumber.name) ('NonPositiveFiniteNumber');
+    eq ($.NonPositiveFiniteNumber.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonPositiveFiniteNumber`);
+    eq ($.NonPositiveFiniteNumber.supertypes) ([$.FiniteNumber]);
+
+    const isNonPositiveFiniteNumber = $.test ([]) ($.NonPositiveFiniteNumber);
+    eq (isNonPositiveFiniteNumber (-Infinity)) (false);
+    eq (isNonPositiveFiniteNumber (0.5)) (false);
+    eq (isNonPositiveFiniteNumber (0)) (true);
+    eq (isNonPositiveFiniteNumber (-0)) (true);
+    eq (isNonPositiveFiniteNumber (-0.5)) (true);
+    eq (isNonPositiveFiniteNumber (new Number (-0.5))) (false);
+  });
+
   test ('provides the "NonZeroFiniteNumber" type', () => {
     eq ($.NonZeroFiniteNumber.name) ('NonZeroFiniteNumber');
     eq ($.NonZeroFiniteNumber.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonZeroFiniteNumber`);
     eq ($.NonZeroFiniteNumber.supertypes) ([$.FiniteNumber]);
 
-    const isNonZeroFiniteNumber = $.test ([]) ($.NonZeroFiniteNumber);
-    eq (isNonZeroFiniteNumber (0)) (false);
-    eq (isNonZeroFiniteNumber (-0)) (false);
-    eq (isNonZeroFiniteNumber (Infinity)) (false);
-    eq (isNonZeroFiniteNumber (-Infinity)) (false);
-    eq (isNonZeroFiniteNumber (1)) (true);
-    eq (isNonZeroFiniteNumber (new Number (1))) (false);
+    const isNonZeroFiniteNumber = $.test ([]) ($.NonZeroFiniteNumber);
+    eq (isNonZeroFiniteNumber (0)) (false);
+    eq (isNonZeroFiniteNumber (-0)) (false);
+    eq (isNonZeroFiniteNumber (Infinity)) (false);
+    eq (isNonZeroFiniteNumber (-Infinity)) (false);
+    eq (isNonZeroFiniteNumber (1)) (true);
+    eq (isNonZeroFiniteNumber (new Number (1))) (false);
+  });
+
+  test ('provides the "Integer" type', () => {
+    eq ($.Integer.name) ('Integer');
+    eq ($.Integer.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Integer`);
+    eq ($.Integer.supertypes) ([$.ValidNumber]);
+
+    const isInteger = $.test ([]) ($.Integer);
+    eq (isInteger (3.14)) (false);
+    eq (isInteger (9007199254740992)) (false);
+    eq (isInteger (-9007199254740992)) (false);
+    eq (isInteger (1)) (true);
+    eq (isInteger (new Number (1))) (false);
+  });
+
+  test ('provides the "NonZeroInteger" type', () => {
+    eq ($.NonZeroInteger.name) ('NonZeroInteger');
+    eq ($.NonZeroInteger.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonZeroInteger`);
+    eq ($.NonZeroInteger.supertypes) ([$.Integer]);
+
+    const isNonZeroInteger = $.test ([]) ($.NonZeroInteger);
+    eq (isNonZeroInteger (0)) (false);
+    eq (isNonZeroInteger (-0)) (false);
+    eq (isNonZeroInteger (3.14)) (false);
+    eq (isNonZeroInteger (1)) (true);
+    eq (isNonZeroInteger (new Number (1))) (false);
+  });
+
+  test ('provides the "NonNegativeInteger" type', () => {
+    eq ($.NonNegativeInteger.name) ('NonNegativeInteger');
+    eq ($.NonNegativeInteger.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonNegativeInteger`);
+    eq ($.NonNegativeInteger.supertypes) ([$.Integer]);
+
+    const isNonNegativeInteger = $.test ([]) ($.NonNegativeInteger);
+    eq (isNonNegativeInteger (0)) (true);
+    eq (isNonNegativeInteger (-0)) (true);
+    eq (isNonNegativeInteger (1)) (true);
+    eq (isNonNegativeInteger (-1)) (false);
+    eq (isNonNegativeInteger (3.14)) (false);
+    eq (isNonNegativeInteger (new Number (1))) (false);
+  });
+
+  test ('provides the "NonPositiveInteger" type', () => {
+    eq ($.NonPositiveInteger.name) ('NonPositiveInteger');
+    eq ($.NonPositiveInteger.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonPositiveInteger`);
+    eq ($.NonPositiveInteger.supertypes) ([$.Integer]);
+
+    const isNonPositiveInteger = $.test ([]) ($.NonPositiveInteger);
+    eq (isNonPositiveInteger (0)) (true);
+    eq (isNonPositiveInteger (-0)) (true);
+    eq (isNonPositiveInteger (-1)) (true);
+    eq (isNonPositiveInteger (1)) (false);
+    eq (isNonPositiveInteger (-3.14)) (false);
+    eq (isNonPositiveInteger (new Number (-1))) (false);
+  });
+
+  test ('provides the "PositiveInteger" type', () => {
+    eq ($.PositiveInteger.name) ('PositiveInteger');
+    eq ($.PositiveInteger.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#PositiveInteger`);
+    eq ($.PositiveInteger.supertypes) ([$.Integer]);
+
+    const isPositiveInteger = $.test ([]) ($.PositiveInteger);
+    eq (isPositiveInteger (1.5)) (false);
+    eq (isPositiveInteger (-1)) (false);
+    eq (isPositiveInteger (1)) (true);
+    eq (isPositiveInteger (new Number (1))) (false);
+  });
+
+  test ('provides the "NegativeInteger" type', () => {
+    eq ($.NegativeInteger.name) ('NegativeInteger');
+    eq ($.NegativeInteger.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NegativeInteger`);
+    eq ($.NegativeInteger.supertypes) ([$.Integer]);
+
+    const isNegativeInteger = $.test ([]) ($.NegativeInteger);
+    eq (isNegativeInteger (-1.5)) (false);
+    eq (isNegativeInteger (1)) (false);
+    eq (isNegativeInteger (-1)) (true);
+    eq (isNegativeInteger (new Number (-1))) (false);
+  });
+
+  test ('provides the "IntegerBetween" type constructor', () => {
+    const Port = $.IntegerBetween (1) (65535);
+    eq (Port.name) ('IntegerBetween 1 65535');
+    eq (Port.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#IntegerBetween`);
+    eq (Port.supertypes) ([$.Integer]);
+    eq (show (Port)) ('IntegerBetween 1 65535');
+    eq (show ($.Array ($.IntegerBetween (-10) (10)))) ('Array (IntegerBetween (-10) 10)');
+
+    const isPort = $.test ([]) (Port);
+    eq (isPort (0)) (false);
+    eq (isPort (1)) (true);
+    eq (isPort (8080)) (true);
+    eq (isPort (65535)) (true);
+    eq (isPort (65536)) (false);
+    eq (isPort (80.5)) (false);
+
+    //    connect :: Port -> String
+    const connect =
+    def ('connect')
+        ({})
+        ([Port, $.String])
+        (port => 'localhost:' + port);
+
+    eq (connect (8080)) ('localhost:8080');
+
+    throws (() => { connect (0); })
+           (new TypeError (`Invalid value
+
+connect :: IntegerBetween 1 65535 -> String
+           ^^^^^^^^^^^^^^^^^^^^^^
+                     1
+
+1)  0 :: Number
+
+The value at position 1 is not a member of ‘IntegerBetween 1 65535’.
+
+The value must be ≥ 1 (got 0).
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#IntegerBetween for information about the IntegerBetween 1 65535 type.
+`));
+
+    throws (() => { connect (65536); })
+           (new TypeError (`Invalid value
+
+connect :: IntegerBetween 1 65535 -> String
+           ^^^^^^^^^^^^^^^^^^^^^^
+                     1
+
+1)  65536 :: Number
+
+The value at position 1 is not a member of ‘IntegerBetween 1 65535’.
+
+The value must be ≤ 65535 (got 65536).
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#IntegerBetween for information about the IntegerBetween 1 65535 type.
+`));
+
+    throws (() => { connect (80.5); })
+           (new TypeError (`Invalid value
+
+connect :: IntegerBetween 1 65535 -> String
+           ^^^^^^^^^^^^^^^^^^^^^^
+                     1
+
+1)  80.5 :: Number
+
+The value at position 1 is not a member of ‘IntegerBetween 1 65535’.
+
+The value is not a member of ‘Integer’, a supertype of ‘IntegerBetween 1 65535’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#IntegerBetween for information about the IntegerBetween 1 65535 type.
+`));
+
+    throws (() => { $.IntegerBetween (0.5); })
+           (new TypeError (`Invalid value
+
+IntegerBetween :: Integer -> Integer -> Type
+                  ^^^^^^^
+                     1
+
+1)  0.5 :: Number
+
+The value at position 1 is not a member of ‘Integer’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Integer for information about the Integer type.
+`));
+
+    eq (show ($.IntegerBetween (1) (1))) ('IntegerBetween 1 1');
+
+    throws (() => { $.IntegerBetween (10) (1); })
+           (new TypeError ('‘IntegerBetween’ requires the lower bound to be less than or equal to the upper bound; 10 is not less than or equal to 1.'));
+  });
+
+  test ('provides the "NumberBetween" type constructor', () => {
+    const Probability = $.NumberBetween (0) (1);
+    eq (Probability.name) ('NumberBetween 0 1');
+    eq (Probability.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NumberBetween`);
+    eq (Probability.supertypes) ([$.FiniteNumber]);
+    eq (show ($.NumberBetween (-0) (0.5))) ('NumberBetween (-0) 0.5');
+
+    const isProbability = $.test ([]) (Probability);
+    eq (isProbability (-0.1)) (false);
+    eq (isProbability (0)) (true);
+    eq (isProbability (0.5)) (true);
+    eq (isProbability (1)) (true);
+    eq (isProbability (1.1)) (false);
+    eq (isProbability (Infinity)) (false);
+    eq (isProbability (NaN)) (false);
+
+    //    percent :: Probability -> String
+    const percent =
+    def ('percent')
+        ({})
+        ([Probability, $.String])
+        (p => p * 100 + '%');
+
+    eq (percent (0.5)) ('50%');
+
+    throws (() => { percent (-0.1); })
+           (new TypeError (`Invalid value
+
+percent :: NumberBetween 0 1 -> String
+           ^^^^^^^^^^^^^^^^^
+                   1
+
+1)  -0.1 :: Number
+
+The value at position 1 is not a member of ‘NumberBetween 0 1’.
+
+The value must be ≥ 0 (got -0.1).
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NumberBetween for information about the NumberBetween 0 1 type.
+`));
+
+    throws (() => { percent (Infinity); })
+           (new TypeError (`Invalid value
+
+percent :: NumberBetween 0 1 -> String
+           ^^^^^^^^^^^^^^^^^
+                   1
+
+1)  Infinity :: Number
+
+The value at position 1 is not a member of ‘NumberBetween 0 1’.
+
+The value is not a member of ‘FiniteNumber’, a supertype of ‘NumberBetween 0 1’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NumberBetween for information about the NumberBetween 0 1 type.
+`));
   });
 
-  test ('provides the "Integer" type', () => {
-    eq ($.Integer.name) ('Integer');
-    eq ($.Integer.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Integer`);
-    eq ($.Integer.supertypes) ([$.ValidNumber]);
+  test ('provides the "NumberBetweenExclusive" type constructor', () => {
+    const Unit = $.NumberBetweenExclusive (0) (1);
+    eq (Unit.name) ('NumberBetweenExclusive 0 1');
+    eq (Unit.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NumberBetweenExclusive`);
+    eq (Unit.supertypes) ([$.FiniteNumber]);
 
-    const isInteger = $.test ([]) ($.Integer);
-    eq (isInteger (3.14)) (false);
-    eq (isInteger (9007199254740992)) (false);
-    eq (isInteger (-9007199254740992)) (false);
-    eq (isInteger (1)) (true);
-    eq (isInteger (new Number (1))) (false);
-  });
+    const isUnit = $.test ([]) (Unit);
+    eq (isUnit (0)) (false);
+    eq (isUnit (0.5)) (true);
+    eq (isUnit (1)) (false);
 
-  test ('provides the "NonZeroInteger" type', () => {
-    eq ($.NonZeroInteger.name) ('NonZeroInteger');
-    eq ($.NonZeroInteger.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonZeroInteger`);
-    eq ($.NonZeroInteger.supertypes) ([$.Integer]);
+    //    sqrts :: Array Unit -> Array Number
+    const sqrts =
+    def ('sqrts')
+        ({})
+        ([$.Array (Unit), $.Array ($.Number)])
+        (xs => xs.map (Math.sqrt));
 
-    const isNonZeroInteger = $.test ([]) ($.NonZeroInteger);
-    eq (isNonZeroInteger (0)) (false);
-    eq (isNonZeroInteger (-0)) (false);
-    eq (isNonZeroInteger (3.14)) (false);
-    eq (isNonZeroInteger (1)) (true);
-    eq (isNonZeroInteger (new Number (1))) (false);
-  });
+    eq (sqrts ([0.25])) ([0.5]);
 
-  test ('provides the "NonNegativeInteger" type', () => {
-    eq ($.NonNegativeInteger.name) ('NonNegativeInteger');
-    eq ($.NonNegativeInteger.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonNegativeInteger`);
-    eq ($.NonNegativeInteger.supertypes) ([$.Integer]);
+    throws (() => { sqrts ([0.25, 0]); })
+           (new TypeError (`Invalid value
 
-    const isNonNegativeInteger = $.test ([]) ($.NonNegativeInteger);
-    eq (isNonNegativeInteger (0)) (true);
-    eq (isNonNegativeInteger (-0)) (true);
-    eq (isNonNegativeInteger (1)) (true);
-    eq (isNonNegativeInteger (-1)) (false);
-    eq (isNonNegativeInteger (3.14)) (false);
-    eq (isNonNegativeInteger (new Number (1))) (false);
-  });
+sqrts :: Array (NumberBetweenExclusive 0 1) -> Array Number
+                ^^^^^^^^^^^^^^^^^^^^^^^^^^
+                            1
 
-  test ('provides the "PositiveInteger" type', () => {
-    eq ($.PositiveInteger.name) ('PositiveInteger');
-    eq ($.PositiveInteger.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#PositiveInteger`);
-    eq ($.PositiveInteger.supertypes) ([$.Integer]);
+1)  0 :: Number
 
-    const isPositiveInteger = $.test ([]) ($.PositiveInteger);
-    eq (isPositiveInteger (1.5)) (false);
-    eq (isPositiveInteger (-1)) (false);
-    eq (isPositiveInteger (1)) (true);
-    eq (isPositiveInteger (new Number (1))) (false);
-  });
+The value at position 1 is not a member of ‘NumberBetweenExclusive 0 1’.
 
-  test ('provides the "NegativeInteger" type', () => {
-    eq ($.NegativeInteger.name) ('NegativeInteger');
-    eq ($.NegativeInteger.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NegativeInteger`);
-    eq ($.NegativeInteger.supertypes) ([$.Integer]);
+The value must be > 0 (got 0).
 
-    const isNegativeInteger = $.test ([]) ($.NegativeInteger);
-    eq (isNegativeInteger (-1.5)) (false);
-    eq (isNegativeInteger (1)) (false);
-    eq (isNegativeInteger (-1)) (true);
-    eq (isNegativeInteger (new Number (-1))) (false);
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NumberBetweenExclusive for information about the NumberBetweenExclusive 0 1 type.
+`));
+
+    throws (() => { sqrts ([1]); })
+           (new TypeError (`Invalid value
+
+sqrts :: Array (NumberBetweenExclusive 0 1) -> Array Number
+                ^^^^^^^^^^^^^^^^^^^^^^^^^^
+                            1
+
+1)  1 :: Number
+
+The value at position 1 is not a member of ‘NumberBetweenExclusive 0 1’.
+
+The value must be < 1 (got 1).
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NumberBetweenExclusive for information about the NumberBetweenExclusive 0 1 type.
+`));
+
+    throws (() => { $.NumberBetweenExclusive (1) (1); })
+           (new TypeError ('‘NumberBetweenExclusive’ requires the lower bound to be less than the upper bound; 1 is not less than 1.'));
   });
 
   test ('provides the "GlobalRegExp" type', () => {
@@ -2093,6 +5220,317 @@ See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#ValidDate for
     eq (isRegexFlags ('y')) (false);
   });
 
+  test ('provides the "StringMatching" type constructor', () => {
+    const Slug = $.StringMatching (/^[a-z0-9]+(-[a-z0-9]+)*$/);
+    eq (Slug.name) ('StringMatching /^[a-z0-9]+(-[a-z0-9]+)*$/');
+    eq (Slug.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#StringMatching`);
+    eq (Slug.supertypes) ([$.String]);
+    eq (show ($.Array ($.StringMatching (/^a b$/)))) ('Array (StringMatching /^a b$/)');
+
+    const isSlug = $.test ([]) (Slug);
+    eq (isSlug ('hello-world')) (true);
+    eq (isSlug ('Hello, world!')) (false);
+    eq (isSlug (new String ('hello'))) (false);
+
+    //    slugs :: Array Slug -> String
+    const slugs =
+    def ('slugs')
+        ({})
+        ([$.Array (Slug), $.String])
+        (xs => xs.join ('/'));
+
+    eq (slugs (['a', 'b-c'])) ('a/b-c');
+
+    throws (() => { slugs (['a', 'B']); })
+           (new TypeError (`Invalid value
+
+slugs :: Array (StringMatching /^[a-z0-9]+(-[a-z0-9]+)*$/) -> String
+                ^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^^
+                                    1
+
+1)  "B" :: String
+
+The value at position 1 is not a member of ‘StringMatching /^[a-z0-9]+(-[a-z0-9]+)*$/’.
+
+The value must match /^[a-z0-9]+(-[a-z0-9]+)*$/ (got "B").
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#StringMatching for information about the StringMatching /^[a-z0-9]+(-[a-z0-9]+)*$/ type.
+`));
+
+    throws (() => { $.StringMatching (/x/g); })
+           (new TypeError (`Invalid value
+
+StringMatching :: NonGlobalRegExp -> Type
+                  ^^^^^^^^^^^^^^^
+                         1
+
+1)  /x/g :: RegExp
+
+The value at position 1 is not a member of ‘NonGlobalRegExp’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonGlobalRegExp for information about the NonGlobalRegExp type.
+`));
+  });
+
+  test ('provides the "StringOfLength" type constructor', () => {
+    const Username = $.StringOfLength (3) (16);
+    eq (Username.name) ('StringOfLength 3 16');
+    eq (Username.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#StringOfLength`);
+    eq (Username.supertypes) ([$.String]);
+
+    const isUsername = $.test ([]) (Username);
+    eq (isUsername ('js')) (false);
+    eq (isUsername ('abc')) (true);
+    eq (isUsername ('abcdefghijklmnop')) (true);
+    eq (isUsername ('abcdefghijklmnopq')) (false);
+
+    throws (() => { $.StringOfLength (5) (2); })
+           (new TypeError ('‘StringOfLength’ requires the lower bound to be less than or equal to the upper bound; 5 is not less than or equal to 2.'));
+
+    //    initial :: StringOfLength 1 1 -> String
+    const initial =
+    def ('initial')
+        ({})
+        ([$.StringOfLength (1) (1), $.String])
+        (s => s + '.');
+
+    eq (initial ('J')) ('J.');
+
+    throws (() => { initial (''); })
+           (new TypeError (`Invalid value
+
+initial :: StringOfLength 1 1 -> String
+           ^^^^^^^^^^^^^^^^^^
+                   1
+
+1)  "" :: String
+
+The value at position 1 is not a member of ‘StringOfLength 1 1’.
+
+The value must be at least 1 character long (got "").
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#StringOfLength for information about the StringOfLength 1 1 type.
+`));
+
+    throws (() => { initial ('JS'); })
+           (new TypeError (`Invalid value
+
+initial :: StringOfLength 1 1 -> String
+           ^^^^^^^^^^^^^^^^^^
+                   1
+
+1)  "JS" :: String
+
+The value at position 1 is not a member of ‘StringOfLength 1 1’.
+
+The value must be at most 1 character long (got "JS").
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#StringOfLength for information about the StringOfLength 1 1 type.
+`));
+
+    throws (() => { def ('f') ({}) ([Username, $.String]) (x => x) ('sanctuary-def-is-great'); })
+           (new TypeError (`Invalid value
+
+f :: StringOfLength 3 16 -> String
+     ^^^^^^^^^^^^^^^^^^^
+              1
+
+1)  "sanctuary-def-is-great" :: String
+
+The value at position 1 is not a member of ‘StringOfLength 3 16’.
+
+The value must be at most 16 characters long (got "sanctuary-def-is-great").
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#StringOfLength for information about the StringOfLength 3 16 type.
+`));
+  });
+
+  test ('provides the "NonEmptyString" type', () => {
+    eq ($.NonEmptyString.name) ('NonEmptyString');
+    eq ($.NonEmptyString.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonEmptyString`);
+    eq ($.NonEmptyString.supertypes) ([$.String]);
+
+    const isNonEmptyString = $.test ([]) ($.NonEmptyString);
+    eq (isNonEmptyString ('')) (false);
+    eq (isNonEmptyString (' ')) (true);
+    eq (isNonEmptyString (new String ('x'))) (false);
+
+    throws (() => { def ('f') ({}) ([$.NonEmptyString, $.String]) (x => x) (''); })
+           (new TypeError (`Invalid value
+
+f :: NonEmptyString -> String
+     ^^^^^^^^^^^^^^
+           1
+
+1)  "" :: String
+
+The value at position 1 is not a member of ‘NonEmptyString’.
+
+The value must not be empty (got "").
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#NonEmptyString for information about the NonEmptyString type.
+`));
+  });
+
+  test ('provides the "Uuid" type', () => {
+    eq ($.Uuid.name) ('Uuid');
+    eq ($.Uuid.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Uuid`);
+    eq ($.Uuid.supertypes) ([$.String]);
+
+    const isUuid = $.test ([]) ($.Uuid);
+    eq (isUuid ('123e4567-e89b-12d3-a456-426614174000')) (true);
+    eq (isUuid ('123E4567-E89B-12D3-A456-426614174000')) (true);
+    eq (isUuid ('123e4567e89b12d3a456426614174000')) (false);
+    eq (isUuid ('{123e4567-e89b-12d3-a456-426614174000}')) (false);
+    eq (isUuid ('123e4567-e89b-12d3-a456-42661417400g')) (false);
+
+    throws (() => { def ('f') ({}) ([$.Uuid, $.String]) (x => x) ('xyz'); })
+           (new TypeError (`Invalid value
+
+f :: Uuid -> String
+     ^^^^
+      1
+
+1)  "xyz" :: String
+
+The value at position 1 is not a member of ‘Uuid’.
+
+The value must be of the form ‘xxxxxxxx-xxxx-xxxx-xxxx-xxxxxxxxxxxx’ (got "xyz").
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Uuid for information about the Uuid type.
+`));
+  });
+
+  test ('provides the "IsoDateString" type', () => {
+    eq ($.IsoDateString.name) ('IsoDateString');
+    eq ($.IsoDateString.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#IsoDateString`);
+    eq ($.IsoDateString.supertypes) ([$.String]);
+
+    const isIsoDateString = $.test ([]) ($.IsoDateString);
+    eq (isIsoDateString ('2000-12-31')) (true);
+    eq (isIsoDateString ('2000-02-29')) (true);
+    eq (isIsoDateString ('0000-02-29')) (true);
+    eq (isIsoDateString ('2000-12-31T23:59')) (true);
+    eq (isIsoDateString ('2000-12-31T23:59:59')) (true);
+    eq (isIsoDateString ('2000-12-31T23:59:59.999Z')) (true);
+    eq (isIsoDateString ('2000-12-31T23:59:59+05:30')) (true);
+    eq (isIsoDateString ('2000-12-31T23:59:59-08:00')) (true);
+    eq (isIsoDateString ('2000-1-31')) (false);
+    eq (isIsoDateString ('2000-00-10')) (false);
+    eq (isIsoDateString ('2000-13-10')) (false);
+    eq (isIsoDateString ('2000-12-00')) (false);
+    eq (isIsoDateString ('2000-12-32')) (false);
+    eq (isIsoDateString ('2001-02-29')) (false);
+    eq (isIsoDateString ('1900-02-29')) (false);
+    eq (isIsoDateString ('2000-12-31T24:00')) (false);
+    eq (isIsoDateString ('2000-12-31T23:60')) (false);
+    eq (isIsoDateString ('2000-12-31 23:59')) (false);
+    eq (isIsoDateString ('31/12/2000')) (false);
+
+    //    year :: IsoDateString -> String
+    const year =
+    def ('year')
+        ({})
+        ([$.IsoDateString, $.String])
+        (s => s.slice (0, 4));
+
+    eq (year ('2000-12-31')) ('2000');
+
+    throws (() => { year ('31/12/2000'); })
+           (new TypeError (`Invalid value
+
+year :: IsoDateString -> String
+        ^^^^^^^^^^^^^
+              1
+
+1)  "31/12/2000" :: String
+
+The value at position 1 is not a member of ‘IsoDateString’.
+
+The value must be an ISO 8601 date such as ‘2000-12-31’ (got "31/12/2000").
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#IsoDateString for information about the IsoDateString type.
+`));
+
+    throws (() => { year ('2001-02-29'); })
+           (new TypeError (`Invalid value
+
+year :: IsoDateString -> String
+        ^^^^^^^^^^^^^
+              1
+
+1)  "2001-02-29" :: String
+
+The value at position 1 is not a member of ‘IsoDateString’.
+
+The value must denote a date which exists (got "2001-02-29").
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#IsoDateString for information about the IsoDateString type.
+`));
+  });
+
+  test ('provides the "EmailAddress" type', () => {
+    eq ($.EmailAddress.name) ('EmailAddress');
+    eq ($.EmailAddress.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#EmailAddress`);
+    eq ($.EmailAddress.supertypes) ([$.String]);
+
+    const isEmailAddress = $.test ([]) ($.EmailAddress);
+    eq (isEmailAddress ('user@example.com')) (true);
+    eq (isEmailAddress ('first.last+tag@mail.example.co.uk')) (true);
+    eq (isEmailAddress ('user@localhost')) (false);
+    eq (isEmailAddress ('user@example.')) (false);
+    eq (isEmailAddress ('user@@example.com')) (false);
+    eq (isEmailAddress ('user name@example.com')) (false);
+    eq (isEmailAddress ('@example.com')) (false);
+
+    throws (() => { def ('f') ({}) ([$.EmailAddress, $.String]) (x => x) ('user'); })
+           (new TypeError (`Invalid value
+
+f :: EmailAddress -> String
+     ^^^^^^^^^^^^
+          1
+
+1)  "user" :: String
+
+The value at position 1 is not a member of ‘EmailAddress’.
+
+The value must be an email address such as ‘user@example.com’ (got "user").
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#EmailAddress for information about the EmailAddress type.
+`));
+  });
+
+  test ('provides the "Url" type', () => {
+    eq ($.Url.name) ('Url');
+    eq ($.Url.url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Url`);
+    eq ($.Url.supertypes) ([$.String]);
+
+    const isUrl = $.test ([]) ($.Url);
+    eq (isUrl ('https://sanctuary.js.org/')) (true);
+    eq (isUrl ('http://localhost:8080/path?query#fragment')) (true);
+    eq (isUrl ('git+ssh://git@github.com/sanctuary-js/sanctuary-def.git')) (true);
+    eq (isUrl ('sanctuary.js.org')) (false);
+    eq (isUrl ('/relative/path')) (false);
+    eq (isUrl ('https://')) (false);
+    eq (isUrl ('https://example.com/a b')) (false);
+
+    throws (() => { def ('f') ({}) ([$.Url, $.String]) (x => x) ('example.com'); })
+           (new TypeError (`Invalid value
+
+f :: Url -> String
+     ^^^
+      1
+
+1)  "example.com" :: String
+
+The value at position 1 is not a member of ‘Url’.
+
+The value must be an absolute URL such as ‘https://example.com/’ (got "example.com").
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Url for information about the Url type.
+`));
+  });
+
   test ('provides the "StrMap" type constructor', () => {
     eq (typeof $.StrMap) ('function');
     eq ($.StrMap.length) (1);
@@ -2164,53 +5602,146 @@ values :: StrMap a -> Array a
 1)  1 :: Number
     "XXX" :: String
 
-Since there is no type of which all the above values are members, the type-variable constraint has been violated.
-`));
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+
+    //    testUnaryType :: Array (StrMap Number) -> Array (StrMap Number)
+    const testUnaryType =
+    def ('testUnaryType')
+        ({})
+        ([$.Array ($.StrMap ($.Number)), $.Array ($.StrMap ($.Number))])
+        (xs => xs);
+
+    eq (testUnaryType ([{x: 1}, {y: 2}, {z: 3}])) ([{x: 1}, {y: 2}, {z: 3}]);
+
+    throws (() => { testUnaryType ([{x: /xxx/}]); })
+           (new TypeError (`Invalid value
+
+testUnaryType :: Array (StrMap Number) -> Array (StrMap Number)
+                               ^^^^^^
+                                 1
+
+1)  /xxx/ :: RegExp
+
+The value at position 1 is not a member of ‘Number’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
+`));
+
+    //    testBinaryType :: Either a (StrMap b) -> Either a (StrMap b)
+    const testBinaryType =
+    def ('testBinaryType')
+        ({})
+        ([$.Either (a) ($.StrMap (b)), $.Either (a) ($.StrMap (b))])
+        (e => e);
+
+    eq (testBinaryType (Left ('XXX'))) (Left ('XXX'));
+    eq (testBinaryType (Right ({x: 1, y: 2, z: 3}))) (Right ({x: 1, y: 2, z: 3}));
+
+    throws (() => { testBinaryType (Right ({x: ['foo', false, 42]})); })
+           (new TypeError (`Type-variable constraint violation
+
+testBinaryType :: Either a (StrMap b) -> Either a (StrMap b)
+                                   ^
+                                   1
+
+1)  ["foo", false, 42] :: Array ???
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+  });
+
+  test ('provides the "Dict" type constructor', () => {
+    eq (typeof $.Dict) ('function');
+    eq ($.Dict.length) (1);
+    eq (show ($.Dict)) ('Dict :: Type -> Type -> Type');
+    eq (show ($.Dict (a) (b))) ('Dict a b');
+    eq (($.Dict (a) (b)).name) ('Dict');
+    eq (($.Dict (a) (b)).url) (`https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Dict`);
+    eq (($.Dict (a) (b)).supertypes) ([$.Object]);
+
+    //    Currency :: Type
+    const Currency = $.EnumType
+      ('Currency')
+      ('http://example.com/my-package#Currency')
+      (['EUR', 'GBP', 'USD']);
+
+    const isPrices = $.test ([]) ($.Dict (Currency) ($.Number));
+    eq (isPrices (null)) (false);
+    eq (isPrices ([])) (false);
+    eq (isPrices ({})) (true);
+    eq (isPrices ({EUR: 1, USD: 2})) (true);
+    eq (isPrices ({EUR: 1, JPY: 2})) (false);
+    eq (isPrices ({EUR: 1, USD: '2'})) (false);
+
+    //    total :: Dict Currency Number -> Number
+    const total =
+    def ('total')
+        ({})
+        ([$.Dict (Currency) ($.Number), $.Number])
+        (prices => Object.keys (prices).reduce ((n, k) => n + prices[k], 0));
+
+    eq (total ({EUR: 1, USD: 2})) (3);
+
+    throws (() => { total ({EUR: 1, JPY: 2}); })
+           (new TypeError (`Invalid value
+
+total :: Dict Currency Number -> Number
+              ^^^^^^^^
+                 1
+
+1)  "JPY" :: String
 
-    //    testUnaryType :: Array (StrMap Number) -> Array (StrMap Number)
-    const testUnaryType =
-    def ('testUnaryType')
-        ({})
-        ([$.Array ($.StrMap ($.Number)), $.Array ($.StrMap ($.Number))])
-        (xs => xs);
+The value at position 1 is not a member of ‘Currency’.
 
-    eq (testUnaryType ([{x: 1}, {y: 2}, {z: 3}])) ([{x: 1}, {y: 2}, {z: 3}]);
+See http://example.com/my-package#Currency for information about the Currency type.
+`));
 
-    throws (() => { testUnaryType ([{x: /xxx/}]); })
+    throws (() => { total ({EUR: 1, USD: '2'}); })
            (new TypeError (`Invalid value
 
-testUnaryType :: Array (StrMap Number) -> Array (StrMap Number)
-                               ^^^^^^
-                                 1
+total :: Dict Currency Number -> Number
+                       ^^^^^^
+                         1
 
-1)  /xxx/ :: RegExp
+1)  "2" :: String
 
 The value at position 1 is not a member of ‘Number’.
 
 See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
 `));
 
-    //    testBinaryType :: Either a (StrMap b) -> Either a (StrMap b)
-    const testBinaryType =
-    def ('testBinaryType')
+    //    lookup :: Dict a b -> a -> b
+    const lookup =
+    def ('lookup')
         ({})
-        ([$.Either (a) ($.StrMap (b)), $.Either (a) ($.StrMap (b))])
-        (e => e);
+        ([$.Dict (a) (b), a, b])
+        (dict => k => dict[k]);
 
-    eq (testBinaryType (Left ('XXX'))) (Left ('XXX'));
-    eq (testBinaryType (Right ({x: 1, y: 2, z: 3}))) (Right ({x: 1, y: 2, z: 3}));
+    eq (lookup ({x: 1}) ('x')) (1);
 
-    throws (() => { testBinaryType (Right ({x: ['foo', false, 42]})); })
+    throws (() => { lookup ({x: 1}) (42); })
            (new TypeError (`Type-variable constraint violation
 
-testBinaryType :: Either a (StrMap b) -> Either a (StrMap b)
-                                   ^
-                                   1
+lookup :: Dict a b -> a -> b
+               ^      ^
+               1      2
 
-1)  ["foo", false, 42] :: Array ???
+1)  "x" :: String
+
+2)  42 :: Number
 
 Since there is no type of which all the above values are members, the type-variable constraint has been violated.
 `));
+
+    //    keys :: Dict a b -> Array a
+    const keys =
+    def ('keys')
+        ({})
+        ([$.Dict (a) (b), $.Array (a)])
+        (dict => (Object.keys (dict)).sort ());
+
+    eq (keys ({y: 2, x: 1})) (['x', 'y']);
   });
 
   test ('uses show-like string representations', () => {
@@ -3509,6 +7040,135 @@ suite ('test', () => {
 
 });
 
+suite ('validateStream', () => {
+
+  const {Readable, Writable, pipeline} = require ('stream');
+
+  //    run :: (Array Any, Transform) -> Promise (Pair (Array Any) (Nullable Error))
+  const run = (chunks, transform) => new Promise (resolve => {
+    const output = [];
+    pipeline (
+      Readable.from (chunks),
+      transform,
+      new Writable ({
+        objectMode: true,
+        write: (chunk, encoding, callback) => {
+          output.push (chunk);
+          callback ();
+        },
+      }),
+      err => { resolve (Pair (output) (err == null ? null : err)); }
+    );
+  });
+
+  test ('is a binary function', () => {
+    eq (typeof $.validateStream) ('function');
+    eq ($.validateStream.length) (1);
+    eq (show ($.validateStream)) ('validateStream :: Array Type -> Type -> Transform');
+  });
+
+  test ('passes through chunks of the specified type', () => (
+    run ([1, 2, 3], $.validateStream ([]) ($.Number))
+    .then (result => {
+      eq (result) (Pair ([1, 2, 3]) (null));
+    })
+  ));
+
+  test ('fails upon receiving a chunk of the wrong type', () => (
+    run ([1, 2, '3', 4], $.validateStream ([]) ($.Number))
+    .then (result => {
+      const err = result.snd;
+      eq (result.fst) ([1, 2]);
+      eq (err) (new TypeError (`Invalid value at chunk index 2
+
+chunk :: Number
+         ^^^^^^
+           1
+
+1)  "3" :: (no types)
+
+The value at position 1 is not a member of ‘Number’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Number for information about the Number type.
+`));
+      eq (err.index) (2);
+      eq (err.propPath) ([]);
+      eq (err.value) ('3');
+    })
+  ));
+
+  test ('reports the path to the offending value', () => {
+    const Person = $.RecordType ({name: $.String, tags: $.Array ($.String)});
+    return run ([{name: 'Alice', tags: []}, {name: 'Bob', tags: ['x', 42]}],
+                $.validateStream ([]) (Person))
+    .then (result => {
+      const err = result.snd;
+      eq (result.fst) ([{name: 'Alice', tags: []}]);
+      eq (err) (new TypeError (`Invalid value at chunk index 1
+
+chunk :: { name :: String, tags :: Array String }
+                                         ^^^^^^
+                                           1
+
+1)  42 :: (no types)
+
+The value at position 1 is not a member of ‘String’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#String for information about the String type.
+`));
+      eq (err.index) (1);
+      eq (err.propPath) (['tags', '$1']);
+      eq (err.value) (42);
+    });
+  });
+
+  test ('supports type constructors', () => (
+    run ([[1, 2], [], 'xyz', [3]], $.validateStream ([]) ($.Array ($.Number)))
+    .then (result => {
+      const err = result.snd;
+      eq (result.fst) ([[1, 2], []]);
+      eq (err) (new TypeError (`Invalid value at chunk index 2
+
+chunk :: Array Number
+         ^^^^^^^^^^^^
+              1
+
+1)  "xyz" :: (no types)
+
+The value at position 1 is not a member of ‘Array Number’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Array for information about the Array type constructor.
+`));
+      eq (err.index) (2);
+      eq (err.propPath) ([]);
+      eq (err.value) ('xyz');
+    })
+  ));
+
+  test ('shares type variables across chunks', () => (
+    run ([[1], [2, 3], [], ['x']], $.validateStream ($.env) ($.Array (a)))
+    .then (result => {
+      const err = result.snd;
+      eq (result.fst) ([[1], [2, 3], []]);
+      eq (err) (new TypeError (`Type-variable constraint violation at chunk index 3
+
+chunk :: Array a
+               ^
+               1
+
+1)  1 :: Number
+    "x" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+      eq (err.index) (3);
+      eq (err.propPath) ([]);
+      eq (err.value) (['x']);
+    })
+  ));
+
+});
+
 suite ('NullaryType', () => {
 
   test ('is a ternary function', () => {
@@ -3552,6 +7212,126 @@ suite ('NullaryType', () => {
 
 });
 
+suite ('Refine', () => {
+
+  test ('is a quaternary function', () => {
+    eq (typeof $.Refine) ('function');
+    eq ($.Refine.length) (1);
+    eq (show ($.Refine)) ('Refine :: String -> String -> Type -> (Any -> (Boolean | String)) -> Type');
+  });
+
+  //    Percentage :: Type
+  const Percentage = $.Refine
+    ('Percentage')
+    ('http://example.com/my-package#Percentage')
+    ($.NonNegativeInteger)
+    (n => n <= 100 || 'must be ≤ 100');
+
+  //    Even :: Type
+  const Even = $.Refine
+    ('Even')
+    ('')
+    (Percentage)
+    (n => n % 2 === 0);
+
+  test ('returns a nullary type', () => {
+    eq (show (Percentage)) ('Percentage');
+    eq (Percentage.name) ('Percentage');
+    eq (Percentage.url) ('http://example.com/my-package#Percentage');
+    eq (Percentage.supertypes) ([$.NonNegativeInteger]);
+
+    eq ($.test ([]) (Percentage) (0)) (true);
+    eq ($.test ([]) (Percentage) (100)) (true);
+    eq ($.test ([]) (Percentage) (101)) (false);
+    eq ($.test ([]) (Percentage) (-1)) (false);
+    eq ($.test ([]) (Percentage) ('42')) (false);
+    eq ($.test ([]) (Even) (42)) (true);
+    eq ($.test ([]) (Even) (43)) (false);
+    eq ($.test ([]) (Even) (102)) (false);
+  });
+
+  test ('explains why a value is not a member', () => {
+    //    percent :: Percentage -> String
+    const percent =
+    def ('percent')
+        ({})
+        ([Percentage, $.String])
+        (n => n + '%');
+
+    eq (percent (42)) ('42%');
+
+    throws (() => { percent (140); })
+           (new TypeError (`Invalid value
+
+percent :: Percentage -> String
+           ^^^^^^^^^^
+               1
+
+1)  140 :: Number
+
+The value at position 1 is not a member of ‘Percentage’.
+
+The value must be ≤ 100 (got 140).
+
+See http://example.com/my-package#Percentage for information about the Percentage type.
+`));
+
+    throws (() => { percent (1.5); })
+           (new TypeError (`Invalid value
+
+percent :: Percentage -> String
+           ^^^^^^^^^^
+               1
+
+1)  1.5 :: Number
+
+The value at position 1 is not a member of ‘Percentage’.
+
+The value is not a member of ‘Integer’, a supertype of ‘Percentage’.
+
+See http://example.com/my-package#Percentage for information about the Percentage type.
+`));
+
+    //    half :: Even -> Integer
+    const half =
+    def ('half')
+        ({})
+        ([Even, $.Integer])
+        (n => n / 2);
+
+    eq (half (42)) (21);
+
+    throws (() => { half (43); })
+           (new TypeError (`Invalid value
+
+half :: Even -> Integer
+        ^^^^
+         1
+
+1)  43 :: Number
+
+The value at position 1 is not a member of ‘Even’.
+`));
+
+    throws (() => { half (102); })
+           (new TypeError (`Invalid value
+
+half :: Even -> Integer
+        ^^^^
+         1
+
+1)  102 :: Number
+
+The value at position 1 is not a member of ‘Even’.
+
+The value is not a member of ‘Percentage’, a supertype of ‘Even’.
+
+The value must be ≤ 100 (got 102).
+`));
+  });
+
+});
+
 suite ('UnaryType', () => {
 
   test ('is a quaternary function', () => {
@@ -3661,6 +7441,193 @@ See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Type for info
 
 });
 
+suite ('TernaryType', () => {
+
+  test ('is a septenary function', () => {
+    eq (typeof $.TernaryType) ('function');
+    eq ($.TernaryType.length) (1);
+    eq (show ($.TernaryType)) ('TernaryType :: Foldable f => String -> String -> Array Type -> (Any -> Boolean) -> (t a b c -> f a) -> (t a b c -> f b) -> (t a b c -> f c) -> Type -> Type -> Type -> Type');
+  });
+
+  //    Validation :: Type -> Type -> Type -> Type
+  const Validation = $.TernaryType
+    ('Validation')
+    ('http://example.com/my-package#Validation')
+    ([])
+    (x => type (x) === 'my-package/Validation@1')
+    (v => v.isFailure ? v.errors : [])
+    (v => v.warnings)
+    (v => v.isFailure ? [] : [v.value]);
+
+  //    V :: (Array e, Array w, a) -> Validation e w a
+  const V = (errors, warnings, value) => ({
+    'isFailure': errors.length > 0,
+    'errors': errors,
+    'warnings': warnings,
+    'value': value,
+    '@@type': 'my-package/Validation@1',
+    '@@show': () => `V (${show (errors)}) (${show (warnings)}) (${show (value)})`,
+  });
+
+  test ('returns a type constructor which type checks its arguments', () => {
+    eq (show (Validation)) ('Validation :: Type -> Type -> Type -> Type');
+    eq (show (Validation (a) (b) (c))) ('Validation a b c');
+    eq ((Validation (a) (b) (c)).keys) (['$1', '$2', '$3']);
+
+    throws (() => { Validation ($.String) ($.String) (1); })
+           (new TypeError (`Invalid value
+
+Validation :: Type -> Type -> Type -> Type
+                              ^^^^
+                               1
+
+1)  1 :: Number
+
+The value at position 1 is not a member of ‘Type’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Type for information about the Type type.
+`));
+  });
+
+  test ('supports type variables', () => {
+    //    getOr :: a -> Validation String String a -> a
+    const getOr =
+    def ('getOr')
+        ({})
+        ([a, Validation ($.String) ($.String) (a), a])
+        (x => v => v.isFailure ? x : v.value);
+
+    eq (getOr (0) (V ([], ['rounded'], 42))) (42);
+    eq (getOr (0) (V (['oops'], [], null))) (0);
+
+    throws (() => { getOr (0) (V ([], [0], 42)); })
+           (new TypeError (`Invalid value
+
+getOr :: a -> Validation String String a -> a
+                                ^^^^^^
+                                  1
+
+1)  0 :: Number
+
+The value at position 1 is not a member of ‘String’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#String for information about the String type.
+`));
+
+    throws (() => { getOr (0) (V ([], [], 'x')); })
+           (new TypeError (`Type-variable constraint violation
+
+getOr :: a -> Validation String String a -> a
+         ^                             ^
+         1                             2
+
+1)  0 :: Number
+
+2)  "x" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+
+    //    first :: a -> a -> a
+    const first =
+    $.create ({checkTypes: true, env: Z.concat ($.env, [Validation ($.Unknown) ($.Unknown) ($.Unknown)])})
+             ('first')
+             ({})
+             ([a, a, a])
+             (x => y => x);
+
+    eq ((first (V ([], ['w'], 1)) (V ([], ['x'], 2))).warnings) (['w']);
+
+    throws (() => { first (V ([], ['w'], 1)) (V ([], [1], 1)); })
+           (new TypeError (`Type-variable constraint violation
+
+first :: a -> a -> a
+         ^    ^
+         1    2
+
+1)  V ([]) (["w"]) (1) :: Validation b String Number
+
+2)  V ([]) ([1]) (1) :: Validation b Number Number
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+  });
+
+});
+
+suite ('NaryType', () => {
+
+  test ('is a quinary function', () => {
+    eq (typeof $.NaryType) ('function');
+    eq ($.NaryType.length) (1);
+    eq (show ($.NaryType)) ('NaryType :: Foldable f => String -> String -> Array Type -> (Any -> Boolean) -> Array (t a b ... -> f Any) -> Type -> ... -> Type');
+  });
+
+  test ('returns a type constructor which type checks its arguments', () => {
+    //    Quad :: Type -> Type -> Type -> Type -> Type
+    const Quad = $.NaryType
+      ('Quad')
+      ('http://example.com/my-package#Quad')
+      ([$.Array ($.Unknown)])
+      (xs => xs.length === 4)
+      ([xs => [xs[0]], xs => [xs[1]], xs => [xs[2]], xs => [xs[3]]]);
+
+    eq (show (Quad)) ('Quad :: Type -> Type -> Type -> Type -> Type');
+    eq (show (Quad ($.String) ($.Number) ($.Array (a)) (b))) ('Quad String Number (Array a) b');
+    eq ($.test ([]) (Quad ($.String) ($.Number) ($.Boolean) ($.Null)) (['x', 1, true, null])) (true);
+    eq ($.test ([]) (Quad ($.String) ($.Number) ($.Boolean) ($.Null)) (['x', 1, true, 0])) (false);
+    eq ($.test ([]) (Quad ($.String) ($.Number) ($.Boolean) ($.Null)) (['x', 1, true])) (false);
+
+    throws (() => { Quad ($.String) ($.Number) ($.Boolean) ('Null'); })
+           (new TypeError (`Invalid value
+
+Quad :: Type -> Type -> Type -> Type -> Type
+                                ^^^^
+                                 1
+
+1)  "Null" :: String
+
+The value at position 1 is not a member of ‘Type’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Type for information about the Type type.
+`));
+
+    //    first :: a -> a -> a
+    const first =
+    $.create ({checkTypes: true, env: [Quad ($.Unknown) ($.Unknown) ($.Unknown) ($.Unknown), $.String, $.Number, $.Boolean, $.Null]})
+             ('first')
+             ({})
+             ([a, a, a])
+             (x => y => x);
+
+    eq (first (['x', 1, true, null]) (['y', 2, false, null])) (['x', 1, true, null]);
+
+    throws (() => { first (['x', 1, true, null]) (['x', 1, true, 1]); })
+           (new TypeError (`Type-variable constraint violation
+
+first :: a -> a -> a
+         ^    ^
+         1    2
+
+1)  ["x", 1, true, null] :: Quad String Number Boolean Null
+
+2)  ["x", 1, true, 1] :: Quad String Number Boolean Number
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+  });
+
+  test ('returns a type if there are no extractors', () => {
+    //    Zero :: Type
+    const Zero = $.NaryType ('Zero') ('') ([$.Number]) (x => x === 0) ([]);
+
+    eq (show (Zero)) ('Zero');
+    eq ($.test ([]) (Zero) (0)) (true);
+    eq ($.test ([]) (Zero) (1)) (false);
+  });
+
+});
+
 suite ('TypeVariable', () => {
 
   test ('is a unary function', () => {
@@ -3739,6 +7706,87 @@ See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Type for info
 
 });
 
+suite ('TernaryTypeVariable', () => {
+
+  test ('is a unary function', () => {
+    eq (typeof $.TernaryTypeVariable) ('function');
+    eq ($.TernaryTypeVariable.length) (1);
+    eq (show ($.TernaryTypeVariable)) ('TernaryTypeVariable :: String -> Type -> Type -> Type -> Type');
+  });
+
+  test ('returns a function which type checks its arguments', () => {
+    //    t :: Type -> Type -> Type -> Type
+    const t = $.TernaryTypeVariable ('t');
+
+    eq (typeof t) ('function');
+    eq (t.length) (1);
+    eq (show (t)) ('t :: Type -> Type -> Type -> Type');
+    eq (show (t (a) (b) (c))) ('t a b c');
+
+    throws (() => { t (a) (b) (Number); })
+           (new TypeError (`Invalid value
+
+t :: Type -> Type -> Type -> Type
+                     ^^^^
+                      1
+
+1)  function Number() { [native code] } :: Function, (a -> b)
+
+The value at position 1 is not a member of ‘Type’.
+
+See https://github.com/sanctuary-js/sanctuary-def/tree/v${version}#Type for information about the Type type.
+`));
+  });
+
+  test ('corresponds to the type arguments of ternary types', () => {
+    //    Validation :: Type -> Type -> Type -> Type
+    const Validation = $.TernaryType
+      ('Validation')
+      ('')
+      ([])
+      (x => type (x) === 'my-package/Validation@1')
+      (v => v.errors)
+      (v => v.warnings)
+      (v => v.isFailure ? [] : [v.value]);
+
+    //    V :: (Array e, Array w, a) -> Validation e w a
+    const V = (errors, warnings, value) => ({
+      'isFailure': errors.length > 0,
+      'errors': errors,
+      'warnings': warnings,
+      'value': value,
+      '@@type': 'my-package/Validation@1',
+    });
+
+    const t = $.TernaryTypeVariable ('t');
+
+    //    values :: t a b c -> t a b c -> Array c
+    const values =
+    $.create ({checkTypes: true, env: Z.concat ($.env, [Validation ($.Unknown) ($.Unknown) ($.Unknown)])})
+             ('values')
+             ({})
+             ([t (a) (b) (c), t (a) (b) (c), $.Array (c)])
+             (v => w => [v.value, w.value]);
+
+    eq (values (V ([], [], 1)) (V ([], [], 2))) ([1, 2]);
+
+    throws (() => { values (V ([], [], 1)) (V ([], [], 'x')); })
+           (new TypeError (`Type-variable constraint violation
+
+values :: t a b c -> t a b c -> Array c
+                ^          ^
+                1          2
+
+1)  1 :: Number
+
+2)  "x" :: String
+
+Since there is no type of which all the above values are members, the type-variable constraint has been violated.
+`));
+  });
+
+});
+
 suite ('Thunk', () => {
 
   test ('is a unary function', () => {